@@ -0,0 +1,159 @@
+/**
+ * Alert matching benchmark
+ *
+ * Generates synthetic alerts and deals, then matches every deal with a
+ * linear scan (the old checkAlertsForDeal) and with the alert index.
+ * Reports throughput and per-deal matching latency for both, and checks
+ * that they return the same alerts.
+ *
+ * Usage: node scripts/benchmarkAlerts.js [--alerts 20000] [--deals 2000] [--seed 42]
+ */
+
+const { alertMatchesDeal, dealText } = require('../src/backend/alertRules');
+const { createAlertIndex } = require('../src/backend/alertIndex');
+
+function parseArgs(argv) {
+  const options = { alerts: 20000, deals: 2000, seed: 42 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option --${key}`);
+    }
+    options[key] = Number(argv[i + 1]);
+  }
+  return options;
+}
+
+// Small seeded PRNG so runs are repeatable
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value * 1664525 + 1013904223) >>> 0;
+    return value / 4294967296;
+  };
+}
+
+const BRANDS = ['sony', 'samsung', 'lg', 'apple', 'dell', 'lenovo', 'asus', 'acer', 'hp', 'nike', 'adidas', 'lego', 'nintendo', 'bose', 'dyson'];
+const PRODUCTS = ['tv', 'laptop', 'monitor', 'headphones', 'ssd', 'router', 'keyboard', 'mouse', 'console', 'vacuum', 'shoes', 'jacket', 'tablet', 'camera', 'speaker', 'gpu', 'watch', 'phone'];
+const MODIFIERS = ['pro', 'max', 'mini', 'ultra', 'oled', '4k', 'wireless', 'gaming', 'refurbished', 'used', 'bundle', '2tb', '1tb', 'plus'];
+const CATEGORIES = ['Electronics', 'Computers', 'Gaming', 'Home & Garden', 'Clothing', 'Books', 'Other'];
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function generateAlert(random, id) {
+  const alert = {
+    id: `alert-${id}`,
+    userId: `user-${id % 5000}`,
+    anyKeywords: [],
+    allKeywords: [],
+    excludedKeywords: [],
+    category: null,
+    minPrice: null,
+    maxPrice: null,
+    minDiscountPercent: null,
+    minVerifications: 0,
+    triggerOn: random() < 0.5 ? 'submission' : 'verification',
+    triggered: []
+  };
+
+  const shape = random();
+  if (shape < 0.6) {
+    alert.anyKeywords = [`${pick(random, BRANDS)} ${pick(random, PRODUCTS)}`];
+    if (random() < 0.3) alert.anyKeywords.push(pick(random, PRODUCTS));
+  } else if (shape < 0.9) {
+    alert.allKeywords = [pick(random, PRODUCTS), pick(random, MODIFIERS)];
+  } else {
+    alert.category = pick(random, CATEGORIES);
+  }
+
+  if (random() < 0.4) alert.excludedKeywords = [pick(random, ['refurbished', 'used'])];
+  if (random() < 0.8) alert.maxPrice = Math.round(50 + random() * 1500);
+  if (random() < 0.2) alert.minPrice = Math.round(random() * 40);
+  if (random() < 0.3) alert.minDiscountPercent = Math.round(random() * 50);
+
+  return alert;
+}
+
+function generateDeal(random, id) {
+  const originalPrice = Math.round(20 + random() * 2000);
+  const words = [pick(random, BRANDS), pick(random, PRODUCTS)];
+  if (random() < 0.7) words.push(pick(random, MODIFIERS));
+
+  return {
+    id: `deal-${id}`,
+    title: words.join(' '),
+    price: Math.round(originalPrice * (0.4 + random() * 0.6)),
+    originalPrice,
+    productCategory: pick(random, CATEGORIES),
+    verifications: []
+  };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function run(label, deals, matchDeal) {
+  const latencies = [];
+  const results = [];
+  let matches = 0;
+
+  const started = process.hrtime.bigint();
+  deals.forEach(deal => {
+    const dealStarted = process.hrtime.bigint();
+    const matched = matchDeal(deal).map(alert => alert.id).sort();
+    latencies.push(Number(process.hrtime.bigint() - dealStarted) / 1000);
+    matches += matched.length;
+    results.push(matched);
+  });
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  latencies.sort((a, b) => a - b);
+  console.log(`${label.padEnd(8)} ${(deals.length / (elapsedMs / 1000)).toFixed(0).padStart(10)} deals/s` +
+    `  p50 ${percentile(latencies, 50).toFixed(1).padStart(8)}µs` +
+    `  p99 ${percentile(latencies, 99).toFixed(1).padStart(8)}µs` +
+    `  total ${elapsedMs.toFixed(0)}ms  matches ${matches}`);
+
+  return results;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const random = createRandom(options.seed);
+
+  const alerts = Array.from({ length: options.alerts }, (_, i) => generateAlert(random, i));
+  const deals = Array.from({ length: options.deals }, (_, i) => generateDeal(random, i));
+  const triggers = deals.map(() => (random() < 0.5 ? 'submission' : 'verification'));
+  deals.forEach((deal, i) => { deal.trigger = triggers[i]; });
+
+  const buildStarted = process.hrtime.bigint();
+  const index = createAlertIndex();
+  alerts.forEach(alert => index.add(alert));
+  const buildMs = Number(process.hrtime.bigint() - buildStarted) / 1e6;
+
+  let candidates = 0;
+  deals.forEach(deal => { candidates += index.candidates(deal, deal.trigger).length; });
+
+  console.log(`Alerts: ${alerts.length}, deals: ${deals.length}, seed: ${options.seed}`);
+  console.log(`Index built in ${buildMs.toFixed(0)}ms, ${(candidates / deals.length).toFixed(1)} candidates evaluated per deal (vs ${alerts.length} linear)`);
+  console.log('');
+
+  const linear = run('linear', deals, deal => {
+    const text = dealText(deal);
+    return alerts.filter(alert => alertMatchesDeal(alert, deal, deal.trigger, text));
+  });
+  const indexed = run('indexed', deals, deal => index.match(deal, deal.trigger));
+
+  const mismatches = deals.filter((deal, i) => linear[i].join() !== indexed[i].join());
+  if (mismatches.length > 0) {
+    console.error(`\n${mismatches.length} deals matched different alerts (first: ${mismatches[0].id})`);
+    process.exit(1);
+  }
+  console.log('\nIndexed results match the linear scan.');
+}
+
+main();
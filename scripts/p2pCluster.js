@@ -0,0 +1,342 @@
+/**
+ * Peer network convergence check
+ *
+ * Launches N server processes on localhost as peers of each other and
+ * drives them over HTTP: a deal verified across nodes, then a partition
+ * that cuts the last node off while both sides verify the same deal in
+ * opposite directions and the cut-off node submits a deal of its own.
+ * Once the partition heals, every node must hold the same deals and
+ * verdicts and reach the same consensus outcomes, and each node's audit log
+ * must show the contested outcome follows from the signed verdicts. Forged
+ * envelopes, from a node nobody trusts or for an account a node does not
+ * hold, and envelopes with malformed evidence must not be counted.
+ *
+ * Exits non-zero when the nodes do not converge.
+ *
+ * Usage: node scripts/p2pCluster.js [--nodes 3] [--basePort 3101] [--timeout 20000]
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { createSigningKey, verdictStatement } = require('../src/backend/signatures');
+const { createIdentity, signEnvelope } = require('../src/backend/peers');
+const { validateEvidence } = require('../src/backend/evidence');
+
+const SERVER = path.join(__dirname, '..', 'src', 'backend', 'server.js');
+const PASSWORD = 'cluster-password';
+
+const DEFAULT_OPTIONS = {
+  nodes: 3,
+  basePort: 3101,
+  timeout: 20000
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option --${key}`);
+    }
+    options[key] = Number(argv[i + 1]);
+  }
+  if (!Number.isInteger(options.nodes) || options.nodes < 2) {
+    throw new Error('--nodes must be at least 2');
+  }
+  return options;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until check() returns something truthy
+async function waitFor(description, check, timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check().catch(() => null);
+    if (result) return result;
+    await sleep(250);
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+// = NODES =
+
+// Keys are made up front so every node can be told the others' public keys
+function startNode(index, urls, identities, port) {
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    DEALBUSTER_NODE_ID: identities[index].nodeId,
+    DEALBUSTER_NODE_KEY: identities[index].privateKey,
+    DEALBUSTER_NODE_URL: urls[index],
+    DEALBUSTER_PEERS: urls.filter((url, i) => i !== index).join(','),
+    DEALBUSTER_PEER_KEYS: identities.filter((identity, i) => i !== index)
+      .map(identity => `${identity.nodeId}=${identity.publicKey}`).join(','),
+    DEALBUSTER_ADMIN: `admin-${index + 1}`,
+    DEALBUSTER_LOG_LEVEL: 'error'
+  };
+  // Fresh in-memory state, never the developer's data file
+  delete env.DEALBUSTER_DATA_FILE;
+
+  const child = spawn(process.execPath, [SERVER], { env, stdio: ['ignore', 'ignore', 'inherit'] });
+  return {
+    index,
+    name: identities[index].nodeId,
+    url: urls[index],
+    identity: identities[index],
+    child,
+    tokens: new Map(),
+    users: new Map()
+  };
+}
+
+async function stopNode(node) {
+  if (node.child.exitCode !== null) return;
+  const exited = new Promise(resolve => node.child.once('exit', resolve));
+  node.child.kill('SIGTERM');
+  const timer = setTimeout(() => node.child.kill('SIGKILL'), 3000);
+  await exited;
+  clearTimeout(timer);
+}
+
+async function call(node, method, route, token, body) {
+  const response = await fetch(`${node.url}/api${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`${node.name} ${method} ${route}: ${data.error || response.status}`);
+  }
+  return data;
+}
+
+// admin-N is node N's admin (DEALBUSTER_ADMIN). Every account signs its
+// verdicts, as the browser would.
+async function register(node, username) {
+  const data = await call(node, 'POST', '/users/register', null, { username, password: PASSWORD });
+  const signingKey = createSigningKey();
+  await call(node, 'POST', '/users/me/keys', data.token, { publicKey: signingKey.publicKey });
+  node.tokens.set(username, data.token);
+  node.users.set(username, { id: data.user.id, signingKey });
+  return data.token;
+}
+
+async function configure(node) {
+  const admin = await register(node, `admin-${node.index + 1}`);
+  await call(node, 'POST', '/config/mode', admin, { mode: 'decentralized' });
+  await call(node, 'POST', '/config', admin, { verifierProbation: 0 });
+  await call(node, 'POST', '/config/rate-limits', admin, { enabled: false });
+}
+
+function submit(node, username, title) {
+  return call(node, 'POST', '/deals', node.tokens.get(username), {
+    title,
+    price: 49.99,
+    url: `https://shop.example/${encodeURIComponent(title)}`,
+    productCategory: 'Electronics'
+  }).then(data => data.deal);
+}
+
+function verify(node, username, dealId, verdict) {
+  const { id, signingKey } = node.users.get(username);
+  const signedAt = Date.now();
+  const statement = verdictStatement({ dealId, round: 1, verifierId: id, verdict, signedAt });
+  return call(node, 'POST', `/deals/${dealId}/verify`, node.tokens.get(username), {
+    verdict,
+    signature: { keyId: signingKey.keyId, signedAt, value: signingKey.sign(statement) }
+  });
+}
+
+// A verdict as `signer` would gossip it, with a weight no account has,
+// signed with a key no account registered
+function forgedVerdict(signer, dealId, verifierId) {
+  const signingKey = createSigningKey();
+  const statement = verdictStatement({ dealId, round: 1, verifierId, verdict: 'invalid', signedAt: Date.now() });
+  const payload = {
+    id: `forged-${verifierId}`,
+    dealId,
+    verifierId,
+    verifierUsername: verifierId,
+    verdict: 'invalid',
+    evidence: validateEvidence(null).evidence,
+    weight: 1e9,
+    share: 1,
+    signature: { keyId: signingKey.keyId, publicKey: signingKey.publicKey, statement, value: signingKey.sign(statement) },
+    timestamp: Date.now()
+  };
+  return signEnvelope(signer, 'http://127.0.0.1:1', 'verification', payload);
+}
+
+// A verdict `node` could gossip for one of its accounts, signed with the
+// account's key, whose evidence lists its attachments as a string
+function malformedVerdict(node, username, dealId) {
+  const { id, signingKey } = node.users.get(username);
+  const evidence = { ...validateEvidence(null).evidence, attachments: 'not-a-list' };
+  const statement = verdictStatement({ dealId, round: 1, verifierId: id, verdict: 'valid', evidence, signedAt: Date.now() });
+  const payload = {
+    id: `malformed-${id}`,
+    dealId,
+    verifierId: id,
+    verifierUsername: username,
+    verdict: 'valid',
+    evidence,
+    weight: 100,
+    share: 1,
+    signature: { keyId: signingKey.keyId, publicKey: signingKey.publicKey, statement, value: signingKey.sign(statement) },
+    timestamp: Date.now()
+  };
+  return signEnvelope(node.identity, node.url, 'verification', payload);
+}
+
+function gossipTo(node, envelopes) {
+  return call(node, 'POST', '/p2p/gossip', null, { from: { nodeId: 'script', url: 'http://127.0.0.1:1' }, envelopes });
+}
+
+function partition(node, peers) {
+  return call(node, 'POST', '/p2p/partition', node.tokens.get(`admin-${node.index + 1}`), { peers });
+}
+
+function nodeState(node) {
+  return call(node, 'GET', '/p2p/state');
+}
+
+function outcomeOn(states, dealId) {
+  return states.map(s => {
+    const deal = s.deals.find(d => d.id === dealId);
+    return deal ? deal.consensus : 'missing';
+  });
+}
+
+// = SCENARIO =
+
+async function run(options) {
+  const ports = Array.from({ length: options.nodes }, (_, i) => options.basePort + i);
+  const urls = ports.map(port => `http://127.0.0.1:${port}`);
+  const identities = ports.map((port, i) => createIdentity(`node-${i + 1}`));
+  const nodes = ports.map((port, i) => startNode(i, urls, identities, port));
+  const [first, second] = nodes;
+  const isolated = nodes[nodes.length - 1];
+  const checks = [];
+
+  function check(description, passed, details) {
+    checks.push({ description, passed, details });
+  }
+
+  async function allStates() {
+    return Promise.all(nodes.map(nodeState));
+  }
+
+  async function converged() {
+    const states = await allStates();
+    return states.every(s => s.fingerprint === states[0].fingerprint) ? states : null;
+  }
+
+  async function everyNodeHas(dealId) {
+    const states = await allStates();
+    return states.every(s => s.deals.some(d => d.id === dealId));
+  }
+
+  try {
+    await waitFor('nodes to start', () => Promise.all(nodes.map(node => call(node, 'GET', '/p2p/info'))), options.timeout);
+
+    for (const node of nodes) {
+      await configure(node);
+      await register(node, `submitter-${node.index + 1}`);
+      for (let v = 1; v <= 3; v++) {
+        await register(node, `verifier-${node.index + 1}-${v}`);
+      }
+    }
+
+    // Connected: submitted on one node, verified from another
+    const connected = await submit(first, 'submitter-1', 'connected deal');
+    await waitFor('the first deal to reach every node', () => everyNodeHas(connected.id), options.timeout);
+    for (let v = 1; v <= 3; v++) {
+      await verify(second, `verifier-2-${v}`, connected.id, 'valid');
+    }
+    let states = await waitFor('nodes to converge on the first deal', converged, options.timeout);
+    check('Deal verified on another node is verified everywhere',
+      outcomeOn(states, connected.id).every(o => o === 'verified'), outcomeOn(states, connected.id));
+
+    // Forged: signed by a node no one trusts, or by a trusted node for an account it does not hold
+    const target = await submit(first, 'submitter-1', 'forgery target');
+    await waitFor('the forgery target to reach every node', () => everyNodeHas(target.id), options.timeout);
+    const outsider = await gossipTo(first, [forgedVerdict(createIdentity('node-x'), target.id, 'ghost-1')]);
+    check('Envelopes from an untrusted node are rejected', outsider.rejected === 1, outsider);
+    const ghost = await gossipTo(first, [forgedVerdict(second.identity, target.id, 'ghost-2')]);
+    check('Verdicts for accounts the signing node never announced are held back', ghost.deferred === 1, ghost);
+    const borrowed = await gossipTo(first, [forgedVerdict(second.identity, target.id, first.users.get('verifier-1-1').id)]);
+    check('Verdicts for another node\'s account are rejected', borrowed.rejected === 1, borrowed);
+    const malformed = await gossipTo(first, [malformedVerdict(second, 'verifier-2-1', target.id)]);
+    check('Verdicts with malformed evidence are rejected', malformed.rejected === 1, malformed);
+    const targetState = (await nodeState(first)).deals.find(d => d.id === target.id);
+    check('Forged verdicts are not counted', targetState.verifications.length === 0 && targetState.consensus === 'pending',
+      targetState);
+
+    // Partitioned: both sides verify the same deal, in opposite directions
+    const contested = await submit(first, 'submitter-1', 'contested deal');
+    await waitFor('the contested deal to reach every node', () => everyNodeHas(contested.id), options.timeout);
+
+    const majority = nodes.filter(node => node !== isolated);
+    await partition(isolated, majority.map(node => node.url));
+    for (const node of majority) {
+      await partition(node, [isolated.url]);
+    }
+
+    for (let v = 1; v <= 3; v++) {
+      await verify(first, `verifier-1-${v}`, contested.id, 'valid');
+    }
+    for (let v = 1; v <= 3; v++) {
+      await verify(isolated, `verifier-${isolated.index + 1}-${v}`, contested.id, 'invalid');
+    }
+    const stranded = await submit(isolated, `submitter-${isolated.index + 1}`, 'deal posted during the partition');
+
+    await sleep(1000);
+    states = await allStates();
+    check('Partitioned nodes diverge',
+      states.some(s => s.fingerprint !== states[0].fingerprint), outcomeOn(states, contested.id));
+
+    // Healed: anti-entropy brings every node to the same state
+    for (const node of nodes) {
+      await partition(node, []);
+    }
+    states = await waitFor('nodes to converge after the partition heals', converged, options.timeout);
+
+    check('Contested deal reaches the same outcome everywhere',
+      new Set(outcomeOn(states, contested.id)).size === 1, outcomeOn(states, contested.id));
+    check('The earlier verdicts decide the contested deal',
+      outcomeOn(states, contested.id)[0] === 'verified', outcomeOn(states, contested.id));
+    const audits = await Promise.all(nodes.map(node => call(node, 'GET', `/audit/deals/${contested.id}`)));
+    check('Every audit log shows the contested outcome follows from the signed verdicts',
+      audits.every(report => report.consistent && report.warnings.length === 0),
+      audits.map(report => [...report.problems, ...report.warnings]).flat());
+    check('Deal posted during the partition reached every node',
+      outcomeOn(states, stranded.id).every(o => o !== 'missing'), outcomeOn(states, stranded.id));
+    check('Every node holds the same deals and verdicts', true, states[0].fingerprint.slice(0, 16));
+  } catch (error) {
+    check(error.message, false, null);
+  } finally {
+    await Promise.all(nodes.map(stopNode));
+  }
+
+  return checks;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const started = Date.now();
+  const checks = await run(options);
+
+  console.log(`Peer network convergence (${options.nodes} nodes, ${((Date.now() - started) / 1000).toFixed(1)}s)`);
+  checks.forEach(({ description, passed, details }) => {
+    console.log(`  ${passed ? 'PASS' : 'FAIL'}  ${description}${details ? `  ${JSON.stringify(details)}` : ''}`);
+  });
+
+  process.exit(checks.every(c => c.passed) ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
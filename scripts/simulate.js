@@ -0,0 +1,545 @@
+/**
+ * Mode comparison simulation
+ *
+ * Replays one synthetic scenario against the server in each mode and
+ * reports alert latency, false promotions/verifications and missed alerts.
+ * Honest users judge deals correctly (with an occasional mistake), lazy
+ * users rarely act and approve whatever they look at, and malicious users
+ * push fake deals and attack genuine ones.
+ *
+ * Each mode runs in a forked worker that starts a fresh in-memory server
+ * in-process with a simulated clock, so the realistic 4-hour
+ * promotionDelay applies and a simulated day takes seconds. The server
+ * keeps its default limits: users sign their verdicts, stay within the
+ * daily deal and alert caps, and retry throttled requests after the
+ * Retry-After the server sends.
+ *
+ * Usage: node scripts/simulate.js [--honest 30] [--lazy 15] [--malicious 5]
+ *   [--deals 60] [--fakeShare 0.3] [--alerts 40] [--hours 24] [--tickMinutes 1]
+ *   [--seed 42] [--modes centralized,decentralized,hybrid] [--out report.md]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+const { createSigningKey, verdictStatement } = require('../src/backend/signatures');
+
+const MODES = ['centralized', 'decentralized', 'hybrid'];
+const SIM_START = Date.UTC(2024, 0, 1);
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const ACCOUNT_AGE = 2 * 24 * HOUR;
+const PASSWORD = 'simulated-password';
+const KINDS = ['honest', 'lazy', 'malicious'];
+
+const DEFAULT_OPTIONS = {
+  honest: 30,
+  lazy: 15,
+  malicious: 5,
+  deals: 60,
+  fakeShare: 0.3,
+  alerts: 40,
+  hours: 24,
+  tickMinutes: 1,
+  seed: 42,
+  modes: MODES.join(','),
+  out: ''
+};
+
+// How each kind of user behaves: chance to look at a deal, mean reaction
+// time, and the chance of judging a genuine deal wrongly
+const BEHAVIOUR = {
+  honest: { participation: 0.5, meanDelay: 45 * MINUTE, mistakes: 0.1 },
+  lazy: { participation: 0.2, meanDelay: 3 * HOUR },
+  malicious: { fakeParticipation: 0.9, genuineParticipation: 0.3, meanDelay: 10 * MINUTE }
+};
+
+const BRANDS = ['sony', 'samsung', 'lg', 'apple', 'dell', 'lenovo'];
+const PRODUCTS = ['tv', 'laptop', 'monitor', 'headphones', 'ssd', 'console'];
+const MODIFIERS = ['pro', 'max', 'mini', 'ultra', 'oled', 'wireless'];
+const CATEGORIES = ['Electronics', 'Computers', 'Gaming'];
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option --${key}`);
+    }
+    options[key] = typeof DEFAULT_OPTIONS[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+
+  const unknownMode = options.modes.split(',').find(mode => !MODES.includes(mode));
+  if (unknownMode) {
+    throw new Error(`Unknown mode "${unknownMode}", expected one of: ${MODES.join(', ')}`);
+  }
+  return options;
+}
+
+// Small seeded PRNG so every mode replays the same scenario
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value * 1664525 + 1013904223) >>> 0;
+    return value / 4294967296;
+  };
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function exponentialDelay(random, mean) {
+  return -mean * Math.log(1 - random());
+}
+
+// = SCENARIO =
+
+// Users who can still submit at `at` without going over maxDealsPerDay in
+// any 24 hours
+function eligibleSubmitters(deals, users, at, maxDealsPerDay) {
+  return users.filter(user =>
+    deals.filter(deal => deal.submitter === user && Math.abs(deal.submitAt - at) < 24 * HOUR).length < maxDealsPerDay);
+}
+
+// limits are the server's maxDealsPerDay and maxActiveAlerts
+function createScenario(options, limits) {
+  const random = createRandom(options.seed);
+  const users = [];
+  KINDS.forEach(kind => {
+    for (let i = 0; i < options[kind]; i++) {
+      users.push({ username: `${kind}-${i}`, kind });
+    }
+  });
+
+  const byKind = kind => users.filter(user => user.kind === kind);
+  const honest = byKind('honest');
+  const fakeSubmitters = byKind('malicious').length > 0 ? byKind('malicious') : byKind('lazy');
+  if (honest.length === 0 || fakeSubmitters.length === 0) {
+    throw new Error('Need at least one honest user and one lazy or malicious user');
+  }
+
+  // Deals arrive over the first three quarters of the run so late ones can still settle
+  const submitWindow = options.hours * HOUR * 0.75;
+  const deals = [];
+  const actions = [];
+
+  for (let i = 0; i < options.deals; i++) {
+    const fake = random() < options.fakeShare;
+    const brand = pick(random, BRANDS);
+    const product = pick(random, PRODUCTS);
+    const originalPrice = Math.round(50 + random() * 1950);
+    // Fake deals advertise implausible discounts
+    const discount = fake ? 0.6 + random() * 0.25 : 0.1 + random() * 0.4;
+    const submitAt = random() * submitWindow;
+
+    // More deals than the submitters may post in a day are left out
+    const submitters = eligibleSubmitters(deals, fake ? fakeSubmitters : honest, submitAt, limits.maxDealsPerDay);
+    if (submitters.length === 0) continue;
+
+    const deal = {
+      index: i,
+      fake,
+      submitter: pick(random, submitters),
+      submitAt,
+      body: {
+        title: `${brand} ${product} ${pick(random, MODIFIERS)} model ${i}`,
+        price: Math.round(originalPrice * (1 - discount)),
+        originalPrice,
+        url: `https://shop${i % 7}.example.com/item/${i}`,
+        productCategory: pick(random, CATEGORIES)
+      }
+    };
+    deals.push(deal);
+
+    users.forEach(user => {
+      if (user === deal.submitter) return;
+      const action = userAction(random, user, deal);
+      if (action) actions.push(action);
+    });
+  }
+
+  // Alerts go round every kind of user, each owner within maxActiveAlerts
+  const kinds = KINDS.filter(kind => byKind(kind).length > 0);
+  const alerts = [];
+  for (let i = 0; i < options.alerts; i++) {
+    const owners = byKind(kinds[i % kinds.length])
+      .filter(user => alerts.filter(alert => alert.owner === user).length < limits.maxActiveAlerts);
+    if (owners.length === 0) continue;
+    alerts.push({
+      owner: pick(random, owners),
+      rule: {
+        anyKeywords: [`${pick(random, BRANDS)} ${pick(random, PRODUCTS)}`],
+        maxPrice: random() < 0.7 ? Math.round(100 + random() * 1500) : null,
+        triggerOn: 'verification',
+        // Centralized deals never collect verifications, so fire on promotion alone
+        minVerifications: 0
+      }
+    });
+  }
+
+  return { users, deals, actions, alerts };
+}
+
+// One user's reaction to one deal, or null if they never look at it
+function userAction(random, user, deal) {
+  const behaviour = BEHAVIOUR[user.kind];
+  let participation = behaviour.participation;
+  let approve;
+
+  if (user.kind === 'honest') {
+    approve = random() < behaviour.mistakes ? deal.fake : !deal.fake;
+  } else if (user.kind === 'lazy') {
+    approve = true;
+  } else {
+    participation = deal.fake ? behaviour.fakeParticipation : behaviour.genuineParticipation;
+    approve = deal.fake;
+  }
+
+  if (random() >= participation) return null;
+  return {
+    user,
+    deal,
+    approve,
+    at: deal.submitAt + exponentialDelay(random, behaviour.meanDelay)
+  };
+}
+
+// = WORKER: one mode against a fresh in-process server =
+
+async function runMode(mode, options) {
+  // Always a fresh in-memory store, never the developer's data file
+  delete process.env.DEALBUSTER_DATA_FILE;
+
+  const clock = require('../src/backend/clock');
+  const { alertMatchesDeal } = require('../src/backend/alertRules');
+  const { state, startServer, runPromotionCycle, sweepExpiredDeals } = require('../src/backend/server');
+
+  let simulatedTime = SIM_START;
+  clock.setClock(() => simulatedTime);
+
+  // Every other setting keeps its default, limits included
+  state.config.mode = mode;
+  state.config.promotionDelaySimulated = null; // realistic promotionDelay
+
+  const server = startServer({ port: 0, scheduler: false });
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  let failedRequests = 0;
+  let throttledRequests = 0;
+  // The response data, null when refused, or { retryAfter } in ms when throttled
+  async function call(method, route, token, body) {
+    const response = await fetch(`${base}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (response.status === 429) {
+      throttledRequests++;
+      return { retryAfter: data.retryAfter * 1000 };
+    }
+    if (!response.ok) {
+      failedRequests++;
+      return null;
+    }
+    return data;
+  }
+
+  // Before the run, waiting out a throttle just moves the clock on
+  async function setupCall(method, route, token, body) {
+    for (;;) {
+      const data = await call(method, route, token, body);
+      if (!data || !data.retryAfter) return data;
+      simulatedTime += data.retryAfter;
+    }
+  }
+
+  const scenario = createScenario(options, state.config);
+  const sessions = new Map(); // user -> { id, token, signingKey }
+  // Accounts exist before the run starts, so none are still on verifier probation.
+  // Each signs its verdicts with its own key, as the browser does.
+  simulatedTime = SIM_START - ACCOUNT_AGE;
+  for (const user of scenario.users) {
+    const data = await setupCall('POST', '/users/register', null, { username: user.username, password: PASSWORD });
+    const signingKey = createSigningKey();
+    await setupCall('POST', '/users/me/keys', data.token, { publicKey: signingKey.publicKey });
+    sessions.set(user, { id: data.user.id, token: data.token, signingKey });
+  }
+
+  const alertIds = [];
+  for (const alert of scenario.alerts) {
+    const data = await setupCall('POST', '/alerts', sessions.get(alert.owner).token, alert.rule);
+    if (data) alertIds.push(data.alert.id);
+  }
+
+  simulatedTime = SIM_START;
+
+  const dealIds = new Map();
+  const usesPromotion = mode !== 'decentralized';
+  const usesConsensus = mode !== 'centralized';
+
+  // Nobody disputes a deal in the simulation, so every verdict is for round 1
+  function signedVerdict(session, dealId, verdict) {
+    const signedAt = simulatedTime;
+    const statement = verdictStatement({ dealId, round: 1, verifierId: session.id, verdict, signedAt });
+    return { verdict, signature: { keyId: session.signingKey.keyId, signedAt, value: session.signingKey.sign(statement) } };
+  }
+
+  // How long to wait before retrying the event, or 0 when it is done
+  async function perform(event) {
+    const session = sessions.get(event.user);
+    let data = null;
+    if (event.type === 'submit') {
+      data = await call('POST', '/deals', session.token, event.deal.body);
+      if (data && data.deal) dealIds.set(event.deal, data.deal.id);
+    } else if (dealIds.has(event.deal)) {
+      const dealId = dealIds.get(event.deal);
+      // The deal card shows a decided round, so nobody verifies it any more
+      if (event.type === 'verify' && state.deals.get(dealId).outcomes.consensus.status !== 'pending') return 0;
+      data = event.type === 'vote' ?
+        await call('POST', `/deals/${dealId}/vote`, session.token, { direction: event.approve ? 'up' : 'down' }) :
+        await call('POST', `/deals/${dealId}/verify`, session.token, signedVerdict(session, dealId, event.approve ? 'valid' : 'invalid'));
+    }
+    return data && data.retryAfter ? data.retryAfter : 0;
+  }
+
+  const events = [
+    ...scenario.deals.map(deal => ({ type: 'submit', at: deal.submitAt, user: deal.submitter, deal })),
+    ...scenario.actions.flatMap(action => [
+      ...(usesPromotion ? [{ type: 'vote', ...action }] : []),
+      ...(usesConsensus ? [{ type: 'verify', ...action }] : [])
+    ])
+  ].sort((a, b) => a.at - b.at);
+
+  // A throttled event goes back in the queue for when the server said to retry
+  function reschedule(event, index) {
+    let position = index;
+    while (position < events.length && events[position].at <= event.at) position++;
+    events.splice(position, 0, event);
+  }
+
+  // Step the clock one scheduler tick at a time, replaying the events due
+  const horizon = options.hours * HOUR;
+  const tick = options.tickMinutes * MINUTE;
+  let next = 0;
+  for (let elapsed = 0; elapsed <= horizon; elapsed += tick) {
+    while (next < events.length && events[next].at <= elapsed) {
+      const event = events[next++];
+      simulatedTime = SIM_START + event.at;
+      const retryAfter = await perform(event);
+      if (retryAfter) reschedule({ ...event, at: event.at + retryAfter }, next);
+    }
+    simulatedTime = SIM_START + elapsed;
+    runPromotionCycle();
+    sweepExpiredDeals();
+  }
+
+  server.close();
+  return summarize(scenario, dealIds, alertIds, { failedRequests, throttledRequests }, state, alertMatchesDeal);
+}
+
+function summarize(scenario, dealIds, alertIds, requests, state, alertMatchesDeal) {
+  const deals = scenario.deals
+    .filter(sim => dealIds.has(sim))
+    .map(sim => ({ fake: sim.fake, deal: state.deals.get(dealIds.get(sim)) }));
+  const genuine = deals.filter(entry => !entry.fake);
+  const fake = deals.filter(entry => entry.fake);
+
+  const everPromoted = entry => entry.deal.promotedAt !== null;
+  const consensusIs = status => entry => entry.deal.outcomes.consensus.status === status;
+
+  // An alert should fire for every genuine deal its rule matches
+  const alerts = alertIds.map(id => state.alerts.get(id));
+  const expected = new Set();
+  alerts.forEach(alert => {
+    genuine.forEach(({ deal }) => {
+      if (alertMatchesDeal(alert, deal, 'verification')) expected.add(`${alert.id}:${deal.id}`);
+    });
+  });
+
+  // Fired / expected per kind of alert owner
+  const kindOf = new Map(scenario.users.map(user => [user.username, user.kind]));
+  const ownerKind = new Map(alerts.map(alert => [alert.id, kindOf.get(state.users.get(alert.userId).username)]));
+  const alertsByKind = {};
+  KINDS.forEach(kind => { alertsByKind[kind] = { fired: 0, expected: 0 }; });
+  expected.forEach(pair => { alertsByKind[ownerKind.get(pair.split(':')[0])].expected++; });
+
+  const fakeIds = new Set(fake.map(entry => entry.deal.id));
+  const latencies = [];
+  let fired = 0;
+  let onFakeDeals = 0;
+  Array.from(state.notifications.values()).forEach(notification => {
+    if (!alertIds.includes(notification.alertId)) return;
+    if (fakeIds.has(notification.dealId)) {
+      onFakeDeals++;
+    } else if (expected.has(`${notification.alertId}:${notification.dealId}`)) {
+      fired++;
+      alertsByKind[ownerKind.get(notification.alertId)].fired++;
+      latencies.push(notification.latency);
+    }
+  });
+
+  return {
+    genuineDeals: genuine.length,
+    fakeDeals: fake.length,
+    genuinePromoted: genuine.filter(everPromoted).length,
+    falsePromotions: fake.filter(everPromoted).length,
+    genuineVerified: genuine.filter(consensusIs('verified')).length,
+    falseVerifications: fake.filter(consensusIs('verified')).length,
+    genuineRejected: genuine.filter(consensusIs('rejected')).length,
+    fakeRejected: fake.filter(consensusIs('rejected')).length,
+    expectedAlerts: expected.size,
+    firedAlerts: fired,
+    alertsByKind,
+    missedAlerts: expected.size - fired,
+    alertsOnFakeDeals: onFakeDeals,
+    latencies: latencies.sort((a, b) => a - b),
+    flaggedAccounts: flaggedByKind(scenario, state),
+    ...requests
+  };
+}
+
+// Accounts the collusion detector flagged, per kind of user
+function flaggedByKind(scenario, state) {
+  const flagged = new Set(Array.from(state.users.values())
+    .filter(user => user.collusionFlag)
+    .map(user => user.username));
+
+  const counts = {};
+  scenario.users.forEach(user => {
+    counts[user.kind] = (counts[user.kind] || 0) + (flagged.has(user.username) ? 1 : 0);
+  });
+  return counts;
+}
+
+// = REPORT =
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function formatDuration(ms) {
+  if (ms === null) return '-';
+  if (ms < MINUTE) return `${Math.round(ms / 1000)}s`;
+  if (ms < HOUR) return `${Math.round(ms / MINUTE)}m`;
+  return `${Math.floor(ms / HOUR)}h ${Math.round((ms % HOUR) / MINUTE)}m`;
+}
+
+const LATENCY_BUCKETS = [
+  { label: '< 15m', max: 15 * MINUTE },
+  { label: '15m - 1h', max: HOUR },
+  { label: '1h - 4h', max: 4 * HOUR },
+  { label: '4h - 12h', max: 12 * HOUR },
+  { label: '>= 12h', max: Infinity }
+];
+
+function histogram(latencies) {
+  let previous = 0;
+  return LATENCY_BUCKETS.map(bucket => {
+    const count = latencies.filter(ms => ms >= previous && ms < bucket.max).length;
+    previous = bucket.max;
+    return count;
+  });
+}
+
+function table(header, rows) {
+  const lines = [`| ${header.join(' | ')} |`, `|${header.map(() => '---').join('|')}|`];
+  rows.forEach(row => lines.push(`| ${row.join(' | ')} |`));
+  return lines.join('\n');
+}
+
+function formatReport(options, results) {
+  const modes = Object.keys(results);
+  const row = (label, value) => [label, ...modes.map(mode => value(results[mode]))];
+  const ratio = (part, whole) => `${part} / ${whole}`;
+
+  const summary = table(['Metric', ...modes], [
+    row('Genuine deals promoted (ever)', r => ratio(r.genuinePromoted, r.genuineDeals)),
+    row('Genuine deals verified', r => ratio(r.genuineVerified, r.genuineDeals)),
+    row('Genuine deals rejected', r => ratio(r.genuineRejected, r.genuineDeals)),
+    row('False promotions (fake deals promoted)', r => ratio(r.falsePromotions, r.fakeDeals)),
+    row('False verifications (fake deals verified)', r => ratio(r.falseVerifications, r.fakeDeals)),
+    row('Fake deals rejected', r => ratio(r.fakeRejected, r.fakeDeals)),
+    row('Alerts fired / expected', r => ratio(r.firedAlerts, r.expectedAlerts)),
+    row('Alerts fired / expected (honest, lazy, malicious owners)', r =>
+      KINDS.map(kind => ratio(r.alertsByKind[kind].fired, r.alertsByKind[kind].expected)).join(', ')),
+    row('Missed alerts', r => r.missedAlerts),
+    row('Alerts on fake deals', r => r.alertsOnFakeDeals),
+    row('Alert latency p50', r => formatDuration(percentile(r.latencies, 50))),
+    row('Alert latency p90', r => formatDuration(percentile(r.latencies, 90))),
+    row('Alert latency p99', r => formatDuration(percentile(r.latencies, 99))),
+    row('Alert latency max', r => formatDuration(percentile(r.latencies, 100))),
+    row('Flagged accounts (honest / lazy / malicious)', r =>
+      KINDS.map(kind => r.flaggedAccounts[kind] || 0).join(' / ')),
+    row('Throttled API requests (retried)', r => r.throttledRequests),
+    row('Rejected API requests', r => r.failedRequests)
+  ]);
+
+  const distribution = table(['Alert latency', ...modes], LATENCY_BUCKETS.map((bucket, i) =>
+    [bucket.label, ...modes.map(mode => histogram(results[mode].latencies)[i])]));
+
+  return [
+    '# Dealbuster mode comparison',
+    '',
+    `Users: ${options.honest} honest, ${options.lazy} lazy, ${options.malicious} malicious. ` +
+      `Deals: ${options.deals} (${Math.round(options.fakeShare * 100)}% fake). Alerts: ${options.alerts}. ` +
+      `Simulated ${options.hours}h with ${options.tickMinutes}m scheduler ticks, seed ${options.seed}.`,
+    '',
+    summary,
+    '',
+    distribution,
+    ''
+  ].join('\n');
+}
+
+// Run one mode in a child process so each gets fresh server state
+function runWorker(mode, options) {
+  return new Promise((resolve, reject) => {
+    // Server logs would drown the report; errors still reach stderr
+    const child = fork(__filename, ['--worker', mode, JSON.stringify(options)], {
+      stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+    });
+    let result = null;
+    child.on('message', message => { result = message; });
+    child.on('exit', code => {
+      if (code === 0 && result) {
+        resolve(result);
+      } else {
+        reject(new Error(`Simulation of ${mode} mode failed (exit code ${code})`));
+      }
+    });
+  });
+}
+
+async function main() {
+  if (process.argv[2] === '--worker') {
+    const result = await runMode(process.argv[3], JSON.parse(process.argv[4]));
+    // The server module holds WebSocket and store handles open
+    process.send(result, () => process.exit(0));
+    return;
+  }
+
+  const options = parseArgs(process.argv.slice(2));
+  const results = {};
+  for (const mode of options.modes.split(',')) {
+    const started = Date.now();
+    results[mode] = await runWorker(mode, options);
+    console.error(`Simulated ${mode} mode in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  }
+
+  const report = formatReport(options, results);
+  console.log(report);
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), report);
+    console.error(`Report written to ${options.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+/**
+ * Audit log verifier
+ *
+ * Downloads a server's audit log and checks it without trusting the
+ * server: the hash chain must be intact, every verdict must carry a valid
+ * signature from its verifier's key, and each deal's recorded consensus
+ * outcome must follow from its signed verdicts. Pass a head hash saved
+ * earlier with --head to confirm the log was only appended to since.
+ *
+ * Exits non-zero when any check fails.
+ *
+ * Usage: node scripts/verifyAudit.js [--url http://localhost:3000] [--deal <dealId>] [--head <hash>]
+ */
+
+const { verifyChain, auditDeal } = require('../src/backend/auditLog');
+
+const DEFAULT_OPTIONS = {
+  url: 'http://localhost:3000',
+  deal: '',
+  head: ''
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) {
+      throw new Error(`Unknown option --${key}`);
+    }
+    options[key] = argv[i + 1];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const response = await fetch(`${options.url.replace(/\/+$/, '')}/api/audit/log`);
+  if (!response.ok) {
+    throw new Error(`Could not download the audit log: ${response.status}`);
+  }
+  const { entries } = await response.json();
+
+  let failed = false;
+  const chain = verifyChain(entries);
+  if (chain.valid) {
+    console.log(`Chain intact: ${chain.length} entries, head ${chain.head.seq} ${chain.head.hash}`);
+  } else {
+    console.log(`Chain broken at entry ${chain.brokenAt}: ${chain.reason}`);
+    failed = true;
+  }
+
+  if (options.head) {
+    const known = entries.find(entry => entry.hash === options.head);
+    console.log(known ?
+      `Earlier head ${options.head.slice(0, 16)} is entry ${known.seq}; the log was only appended to since` :
+      `Earlier head ${options.head.slice(0, 16)} is not in the log; it was rewritten`);
+    failed = failed || !known;
+  }
+
+  const dealIds = options.deal ? [options.deal] :
+    entries.filter(entry => entry.type === 'deal').map(entry => entry.dealId);
+
+  dealIds.forEach(dealId => {
+    const report = auditDeal(entries, dealId);
+    const verdicts = report.found ? `${report.verdicts.length} verdicts` : 'not found';
+    console.log(`${report.consistent ? 'OK  ' : 'FAIL'}  ${dealId}  ${report.status || ''}  ${verdicts}`);
+    report.problems.filter(problem => !problem.startsWith('Chain')).forEach(problem => console.log(`        ${problem}`));
+    report.warnings.forEach(warning => console.log(`        (${warning})`));
+    failed = failed || !report.consistent;
+  });
+
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
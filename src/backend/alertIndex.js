@@ -0,0 +1,192 @@
+/**
+ * Indexed alert matching for Dealbuster
+ *
+ * Instead of evaluating every alert for every deal, alerts are indexed per
+ * trigger point by a three-character piece of a keyword every match must
+ * contain (or by category when the rule has no keywords), plus a list
+ * sorted by maxPrice. Keywords match as substrings, so a deal's text
+ * contains every piece of a matching keyword. Only alerts found in both
+ * are evaluated with alertMatchesDeal().
+ */
+
+const { dealText, alertMatchesDeal } = require('./alertRules');
+
+const GRAM_LENGTH = 3;
+
+// Keywords shorter than a gram are checked against every deal
+function gramKey(keyword) {
+  return keyword.length < GRAM_LENGTH ? 'short' : `gram:${keyword.slice(0, GRAM_LENGTH)}`;
+}
+
+// Every gram of the text; a keyword it contains starts with one of them
+function textGrams(text) {
+  const grams = new Set();
+  for (let i = 0; i + GRAM_LENGTH <= text.length; i++) {
+    grams.add(text.slice(i, i + GRAM_LENGTH));
+  }
+  return grams;
+}
+
+// Index keys an alert is filed under; a matching deal always hits one of them
+function indexKeys(alert) {
+  const anyKeywords = alert.anyKeywords || (alert.productKeywords ? [String(alert.productKeywords).toLowerCase()] : []);
+  const allKeywords = alert.allKeywords || [];
+
+  // Every "all" keyword must match, so the longest one alone decides
+  if (allKeywords.length > 0) {
+    const longest = allKeywords.reduce((a, b) => (b.length > a.length ? b : a));
+    return [gramKey(longest)];
+  }
+
+  // At least one "any" keyword must match, so one gram from each covers it
+  if (anyKeywords.length > 0) {
+    return Array.from(new Set(anyKeywords.map(gramKey)));
+  }
+
+  return [`category:${String(alert.category).toLowerCase()}`];
+}
+
+function maxPriceOf(alert) {
+  return alert.maxPrice === null || alert.maxPrice === undefined ? Infinity : alert.maxPrice;
+}
+
+// First position in entries (sorted by maxPrice) whose maxPrice >= price
+function lowerBound(entries, price) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entries[mid].maxPrice < price) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function createTriggerIndex() {
+  const keys = new Map(); // index key -> Set<alertId>
+  const byPrice = []; // { maxPrice, alertId } sorted by maxPrice
+  const maxPrices = new Map(); // alertId -> maxPrice
+
+  return {
+    add(alert) {
+      indexKeys(alert).forEach(key => {
+        if (!keys.has(key)) keys.set(key, new Set());
+        keys.get(key).add(alert.id);
+      });
+
+      const entry = { maxPrice: maxPriceOf(alert), alertId: alert.id };
+      byPrice.splice(lowerBound(byPrice, entry.maxPrice), 0, entry);
+      maxPrices.set(alert.id, entry.maxPrice);
+    },
+
+    remove(alert) {
+      indexKeys(alert).forEach(key => {
+        const ids = keys.get(key);
+        if (!ids) return;
+        ids.delete(alert.id);
+        if (ids.size === 0) keys.delete(key);
+      });
+
+      const maxPrice = maxPrices.get(alert.id);
+      maxPrices.delete(alert.id);
+      for (let i = lowerBound(byPrice, maxPrice); i < byPrice.length && byPrice[i].maxPrice === maxPrice; i++) {
+        if (byPrice[i].alertId === alert.id) {
+          byPrice.splice(i, 1);
+          break;
+        }
+      }
+    },
+
+    candidates(deal, text) {
+      const byKey = new Set();
+      const lookups = [...Array.from(textGrams(text), gram => `gram:${gram}`), 'short', `category:${String(deal.productCategory).toLowerCase()}`];
+      lookups.forEach(key => {
+        const ids = keys.get(key);
+        if (ids) ids.forEach(id => byKey.add(id));
+      });
+
+      // Intersect with the price range, walking whichever side is smaller
+      const start = lowerBound(byPrice, deal.price);
+      const affordable = byPrice.length - start;
+      const result = [];
+
+      if (byKey.size <= affordable) {
+        byKey.forEach(id => {
+          if (maxPrices.get(id) >= deal.price) result.push(id);
+        });
+      } else {
+        for (let i = start; i < byPrice.length; i++) {
+          if (byKey.has(byPrice[i].alertId)) result.push(byPrice[i].alertId);
+        }
+      }
+      return result;
+    },
+
+    get size() {
+      return byPrice.length;
+    }
+  };
+}
+
+function createAlertIndex() {
+  const alerts = new Map();
+  const triggers = new Map();
+  let evaluated = 0; // alert rules fully evaluated by match()
+
+  function triggerIndex(trigger) {
+    if (!triggers.has(trigger)) triggers.set(trigger, createTriggerIndex());
+    return triggers.get(trigger);
+  }
+
+  function remove(alertId) {
+    const alert = alerts.get(alertId);
+    if (!alert) return false;
+    triggerIndex(alert.triggerOn || 'verification').remove(alert);
+    alerts.delete(alertId);
+    return true;
+  }
+
+  return {
+    add(alert) {
+      remove(alert.id);
+      alerts.set(alert.id, alert);
+      triggerIndex(alert.triggerOn || 'verification').add(alert);
+    },
+
+    remove,
+
+    // Candidate alert ids for a deal, before full rule evaluation
+    candidates(deal, trigger) {
+      const index = triggers.get(trigger);
+      return index ? index.candidates(deal, dealText(deal)) : [];
+    },
+
+    // Alerts whose rules fully match the deal
+    match(deal, trigger) {
+      const index = triggers.get(trigger);
+      if (!index) return [];
+
+      const text = dealText(deal);
+      const candidates = index.candidates(deal, text);
+      evaluated += candidates.length;
+      return candidates
+        .map(id => alerts.get(id))
+        .filter(alert => alertMatchesDeal(alert, deal, trigger, text));
+    },
+
+    get size() {
+      return alerts.size;
+    },
+
+    get evaluated() {
+      return evaluated;
+    }
+  };
+}
+
+module.exports = {
+  createAlertIndex
+};
@@ -0,0 +1,130 @@
+/**
+ * Alert rules for Dealbuster
+ *
+ * A rule combines keyword lists, an exact category, a price range, a
+ * minimum discount, an optional "new historical lows only" switch and a
+ * trigger point. Keywords match as case-insensitive substrings of the deal
+ * title or category.
+ */
+
+const TRIGGER_POINTS = ['submission', 'verification']; // verification also covers promotion
+
+function toKeywordList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list
+    .map(keyword => String(keyword).trim().toLowerCase())
+    .filter(keyword => keyword.length > 0);
+}
+
+// Lowercase alphanumeric words
+function tokenize(text) {
+  return String(text).toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 0);
+}
+
+// What keywords are matched against
+function dealText(deal) {
+  return `${deal.title} ${deal.productCategory}`.toLowerCase();
+}
+
+function toOptionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return Number(value);
+}
+
+function discountPercent(deal) {
+  if (!deal.originalPrice || deal.originalPrice <= 0) return 0;
+  return (1 - deal.price / deal.originalPrice) * 100;
+}
+
+// Returns { error } or { rule } with normalized fields
+function validateAlertRule(body) {
+  const {
+    productKeywords, anyKeywords, allKeywords, excludedKeywords,
+    category, minPrice, maxPrice, minDiscountPercent, minVerifications, triggerOn, newLowsOnly
+  } = body || {};
+
+  // productKeywords is the original single-phrase field; it joins the "any" list
+  const rule = {
+    anyKeywords: [...toKeywordList(anyKeywords), ...toKeywordList(productKeywords && [productKeywords])],
+    allKeywords: toKeywordList(allKeywords),
+    excludedKeywords: toKeywordList(excludedKeywords),
+    category: category ? String(category).trim() : null,
+    minPrice: toOptionalNumber(minPrice),
+    maxPrice: toOptionalNumber(maxPrice),
+    minDiscountPercent: toOptionalNumber(minDiscountPercent),
+    newLowsOnly: newLowsOnly === true || newLowsOnly === 'true',
+    triggerOn: triggerOn || 'verification',
+    minVerifications: null
+  };
+
+  if (rule.anyKeywords.length === 0 && rule.allKeywords.length === 0 && !rule.category) {
+    return { error: 'At least one keyword or a category is required' };
+  }
+
+  for (const field of ['minPrice', 'maxPrice', 'minDiscountPercent']) {
+    const value = rule[field];
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      return { error: `${field} must be a non-negative number` };
+    }
+  }
+
+  if (rule.minPrice !== null && rule.maxPrice !== null && rule.minPrice > rule.maxPrice) {
+    return { error: 'minPrice cannot exceed maxPrice' };
+  }
+
+  if (rule.minDiscountPercent !== null && rule.minDiscountPercent > 100) {
+    return { error: 'minDiscountPercent cannot exceed 100' };
+  }
+
+  if (!TRIGGER_POINTS.includes(rule.triggerOn)) {
+    return { error: `triggerOn must be one of: ${TRIGGER_POINTS.join(', ')}` };
+  }
+
+  // Deals have no verifications yet at submission time
+  const defaultVerifications = rule.triggerOn === 'submission' ? 0 : 3;
+  rule.minVerifications = toOptionalNumber(minVerifications);
+  if (rule.minVerifications === null) {
+    rule.minVerifications = defaultVerifications;
+  } else if (!Number.isInteger(rule.minVerifications) || rule.minVerifications < 0) {
+    return { error: 'minVerifications must be a non-negative integer' };
+  }
+
+  return { rule };
+}
+
+// Pass precomputed dealText(deal) when checking many alerts against one deal
+function alertMatchesDeal(alert, deal, trigger, text = dealText(deal)) {
+  if ((alert.triggerOn || 'verification') !== trigger) return false;
+
+  // Alerts stored before rules existed only have a productKeywords phrase
+  const anyKeywords = alert.anyKeywords || (alert.productKeywords ? [String(alert.productKeywords).toLowerCase()] : []);
+  const allKeywords = alert.allKeywords || [];
+  const excludedKeywords = alert.excludedKeywords || [];
+
+  if (anyKeywords.length > 0 && !anyKeywords.some(keyword => text.includes(keyword))) return false;
+  if (!allKeywords.every(keyword => text.includes(keyword))) return false;
+  if (excludedKeywords.some(keyword => text.includes(keyword))) return false;
+
+  // Records are not trusted to hold strings; a bad one must not break matching for every deal
+  if (alert.category && String(alert.category).toLowerCase() !== String(deal.productCategory).toLowerCase()) return false;
+
+  if (alert.minPrice !== null && alert.minPrice !== undefined && deal.price < alert.minPrice) return false;
+  if (alert.maxPrice !== null && alert.maxPrice !== undefined && deal.price > alert.maxPrice) return false;
+
+  if (alert.minDiscountPercent && discountPercent(deal) < alert.minDiscountPercent) return false;
+
+  // Only prices below everything recorded for the product (see products.js)
+  if (alert.newLowsOnly && !(deal.priceScore && deal.priceScore.newLow)) return false;
+
+  return deal.verifications.length >= (alert.minVerifications || 0);
+}
+
+module.exports = {
+  TRIGGER_POINTS,
+  tokenize,
+  dealText,
+  discountPercent,
+  validateAlertRule,
+  alertMatchesDeal
+};
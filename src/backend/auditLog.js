@@ -0,0 +1,348 @@
+/**
+ * Tamper-evident audit log for Dealbuster
+ *
+ * Every account, deal, vote, verification, signing key, reputation change,
+ * collusion flag, consensus decision and status change is appended as an
+ * entry that holds the hash of the entry before it, so editing, reordering
+ * or dropping any entry breaks every hash after it. auditDeal() replays one
+ * deal from a downloaded log: it checks the chain, that every verdict is
+ * signed with a key logged for its verifier, and that the recorded consensus
+ * outcome follows from the signed verdicts weighed by the reputation the
+ * log gives their verifiers.
+ */
+
+const crypto = require('crypto');
+const { canonicalJson } = require('./peers');
+const { validateEvidence } = require('./evidence');
+const { tallyConsensus } = require('./consensus');
+const { verificationSignatureError } = require('./signatures');
+
+const GENESIS_HASH = '0'.repeat(64);
+const OUTCOMES = { valid: 'verified', invalid: 'rejected' };
+
+function entryHash({ seq, prevHash, type, dealId, data, timestamp }) {
+  return crypto.createHash('sha256').update(canonicalJson({ seq, prevHash, type, dealId, data, timestamp })).digest('hex');
+}
+
+// Downloaded logs are untrusted; anything else breaks the chain where it sits
+function isEntry(entry) {
+  return Boolean(entry) && typeof entry === 'object' && Number.isInteger(entry.seq) &&
+    Boolean(entry.data) && typeof entry.data === 'object';
+}
+
+function inOrder(entries) {
+  return Array.from(entries).sort((a, b) => a.seq - b.seq);
+}
+
+// entries is the store collection (seq -> entry); save persists one entry
+function createAuditLog({ entries, save, now }) {
+  let head = inOrder(entries.values()).pop() || null;
+
+  return {
+    append(type, dealId, data) {
+      const entry = {
+        id: head ? head.seq + 1 : 1,
+        seq: head ? head.seq + 1 : 1,
+        prevHash: head ? head.hash : GENESIS_HASH,
+        type,
+        dealId: dealId || null,
+        // A copy, so later changes to the record cannot change the hash
+        data: JSON.parse(JSON.stringify(data)),
+        timestamp: now()
+      };
+      entry.hash = entryHash(entry);
+      save(entry);
+      head = entry;
+      return entry;
+    },
+
+    head() {
+      return head ? { seq: head.seq, hash: head.hash } : { seq: 0, hash: GENESIS_HASH };
+    },
+
+    entries(after = 0) {
+      return inOrder(entries.values()).filter(entry => entry.seq > after);
+    }
+  };
+}
+
+// Walk the chain from the first entry: { valid, length, head, brokenAt, reason }
+function verifyChain(entries) {
+  let prevHash = GENESIS_HASH;
+  let seq = 0;
+
+  const wellFormed = Array.from(entries).filter(isEntry);
+  if (wellFormed.length !== entries.length) {
+    return { valid: false, length: entries.length, head: { seq, hash: prevHash }, brokenAt: null, reason: 'log holds malformed entries' };
+  }
+
+  for (const entry of inOrder(wellFormed)) {
+    let reason = null;
+    if (entry.seq !== seq + 1) reason = `expected entry ${seq + 1}`;
+    else if (entry.prevHash !== prevHash) reason = 'previous hash does not match';
+    else if (entry.hash !== entryHash(entry)) reason = 'entry hash does not match its contents';
+
+    if (reason) {
+      return { valid: false, length: entries.length, head: { seq, hash: prevHash }, brokenAt: entry.seq, reason };
+    }
+    prevHash = entry.hash;
+    seq = entry.seq;
+  }
+
+  return { valid: true, length: entries.length, head: { seq, hash: prevHash }, brokenAt: null, reason: null };
+}
+
+// Registration, keys, reputation changes and collusion flags per account, in log order
+function accountHistories(ordered) {
+  const accounts = new Map();
+  const history = userId => {
+    if (!accounts.has(userId)) accounts.set(userId, { user: null, keys: [], reputation: [], collusion: [] });
+    return accounts.get(userId);
+  };
+  ordered.forEach(entry => {
+    if (entry.type === 'user' && !history(entry.data.userId).user) history(entry.data.userId).user = entry;
+    if (entry.type === 'key') history(entry.data.userId).keys.push(entry);
+    if (entry.type === 'reputation') history(entry.data.userId).reputation.push(entry);
+    if (entry.type === 'collusion') history(entry.data.userId).collusion.push(entry);
+  });
+  return accounts;
+}
+
+// Why a verdict's key is not one logged for its verifier before the verdict, or null.
+// Keys of peer accounts are logged with the node that announced them.
+function keyError(verification, history, seq) {
+  const { keyId, publicKey } = verification.signature;
+  const key = history && history.keys.find(entry =>
+    entry.seq < seq && entry.data.keyId === keyId && entry.data.publicKey === publicKey);
+  if (!key) return 'Key was not registered to the verifier';
+  const keyNode = key.data.origin ? key.data.origin.nodeId : null;
+  const verdictNode = verification.origin ? verification.origin.nodeId : null;
+  return keyNode === verdictNode ? null : 'Key was registered by another node than the verdict came from';
+}
+
+// A local account's reputation just before entry `seq`, or null when its
+// registration was not logged by then
+function reputationAt(history, seq) {
+  if (!history || !history.user || history.user.seq >= seq || history.user.data.origin) return null;
+  let balance = history.user.data.reputationScore;
+  history.reputation.forEach(entry => {
+    if (entry.seq < seq) balance = entry.data.balance;
+  });
+  return balance;
+}
+
+function flaggedAt(history, seq) {
+  let flagged = false;
+  history.collusion.forEach(entry => {
+    if (entry.seq < seq) flagged = Boolean(entry.data.flag);
+  });
+  return flagged;
+}
+
+// Why an account's reputation changes do not add up, or are not paid for a
+// decided deal, up to entry `seq`
+function ledgerProblems(history, seq, decidedAt) {
+  const problems = [];
+  if (!history.user || history.user.data.origin) return problems;
+  let balance = history.user.data.reputationScore;
+  history.reputation.filter(entry => entry.seq < seq).forEach(entry => {
+    const { delta, dealId } = entry.data;
+    if (Math.abs(balance + delta - entry.data.balance) > 1e-9) {
+      problems.push(`Reputation of ${history.user.data.username} does not add up at entry ${entry.seq}`);
+    }
+    if (!(decidedAt.get(entry.dealId) < entry.seq)) {
+      problems.push(`Reputation change at entry ${entry.seq} is for deal ${dealId || entry.dealId}, which had no decision yet`);
+    }
+    balance = entry.data.balance;
+  });
+  return problems;
+}
+
+// The weight a verdict should count for, from entries anyone can check: the
+// verifier's logged reputation and collusion flag at the decision, or when
+// the verdict was cast on a peer network (the snapshot every node counts).
+// A snapshot from another node cannot be checked here, so like on every node
+// it counts up to the decision's cap. null when the log cannot tell.
+function derivedWeight(verification, castSeq, decisionSeq, weighting, accounts) {
+  const { flaggedVerdictWeight, maxVerdictWeight } = weighting;
+  const snapshot = weighting.snapshot;
+  if (snapshot && verification.origin) {
+    return { weight: Math.min(verification.weight, maxVerdictWeight), share: verification.share };
+  }
+
+  const history = accounts.get(verification.verifierId);
+  const seq = snapshot ? castSeq : decisionSeq;
+  const reputation = reputationAt(history, seq);
+  if (reputation === null) return null;
+
+  // A snapshot records the share in force when cast; it must be below 1 for a flagged account
+  const flagged = flaggedAt(history, seq);
+  const share = !flagged ? 1 : snapshot ? verification.share : flaggedVerdictWeight;
+  if (flagged && !(share < 1)) return { error: 'counts in full although its verifier was flagged for collusion' };
+  const weight = reputation * share;
+  if (snapshot && Math.abs(weight - verification.weight) > 1e-9) {
+    return { error: `carries weight ${verification.weight} but its verifier's logged reputation gives ${weight}` };
+  }
+  return { weight: snapshot ? Math.min(weight, maxVerdictWeight) : weight, share };
+}
+
+// The verdict as the verifier signed it, with the weight consensus gave it
+function signedVerdict(verification, weight, share) {
+  const statement = verification.signature ? verification.signature.statement : null;
+  const signed = statement ? validateEvidence(statement.evidence, statement.signedAt).evidence : null;
+  return {
+    id: verification.id,
+    verdict: statement ? statement.verdict : verification.verdict,
+    evidence: signed || verification.evidence,
+    weight,
+    share
+  };
+}
+
+// Why a consensus entry cannot be replayed, or null
+function decisionError({ consensus, weighting }) {
+  const listed = list => Array.isArray(list) && list.every(item => item && typeof item === 'object');
+  if (!consensus || !listed(consensus.counted) || !listed(consensus.discarded) ||
+      !consensus.thresholds || typeof consensus.thresholds !== 'object') {
+    return 'does not list the verdicts and thresholds it used';
+  }
+  if (!weighting || typeof weighting !== 'object') return 'does not record how its verdicts were weighed';
+  return null;
+}
+
+// Replay one deal from the log and check its status follows from its signed verdicts
+function auditDeal(entries, dealId) {
+  const ordered = inOrder(Array.from(entries).filter(isEntry));
+  const chain = verifyChain(Array.from(entries));
+  const problems = chain.valid ? [] : [`Chain is broken at entry ${chain.brokenAt}: ${chain.reason}`];
+  const own = ordered.filter(entry => entry.dealId === dealId);
+
+  if (!own.some(entry => entry.type === 'deal')) {
+    return { dealId, found: false, chain, consistent: false, problems: [...problems, 'Deal is not in the log'], warnings: [] };
+  }
+
+  // Verdicts of duplicates merged into this deal count here too
+  const mergedFrom = ordered
+    .filter(entry => entry.type === 'status' && entry.data.to === 'merged' && entry.data.into === dealId)
+    .map(entry => entry.dealId);
+  const dealIds = [dealId, ...mergedFrom];
+
+  const warnings = [];
+
+  const verifications = new Map(); // id -> entry
+  ordered.filter(entry => entry.type === 'verification').forEach(entry => verifications.set(entry.data.id, entry));
+
+  const accounts = accountHistories(ordered);
+  const decidedAt = new Map(); // dealId -> seq of its first decision
+  ordered.filter(entry => entry.type === 'consensus' && !decidedAt.has(entry.dealId))
+    .forEach(entry => decidedAt.set(entry.dealId, entry.seq));
+
+  const verdicts = Array.from(verifications.values())
+    .filter(entry => dealIds.includes(entry.data.dealId))
+    .map(entry => {
+      const v = entry.data;
+      const error = verificationSignatureError(v, dealIds) || keyError(v, accounts.get(v.verifierId), entry.seq);
+      if (error) problems.push(`Verification ${v.id} by ${v.verifierUsername}: ${error}`);
+      return {
+        verificationId: v.id,
+        verifierId: v.verifierId,
+        verifierUsername: v.verifierUsername,
+        verdict: v.verdict,
+        keyId: v.signature ? v.signature.keyId : null,
+        origin: v.origin ? v.origin.nodeId : null,
+        signature: error || 'valid'
+      };
+    });
+
+  const statusEntries = own.filter(entry => entry.type === 'status');
+  const status = statusEntries.length > 0 ? statusEntries[statusEntries.length - 1].data.to : 'pending';
+  const decisions = own.filter(entry => entry.type === 'consensus');
+  const decision = decisions.length > 0 ? decisions[decisions.length - 1] : null;
+
+  let recomputed = null;
+  if (decision && decision.data.override) {
+    // Nothing to replay: a moderator set the outcome
+  } else if (decision && decisionError(decision.data)) {
+    problems.push(`Decision at entry ${decision.seq} ${decisionError(decision.data)}`);
+  } else if (decision) {
+    const { consensus, weighting } = decision.data;
+    const weights = new Map(consensus.counted.map(c => [c.verificationId, c]));
+    const ids = [...consensus.counted.map(c => c.verificationId), ...consensus.discarded.map(d => d.verificationId)];
+
+    // A verdict whose signature or key does not check out replays as not cast
+    const unsigned = new Set(verdicts.filter(v => v.signature !== 'valid').map(v => v.verificationId));
+
+    const inputs = [];
+    ids.forEach(id => {
+      const entry = verifications.get(id);
+      if (!entry) {
+        problems.push(`Verification ${id} counted by the decision is not in the log`);
+        return;
+      }
+      if (unsigned.has(id)) return;
+      const counted = weights.get(id) || { weight: 0, share: 1 };
+      const derived = derivedWeight(entry.data, entry.seq, decision.seq, weighting, accounts);
+      const history = accounts.get(entry.data.verifierId);
+      if (history) problems.push(...ledgerProblems(history, decision.seq, decidedAt));
+
+      if (derived && derived.error) {
+        problems.push(`Verification ${id} ${derived.error}`);
+      } else if (derived) {
+        // Discarded verdicts carry no weight in the decision either way
+        if (weights.has(id) && Math.abs(derived.weight - counted.weight) > 1e-9) {
+          problems.push(`Decision counted verification ${id} at weight ${counted.weight}, the log gives ${derived.weight}`);
+        }
+        inputs.push(signedVerdict(entry.data, derived.weight, derived.share));
+        return;
+      } else {
+        // The verifier's registration is not in the log before the verdict
+        warnings.push(`Weight of verification ${id} cannot be derived from the log; the decision's weight was used`);
+      }
+      inputs.push(signedVerdict(entry.data, counted.weight, counted.share));
+    });
+
+    const result = tallyConsensus(inputs, consensus);
+    recomputed = {
+      outcome: OUTCOMES[result.outcome] || 'pending',
+      validWeight: result.validWeight,
+      invalidWeight: result.invalidWeight,
+      validCount: result.validCount,
+      invalidCount: result.invalidCount,
+      discarded: result.discarded
+    };
+    if (recomputed.outcome !== decision.data.outcome) {
+      problems.push(`Recorded outcome ${decision.data.outcome} does not follow from the signed verdicts, which give ${recomputed.outcome}`);
+    }
+  }
+
+  if ((status === 'verified' || status === 'rejected') && (!decision || decision.data.outcome !== status)) {
+    problems.push(`Status ${status} has no matching consensus decision`);
+  }
+
+  return {
+    dealId,
+    found: true,
+    chain,
+    status,
+    decidedBy: !decision ? null : decision.data.override ? 'moderator' : 'consensus',
+    decision: decision ? {
+      seq: decision.seq,
+      outcome: decision.data.outcome,
+      round: decision.data.round,
+      override: decision.data.override,
+      timestamp: decision.timestamp
+    } : null,
+    recomputed,
+    verdicts,
+    consistent: problems.length === 0,
+    problems: Array.from(new Set(problems)),
+    warnings
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  createAuditLog,
+  verifyChain,
+  auditDeal
+};
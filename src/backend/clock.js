@@ -0,0 +1,22 @@
+/**
+ * Time source for Dealbuster
+ *
+ * Server code reads the time through now() so the simulation harness can
+ * swap the wall clock for simulated time (see scripts/simulate.js).
+ */
+
+let source = Date.now;
+
+function now() {
+  return source();
+}
+
+// Pass a function returning epoch milliseconds, or nothing to restore Date.now
+function setClock(fn) {
+  source = fn || Date.now;
+}
+
+module.exports = {
+  now,
+  setClock
+};
@@ -0,0 +1,113 @@
+/**
+ * Collusion detection for Dealbuster verifiers
+ *
+ * Compares every pair of accounts that verified the same deals. A pair is
+ * suspicious when it repeatedly verifies the same deals within seconds of
+ * each other, or always agrees and has repeatedly been outvoted together
+ * by everyone else. Suspicious pairs are joined into groups of linked
+ * accounts.
+ */
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+function tallyVerdicts(verifications) {
+  const tally = { valid: 0, invalid: 0 };
+  verifications.forEach(v => {
+    if (v.verdict === 'valid' || v.verdict === 'invalid') tally[v.verdict] += 1;
+  });
+  return tally;
+}
+
+// Did the rest of the deal's verifiers side against the pair's shared verdict?
+function againstOthers(tally, verdict) {
+  const other = verdict === 'valid' ? 'invalid' : 'valid';
+  // The pair itself is two of the verdict's votes
+  return tally[other] > tally[verdict] - 2;
+}
+
+function recordPair(pairs, deal, tally, a, b, window) {
+  const key = pairKey(a.verifierId, b.verifierId);
+  if (!pairs.has(key)) {
+    pairs.set(key, {
+      users: [a.verifierId, b.verifierId].sort(),
+      shared: 0, // deals both verified
+      agreed: 0, // ... with the same verdict
+      againstOthers: 0, // ... that the other verifiers outvoted
+      quick: 0, // ... within window of each other
+      dealIds: []
+    });
+  }
+
+  const stats = pairs.get(key);
+  stats.shared += 1;
+  stats.dealIds.push(deal.id);
+  if (a.verdict === b.verdict) {
+    stats.agreed += 1;
+    if (againstOthers(tally, a.verdict)) stats.againstOthers += 1;
+  }
+  if (Math.abs(a.timestamp - b.timestamp) <= window) stats.quick += 1;
+}
+
+// Union-find over suspicious pairs; largest groups first
+function groupAccounts(pairs) {
+  const parent = new Map();
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  pairs.forEach(({ users }) => {
+    users.forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+    parent.set(find(users[0]), find(users[1]));
+  });
+
+  const groups = new Map();
+  parent.forEach((_, id) => {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  });
+
+  return Array.from(groups.values())
+    .map(members => members.sort())
+    .sort((a, b) => b.length - a.length);
+}
+
+// Returns { pairs, groups }: suspicious pairs with their reasons, and linked accounts
+function findCollusion(deals, { window, minSharedDeals }) {
+  const pairs = new Map();
+
+  deals.forEach(deal => {
+    const verifications = deal.verifications;
+    const tally = tallyVerdicts(verifications);
+    for (let i = 0; i < verifications.length; i++) {
+      for (let j = i + 1; j < verifications.length; j++) {
+        if (verifications[i].verifierId === verifications[j].verifierId) continue;
+        recordPair(pairs, deal, tally, verifications[i], verifications[j], window);
+      }
+    }
+  });
+
+  const suspicious = [];
+  pairs.forEach(stats => {
+    const reasons = [];
+    if (stats.quick >= minSharedDeals) {
+      reasons.push('timing');
+    }
+    if (stats.agreed === stats.shared && stats.againstOthers >= minSharedDeals) {
+      reasons.push('agreement');
+    }
+    if (reasons.length > 0) suspicious.push({ ...stats, reasons });
+  });
+
+  return { pairs: suspicious, groups: groupAccounts(suspicious) };
+}
+
+module.exports = {
+  findCollusion
+};
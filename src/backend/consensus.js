@@ -0,0 +1,75 @@
+/**
+ * Weighted consensus for Dealbuster
+ *
+ * Tallies verdicts that already carry their weight, so the server and
+ * anyone replaying the audit log reach the same outcome from the same
+ * verdicts, weights and thresholds.
+ */
+
+const { evidenceConflict } = require('./evidence');
+
+// verdicts: [{ id, verdict, evidence, weight, share }]
+// thresholds: { consensusWeightThreshold, consensusMinVerifiers, consensusQuorum }
+function tallyConsensus(verdicts, { price, thresholds, priceTolerance }) {
+  const { consensusWeightThreshold, consensusMinVerifiers, consensusQuorum } = thresholds;
+  const tally = {
+    valid: { weight: 0, count: 0 },
+    invalid: { weight: 0, count: 0 }
+  };
+
+  let flaggedCount = 0;
+  const discarded = []; // { verificationId, reason }
+  const counted = []; // { verificationId, weight, share }
+
+  verdicts.forEach(v => {
+    // Replayed logs are untrusted: anything but a verdict with a numeric weight is skipped
+    const side = v.verdict === 'valid' || v.verdict === 'invalid' ? tally[v.verdict] : null;
+    if (!side || !Number.isFinite(v.weight) || !Number.isFinite(v.share)) return;
+
+    // A "valid" verdict its own evidence contradicts does not count
+    const conflict = evidenceConflict(v, { price }, priceTolerance);
+    if (conflict) {
+      discarded.push({ verificationId: v.id, reason: conflict });
+      return;
+    }
+
+    // Accounts flagged for collusion only carry part of a verdict
+    if (v.share < 1) flaggedCount += 1;
+    side.weight += v.weight;
+    side.count += v.share;
+    counted.push({ verificationId: v.id, weight: v.weight, share: v.share });
+  });
+
+  const totalWeight = tally.valid.weight + tally.invalid.weight;
+  const leading = tally.valid.weight >= tally.invalid.weight ? 'valid' : 'invalid';
+  const lead = tally[leading];
+  const quorumReached = tally.valid.count + tally.invalid.count >= consensusQuorum;
+
+  let outcome = null;
+  if (lead.count >= consensusMinVerifiers && lead.weight > tally[leading === 'valid' ? 'invalid' : 'valid'].weight) {
+    if (lead.weight >= consensusWeightThreshold || quorumReached) {
+      outcome = leading;
+    }
+  }
+
+  return {
+    validWeight: tally.valid.weight,
+    invalidWeight: tally.invalid.weight,
+    validCount: tally.valid.count,
+    invalidCount: tally.invalid.count,
+    flaggedCount,
+    discarded,
+    counted,
+    thresholds: { consensusWeightThreshold, consensusMinVerifiers, consensusQuorum },
+    priceTolerance,
+    price,
+    leading,
+    confidence: totalWeight > 0 ? lead.weight / totalWeight : 0,
+    quorumReached,
+    outcome
+  };
+}
+
+module.exports = {
+  tallyConsensus
+};
@@ -0,0 +1,162 @@
+/**
+ * Deal search for GET /api/deals
+ *
+ * Parses query parameters into filters, a sort order and a page size, and
+ * pages through results with an opaque cursor holding the last item's sort
+ * value and id.
+ */
+
+const { tokenize, discountPercent } = require('./alertRules');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const PARAMETERS = ['q', 'category', 'status', 'submittedBy', 'sort', 'order', 'limit', 'cursor', 'minPrice', 'maxPrice', 'minDiscount'];
+
+// sort name -> value getter and default direction
+const SORTS = {
+  newest: { value: deal => deal.timestamp, order: 'desc' },
+  discount: { value: deal => discountPercent(deal), order: 'desc' },
+  price: { value: deal => deal.price, order: 'asc' },
+  votes: { value: deal => deal.votes, order: 'desc' },
+  confidence: { value: deal => validShare(deal), order: 'desc' }
+};
+
+// Share of verification weight that says "valid", 0 when unverified
+function validShare(deal) {
+  if (!deal.consensus) return 0;
+  const total = deal.consensus.validWeight + deal.consensus.invalidWeight;
+  return total > 0 ? deal.consensus.validWeight / total : 0;
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(decoded) && decoded.length === 2 && typeof decoded[1] === 'string') {
+      return { value: decoded[0], id: decoded[1] };
+    }
+  } catch (error) {
+    // fall through
+  }
+  return null;
+}
+
+function optionalNumber(query, name) {
+  if (query[name] === undefined || query[name] === '') return { value: null };
+  const value = Number(query[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    return { error: `${name} must be a non-negative number` };
+  }
+  return { value };
+}
+
+// Returns { error } or { options }
+function parseDealQuery(query) {
+  // Repeated or bracketed parameters (?sort[]=price) arrive as arrays or objects
+  const repeated = PARAMETERS.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+
+  const options = {
+    search: query.q ? tokenize(query.q) : [],
+    category: query.category || null,
+    statuses: query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : [],
+    submittedBy: query.submittedBy || null,
+    sort: query.sort || 'newest',
+    order: null,
+    limit: DEFAULT_LIMIT,
+    cursor: null
+  };
+
+  for (const name of ['minPrice', 'maxPrice', 'minDiscount']) {
+    const { value, error } = optionalNumber(query, name);
+    if (error) return { error };
+    options[name] = value;
+  }
+
+  if (!Object.keys(SORTS).includes(options.sort)) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+
+  options.order = query.order || SORTS[options.sort].order;
+  if (options.order !== 'asc' && options.order !== 'desc') {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { options };
+}
+
+// Every search term must prefix a word in the title, so partial words match
+function matchesSearch(deal, terms) {
+  if (terms.length === 0) return true;
+  const words = tokenize(deal.title);
+  return terms.every(term => words.some(word => word.startsWith(term)));
+}
+
+function matchesFilters(deal, options) {
+  if (!matchesSearch(deal, options.search)) return false;
+  if (options.category && deal.productCategory !== options.category) return false;
+  if (options.statuses.length > 0 && !options.statuses.includes(deal.status)) return false;
+  if (options.submittedBy && deal.submittedBy !== options.submittedBy) return false;
+  if (options.minPrice !== null && deal.price < options.minPrice) return false;
+  if (options.maxPrice !== null && deal.price > options.maxPrice) return false;
+  if (options.minDiscount !== null && discountPercent(deal) < options.minDiscount) return false;
+  return true;
+}
+
+function queryDeals(deals, options) {
+  const getValue = SORTS[options.sort].value;
+  const direction = options.order === 'asc' ? 1 : -1;
+
+  // Ties on the sort value are broken by id so the cursor position is stable
+  const compare = (a, b) => {
+    if (a.value !== b.value) return (a.value < b.value ? -1 : 1) * direction;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+
+  const matching = deals
+    .filter(deal => matchesFilters(deal, options))
+    .map(deal => ({ deal, value: getValue(deal), id: deal.id }))
+    .sort(compare);
+
+  let start = 0;
+  if (options.cursor) {
+    start = matching.findIndex(entry => compare(entry, options.cursor) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + options.limit);
+  const last = page[page.length - 1];
+  const hasMore = start + page.length < matching.length;
+
+  return {
+    deals: page.map(entry => entry.deal),
+    nextCursor: hasMore ? encodeCursor(last.value, last.id) : null,
+    total: matching.length
+  };
+}
+
+module.exports = {
+  SORTS,
+  parseDealQuery,
+  queryDeals
+};
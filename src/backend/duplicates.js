@@ -0,0 +1,107 @@
+/**
+ * Duplicate deal detection for Dealbuster
+ *
+ * Deals are compared by normalized URL (tracking parameters, fragments,
+ * scheme and "www." removed) and by fuzzy title similarity (Dice
+ * coefficient over character bigrams). Titles that differ in a word with
+ * a digit in it (1TB / 2TB, 55" / 65", 2nd / 3rd Gen) are variants, not
+ * duplicates, however similar the rest is.
+ */
+
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'mc_cid', 'mc_eid',
+  'ref', 'ref_', 'referrer', 'tag', 'affiliate', 'aff_id', 'affid', 'spm', '_ga'
+];
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower);
+}
+
+function normalizeUrl(url) {
+  const raw = String(url).trim();
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch (error) {
+    return raw.toLowerCase();
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port ? `:${parsed.port}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `${host}${port}${path}${query}`;
+}
+
+function bigrams(text) {
+  const normalized = String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const pairs = new Map();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    const pair = normalized.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// Words with a digit in them: sizes, capacities, model numbers
+function modelTokens(title) {
+  const words = String(title).toLowerCase().split(/[^a-z0-9]+/).filter(word => /\d/.test(word));
+  return Array.from(new Set(words)).sort().join(' ');
+}
+
+// Same product line, different model or size
+function isVariant(a, b) {
+  return modelTokens(a) !== modelTokens(b);
+}
+
+// Dice coefficient in [0, 1]; 1 means identical after normalization
+function titleSimilarity(a, b) {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let leftCount = 0;
+  let rightCount = 0;
+  let shared = 0;
+
+  left.forEach(count => { leftCount += count; });
+  right.forEach(count => { rightCount += count; });
+  left.forEach((count, pair) => {
+    shared += Math.min(count, right.get(pair) || 0);
+  });
+
+  if (leftCount + rightCount === 0) return 0;
+  return (2 * shared) / (leftCount + rightCount);
+}
+
+// Best match among candidate deals: { deal, reason, similarity } or null.
+// titleOnlyAllowed skips title matches, for a submitter who says it is a different product.
+function findDuplicate({ title, url }, deals, similarityThreshold, titleOnlyAllowed = false) {
+  const normalizedUrl = normalizeUrl(url);
+  let best = null;
+
+  for (const deal of deals) {
+    if ((deal.normalizedUrl || normalizeUrl(deal.url)) === normalizedUrl) {
+      return { deal, reason: 'url', similarity: 1 };
+    }
+
+    if (titleOnlyAllowed || isVariant(title, deal.title)) continue;
+    const similarity = titleSimilarity(title, deal.title);
+    if (similarity >= similarityThreshold && (!best || similarity > best.similarity)) {
+      best = { deal, reason: 'title', similarity };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  normalizeUrl,
+  titleSimilarity,
+  isVariant,
+  findDuplicate
+};
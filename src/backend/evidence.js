@@ -0,0 +1,131 @@
+/**
+ * Structured verification evidence for Dealbuster
+ *
+ * A verdict can carry what the verifier actually saw: the observed price,
+ * when and where they checked, the coupon they used, a checklist and
+ * uploaded screenshots. Consensus uses it to discard "valid" verdicts that
+ * their own evidence contradicts.
+ */
+
+const CHECKLIST_ITEMS = ['inStock', 'priceMatches', 'couponWorks'];
+const MAX_ATTACHMENTS = 3;
+const MAX_TEXT_LENGTH = 200;
+const MAX_NOTES_LENGTH = 1000;
+
+// Image types accepted for upload, with the leading bytes each must start with
+const IMAGE_TYPES = {
+  'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/gif': { extension: 'gif', signature: [0x47, 0x49, 0x46, 0x38] },
+  'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46] }
+};
+
+// Does the uploaded buffer really start like the declared image type?
+function matchesImageType(buffer, contentType) {
+  const type = Object.keys(IMAGE_TYPES).includes(contentType) ? IMAGE_TYPES[contentType] : null;
+  return Boolean(type) && type.signature.every((byte, i) => buffer[i] === byte);
+}
+
+function optionalText(value, name, maxLength = MAX_TEXT_LENGTH) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  if (typeof value !== 'string' && typeof value !== 'number') return { error: `${name} must be text` };
+  const text = String(value).trim();
+  if (text.length > maxLength) {
+    return { error: `${name} must be at most ${maxLength} characters` };
+  }
+  return { value: text || null };
+}
+
+// true / false, or null when the verifier did not check
+function optionalBoolean(value) {
+  if (value === true || value === 'true' || value === 'yes') return true;
+  if (value === false || value === 'false' || value === 'no') return false;
+  return null;
+}
+
+// Returns { error } or { evidence }; a plain string is kept as notes
+function validateEvidence(raw, now = Date.now()) {
+  if (raw !== undefined && raw !== null && typeof raw !== 'string' && (typeof raw !== 'object' || Array.isArray(raw))) {
+    return { error: 'evidence must be an object' };
+  }
+  const input = typeof raw === 'string' ? { notes: raw } : (raw || {});
+  const evidence = {
+    observedPrice: null,
+    checkedAt: null,
+    region: null,
+    store: null,
+    couponCode: null,
+    checklist: {},
+    notes: '',
+    attachments: [] // upload ids until the server resolves them
+  };
+
+  if (input.observedPrice !== undefined && input.observedPrice !== null && input.observedPrice !== '') {
+    // Booleans, lists and blank text would all pass Number()
+    const numeric = typeof input.observedPrice === 'number' ||
+      (typeof input.observedPrice === 'string' && input.observedPrice.trim() !== '');
+    const price = numeric ? Number(input.observedPrice) : NaN;
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: 'observedPrice must be a non-negative number' };
+    }
+    evidence.observedPrice = price;
+  }
+
+  if (input.checkedAt) {
+    const dated = typeof input.checkedAt === 'string' || typeof input.checkedAt === 'number';
+    const checkedAt = dated ? new Date(input.checkedAt).getTime() : NaN;
+    // A day of slack for the verifier's time zone
+    if (!Number.isFinite(checkedAt) || checkedAt > now + 24 * 60 * 60 * 1000) {
+      return { error: 'checkedAt must be a date that is not in the future' };
+    }
+    evidence.checkedAt = checkedAt;
+  }
+
+  for (const field of ['region', 'store', 'couponCode']) {
+    const { value, error } = optionalText(input[field], field);
+    if (error) return { error };
+    evidence[field] = value;
+  }
+
+  const notes = optionalText(input.notes, 'notes', MAX_NOTES_LENGTH);
+  if (notes.error) return { error: notes.error };
+  evidence.notes = notes.value || '';
+
+  CHECKLIST_ITEMS.forEach(item => {
+    evidence.checklist[item] = optionalBoolean((input.checklist || {})[item]);
+  });
+
+  const attachments = input.attachments || [];
+  if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS ||
+      !attachments.every(id => typeof id === 'string')) {
+    return { error: `attachments must be a list of at most ${MAX_ATTACHMENTS} upload ids` };
+  }
+  evidence.attachments = attachments;
+
+  return { evidence };
+}
+
+// Why a "valid" verdict contradicts its own evidence, or null when it does not
+function evidenceConflict(verification, deal, priceTolerance) {
+  const evidence = verification.evidence;
+  if (verification.verdict !== 'valid' || !evidence || typeof evidence !== 'object') return null;
+
+  if (evidence.observedPrice !== null && evidence.observedPrice > deal.price * (1 + priceTolerance)) {
+    return `observed price ${evidence.observedPrice} is above the deal price ${deal.price}`;
+  }
+  if (evidence.checklist && evidence.checklist.priceMatches === false) {
+    return 'checklist says the price does not match';
+  }
+  if (evidence.checklist && evidence.checklist.inStock === false) {
+    return 'checklist says the item is out of stock';
+  }
+  return null;
+}
+
+module.exports = {
+  CHECKLIST_ITEMS,
+  IMAGE_TYPES,
+  matchesImageType,
+  validateEvidence,
+  evidenceConflict
+};
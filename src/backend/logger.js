@@ -0,0 +1,83 @@
+/**
+ * Structured logging for Dealbuster
+ *
+ * Every line is one JSON object: time, level, msg and any fields. Fields
+ * bound with withContext() (the request id, for the server) are added to
+ * every line logged while the wrapped call, and anything it calls, runs.
+ */
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// 'stdout' (default), 'stderr', a file path to append to, or a function taking each line
+function createSink(sink) {
+  if (typeof sink === 'function') return sink;
+  if (!sink || sink === 'stdout') return line => process.stdout.write(line + '\n');
+  if (sink === 'stderr') return line => process.stderr.write(line + '\n');
+
+  const stream = fs.createWriteStream(sink, { flags: 'a' });
+  return line => stream.write(line + '\n');
+}
+
+function createLogger({ level = 'info', sink, fields = {} } = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Log level must be one of: ${LEVELS.join(', ')}`);
+  }
+
+  const context = new AsyncLocalStorage();
+  let write = createSink(sink);
+  let threshold = LEVELS.indexOf(level);
+
+  function logAt(levelName, bound, msg, extra) {
+    if (LEVELS.indexOf(levelName) < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...bound,
+      ...context.getStore(),
+      ...extra
+    };
+    if (extra && extra.error instanceof Error) {
+      entry.error = { message: extra.error.message, stack: extra.error.stack };
+    }
+    write(JSON.stringify(entry));
+  }
+
+  function build(bound) {
+    const logger = {
+      child: more => build({ ...bound, ...more })
+    };
+    LEVELS.forEach(levelName => {
+      logger[levelName] = (msg, extra) => logAt(levelName, bound, msg, extra);
+    });
+    return logger;
+  }
+
+  return {
+    ...build(fields),
+
+    // Run fn with fields added to every line it logs
+    withContext(more, fn) {
+      return context.run({ ...context.getStore(), ...more }, fn);
+    },
+
+    setLevel(levelName) {
+      if (!LEVELS.includes(levelName)) {
+        throw new Error(`Log level must be one of: ${LEVELS.join(', ')}`);
+      }
+      threshold = LEVELS.indexOf(levelName);
+    },
+
+    setSink(next) {
+      write = createSink(next);
+    }
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger
+};
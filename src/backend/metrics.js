@@ -0,0 +1,144 @@
+/**
+ * Lifecycle metrics for Dealbuster
+ *
+ * The server records an event for every step in a deal's life, tagged with
+ * the mode it happened in. Promotion, verification and alert events carry
+ * their latency since submission; this module turns those into percentiles
+ * by mode and category, for a whole window and for each bucket of a time
+ * series.
+ */
+
+// Event type -> the latency it measures
+const LATENCY_METRICS = {
+  promoted: 'promotion',
+  verified: 'verification',
+  alert: 'alert'
+};
+
+const PERCENTILES = [50, 90, 99];
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DEFAULT_WINDOW = '24h';
+const DEFAULT_BUCKETS = 12;
+const MAX_BUCKETS = 100;
+
+// "15m", "24h", "7d" or plain milliseconds; null when unreadable
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const ms = Number(match[1]) * (match[2] ? DURATION_UNITS[match[2]] : 1);
+  return ms > 0 ? ms : null;
+}
+
+// Returns { error } or { options } with the window's from/to
+function parseLatencyQuery(query, now) {
+  // Repeated or bracketed parameters arrive as arrays or objects
+  const repeated = ['window', 'buckets', 'category'].find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+
+  const window = parseDuration(query.window || DEFAULT_WINDOW);
+  if (!window) {
+    return { error: 'window must be a duration such as 15m, 24h or 7d' };
+  }
+
+  let buckets = DEFAULT_BUCKETS;
+  if (query.buckets !== undefined) {
+    buckets = Number(query.buckets);
+    if (!Number.isInteger(buckets) || buckets < 1 || buckets > MAX_BUCKETS) {
+      return { error: `buckets must be an integer between 1 and ${MAX_BUCKETS}` };
+    }
+  }
+
+  return {
+    options: {
+      from: now - window,
+      to: now,
+      buckets,
+      category: query.category || null
+    }
+  };
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(latencies) {
+  const sorted = latencies.slice().sort((a, b) => a - b);
+  const summary = { count: sorted.length };
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = sorted.length > 0 ? percentile(sorted, p) : null;
+  });
+  return summary;
+}
+
+// Categories are user text, so names like "__proto__" must stay plain keys
+function summarizeBy(events, key) {
+  const groups = new Map();
+  events.forEach(event => {
+    const name = String(event[key]);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(event.latency);
+  });
+  return Object.fromEntries(Array.from(groups.keys()).sort().map(name => [name, summarize(groups.get(name))]));
+}
+
+// { promotion: { overall, byMode, byCategory }, verification: ..., alert: ... }
+function latencySummary(events) {
+  const summary = {};
+  Object.entries(LATENCY_METRICS).forEach(([type, metric]) => {
+    const measured = events.filter(e => e.type === type);
+    summary[metric] = {
+      overall: summarize(measured.map(e => e.latency)),
+      byMode: summarizeBy(measured, 'mode'),
+      byCategory: summarizeBy(measured, 'category')
+    };
+  });
+  return summary;
+}
+
+// Percentiles for the window, a bucketed series by mode, and event counts
+function latencyReport(events, { from, to, buckets, category }) {
+  const inWindow = events.filter(e =>
+    e.timestamp >= from && e.timestamp <= to && (!category || e.category === category));
+  const measured = inWindow.filter(e => Object.keys(LATENCY_METRICS).includes(e.type) && e.latency !== null);
+
+  const size = (to - from) / buckets;
+  const series = [];
+  for (let i = 0; i < buckets; i++) {
+    const start = from + i * size;
+    const end = i === buckets - 1 ? to : start + size;
+    // The last bucket also takes events at exactly `to`
+    const inBucket = measured.filter(e => e.timestamp >= start && (e.timestamp < end || i === buckets - 1));
+
+    const point = { start: Math.round(start), end: Math.round(end) };
+    Object.entries(LATENCY_METRICS).forEach(([type, metric]) => {
+      point[metric] = summarizeBy(inBucket.filter(e => e.type === type), 'mode');
+    });
+    series.push(point);
+  }
+
+  const counts = {};
+  inWindow.forEach(event => {
+    if (!counts[event.type]) counts[event.type] = {};
+    counts[event.type][event.mode] = (counts[event.type][event.mode] || 0) + 1;
+  });
+
+  return {
+    from,
+    to,
+    category: category || null,
+    summary: latencySummary(measured),
+    series,
+    counts
+  };
+}
+
+module.exports = {
+  LATENCY_METRICS,
+  parseDuration,
+  parseLatencyQuery,
+  latencyReport
+};
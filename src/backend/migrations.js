@@ -0,0 +1,108 @@
+/**
+ * Load-time migrations for Dealbuster records
+ *
+ * Data files outlive the code that wrote them. Every field added to deals,
+ * users or verifications after the store became persistent gets a default
+ * here, so the rest of the server can rely on the current record shape.
+ * Defaults are derived from what older records do have where possible.
+ */
+
+const { normalizeUrl } = require('./duplicates');
+
+// Decisions a deal's status implies, for deals stored before outcomes existed
+function outcomesFromStatus(deal) {
+  const promoted = deal.status === 'promoted' || Boolean(deal.promotedAt);
+  const decided = deal.status === 'verified' || deal.status === 'rejected';
+  return {
+    promotion: promoted ?
+      { status: 'promoted', decidedAt: deal.promotedAt || deal.timestamp } :
+      { status: 'pending', decidedAt: null },
+    consensus: decided ?
+      { status: deal.status, decidedAt: deal.verifiedAt || deal.timestamp } :
+      { status: 'pending', decidedAt: null }
+  };
+}
+
+// field -> record => default; fields already present are left alone
+const DEAL_DEFAULTS = {
+  normalizedUrl: deal => normalizeUrl(deal.url),
+  sku: () => null,
+  origin: () => null,
+  verifications: () => [],
+  votes: () => 0,
+  upvotes: deal => Math.max(0, deal.votes || 0),
+  downvotes: deal => Math.max(0, -(deal.votes || 0)),
+  voters: () => [],
+  consensus: () => null,
+  settlement: () => [],
+  status: () => 'pending',
+  outcomes: outcomesFromStatus,
+  promotedAt: () => null,
+  demotedAt: () => null,
+  promotionHistory: () => [],
+  expiresAt: () => null,
+  expiredAt: () => null,
+  priceHistory: deal => [
+    { price: deal.price, previousPrice: null, source: 'submission', userId: deal.submittedBy, timestamp: deal.timestamp }
+  ],
+  productId: () => null,
+  priceScore: () => null,
+  reports: () => [],
+  duplicateOf: () => null,
+  mergedFrom: () => [],
+  round: () => 1,
+  rounds: () => [],
+  disputes: () => [],
+  hidden: () => null,
+  locked: () => null,
+  override: () => null
+};
+
+const USER_DEFAULTS = {
+  role: () => 'user',
+  suspension: () => null,
+  reputationScore: () => 100,
+  verificationHistory: () => [],
+  collusionFlag: () => null,
+  reputationLedger: () => [],
+  signingKeys: () => [],
+  createdAt: () => 0
+};
+
+const VERIFICATION_DEFAULTS = {
+  evidence: () => null,
+  signature: () => null
+};
+
+// Fill missing fields in place; true when anything was added
+function fillDefaults(record, defaults) {
+  let changed = false;
+  Object.entries(defaults).forEach(([field, value]) => {
+    if (record[field] !== undefined) return;
+    record[field] = value(record);
+    changed = true;
+  });
+  return changed;
+}
+
+// Bring every stored record up to date; changed records are saved back
+function migrateRecords(store) {
+  const collections = {
+    deals: DEAL_DEFAULTS,
+    users: USER_DEFAULTS,
+    verifications: VERIFICATION_DEFAULTS
+  };
+  let migrated = 0;
+  Object.entries(collections).forEach(([name, defaults]) => {
+    store.collection(name).forEach(record => {
+      if (!fillDefaults(record, defaults)) return;
+      store.put(name, record);
+      migrated += 1;
+    });
+  });
+  return migrated;
+}
+
+module.exports = {
+  migrateRecords
+};
@@ -0,0 +1,201 @@
+/**
+ * Peer network for Dealbuster
+ *
+ * Several servers can run as peers. Each node has an Ed25519 key and signs
+ * what it originates (accounts, their keys, new deals and verifications) as
+ * envelopes. Envelopes are pushed to every peer as they happen, forwarded
+ * once by whoever first accepts them, and pulled again by a periodic sync:
+ * each node numbers the envelopes it stores, and peers ask for the ones
+ * after the last number they saw, so nodes catch up after a partition.
+ * Only envelopes signed by the node keys an operator configured are trusted.
+ * What a node does with an envelope is up to the server.
+ */
+
+const crypto = require('crypto');
+const clock = require('./clock');
+
+const REQUEST_TIMEOUT = 3000;
+
+// Envelopes per gossip request, to stay well under the receiver's body limit
+const PUSH_BATCH = 50;
+
+// JSON with object keys sorted, so the same value always signs the same bytes
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// { nodeId, publicKey, privateKey } with both keys as base64 DER
+function createIdentity(nodeId) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    nodeId,
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64')
+  };
+}
+
+// The same shape for a key the operator supplies (base64 PKCS#8 DER)
+function identityFromKey(nodeId, privateKey) {
+  const key = crypto.createPrivateKey({ key: Buffer.from(privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+  if (key.asymmetricKeyType !== 'ed25519') throw new Error('Node key must be an Ed25519 private key');
+  return {
+    nodeId,
+    publicKey: crypto.createPublicKey(key).export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey
+  };
+}
+
+// "node-1=<publicKey>,node-2=<publicKey>" -> Map nodeId -> publicKey
+function parsePeerKeys(value) {
+  const keys = new Map();
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    // Base64 ends in "=" padding, so split on the first one only
+    const split = entry.indexOf('=');
+    if (split <= 0) throw new Error(`Peer key "${entry}" is not nodeId=publicKey`);
+    keys.set(entry.slice(0, split), entry.slice(split + 1));
+  });
+  return keys;
+}
+
+function signedBytes(type, payload, nodeId) {
+  return Buffer.from(canonicalJson({ type, payload, origin: nodeId }));
+}
+
+function signEnvelope(identity, url, type, payload) {
+  const key = crypto.createPrivateKey({ key: Buffer.from(identity.privateKey, 'base64'), format: 'der', type: 'pkcs8' });
+  return {
+    id: `${type}:${payload.id}`,
+    type,
+    payload,
+    origin: { nodeId: identity.nodeId, publicKey: identity.publicKey, url },
+    signature: crypto.sign(null, signedBytes(type, payload, identity.nodeId), key).toString('base64')
+  };
+}
+
+// Why an envelope is malformed or its signature does not hold, or null
+function envelopeError(envelope) {
+  if (!envelope || typeof envelope !== 'object' || typeof envelope.type !== 'string' ||
+      !envelope.payload || typeof envelope.payload !== 'object' || Array.isArray(envelope.payload) ||
+      typeof envelope.payload.id !== 'string' || !envelope.origin || typeof envelope.origin !== 'object') {
+    return 'Malformed envelope';
+  }
+  const { type, payload, origin, signature } = envelope;
+  if (envelope.id !== `${type}:${payload.id}`) return 'Envelope id does not match its payload';
+  if (typeof origin.nodeId !== 'string' || typeof origin.publicKey !== 'string' || typeof signature !== 'string') {
+    return 'Envelope is not signed';
+  }
+
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(origin.publicKey, 'base64'), format: 'der', type: 'spki' });
+    if (key.asymmetricKeyType !== 'ed25519') return 'Bad signing key';
+    if (!crypto.verify(null, signedBytes(type, payload, origin.nodeId), key, Buffer.from(signature, 'base64'))) {
+      return 'Bad signature';
+    }
+  } catch (error) {
+    return 'Bad signing key';
+  }
+  return null;
+}
+
+function trimUrl(url) {
+  return String(url).trim().replace(/\/+$/, '');
+}
+
+function createPeerNetwork({ identity, url, peers = [], log }) {
+  const self = { nodeId: identity.nodeId, url };
+  const status = new Map(); // url -> { url, nodeId, lastSyncAt, lastError }
+  let blocked = new Set();
+
+  peers.map(trimUrl).filter(peer => peer && peer !== url).forEach(peer => {
+    status.set(peer, { url: peer, nodeId: null, lastSyncAt: null, lastError: null });
+  });
+
+  function reachable() {
+    return Array.from(status.values()).filter(peer => !blocked.has(peer.url));
+  }
+
+  async function post(peer, path, body) {
+    const response = await fetch(`${peer.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: self, ...body }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok) throw new Error(`${path} answered ${response.status}`);
+    return response.json();
+  }
+
+  function failed(peer, error) {
+    peer.lastError = error.message;
+    log.debug('Peer unreachable', { peer: peer.url, reason: error.message });
+  }
+
+  return {
+    self,
+    enabled: status.size > 0,
+
+    // Fire and forget; the next sync retries whatever is lost
+    push(envelopes, exceptUrl = null) {
+      for (let start = 0; start < envelopes.length; start += PUSH_BATCH) {
+        const batch = envelopes.slice(start, start + PUSH_BATCH);
+        reachable().filter(peer => peer.url !== exceptUrl).forEach(peer => {
+          post(peer, '/api/p2p/gossip', { envelopes: batch })
+            .then(() => { peer.lastError = null; })
+            .catch(error => failed(peer, error));
+        });
+      }
+    },
+
+    // Ask every peer for the envelopes it stored after cursorOf(peerUrl):
+    // { epoch, after }. Answers carry the peer's epoch, the envelopes, the
+    // cursor to ask from next and whether more are waiting.
+    async sync(cursorOf) {
+      const results = await Promise.all(reachable().map(async peer => {
+        try {
+          const answer = await post(peer, '/api/p2p/sync', cursorOf(peer.url));
+          if (!answer || !answer.node || !Array.isArray(answer.envelopes) || !Number.isInteger(answer.next)) {
+            throw new Error('/api/p2p/sync answered with a malformed page');
+          }
+          peer.nodeId = answer.node.nodeId;
+          peer.lastSyncAt = clock.now();
+          peer.lastError = null;
+          return { peer, ...answer };
+        } catch (error) {
+          failed(peer, error);
+          return null;
+        }
+      }));
+      return results.filter(Boolean);
+    },
+
+    // Drop all traffic to and from these peers, to simulate a partition
+    setBlocked(urls) {
+      blocked = new Set(urls.map(trimUrl));
+    },
+
+    isBlocked(peerUrl) {
+      return blocked.has(trimUrl(peerUrl));
+    },
+
+    peers() {
+      return Array.from(status.values()).map(peer => ({ ...peer, blocked: blocked.has(peer.url) }));
+    }
+  };
+}
+
+module.exports = {
+  canonicalJson,
+  createIdentity,
+  identityFromKey,
+  parsePeerKeys,
+  signEnvelope,
+  envelopeError,
+  createPeerNetwork
+};
@@ -0,0 +1,263 @@
+/**
+ * Product catalog and price history for Dealbuster
+ *
+ * Deals for the same product are grouped under one catalog entry, matched
+ * by SKU (given on submission or read from the store's URL), normalized
+ * URL or title fingerprint, and failing those by title similarity within
+ * the category. A deal and a product that both carry SKUs, none shared, are
+ * different products however alike their titles, and titles that differ in
+ * a size or model number never match. Each product keeps every price seen for it: submitted,
+ * reported and observed by verifiers. A deal's price is scored against
+ * the prices seen before it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizeUrl, titleSimilarity, isVariant } = require('./duplicates');
+const { tokenize } = require('./alertRules');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Percent from the median within which a price is "fair"
+const FAIR_MARGIN = 5;
+
+// Product ids stores put in their URLs
+const URL_SKU_PATTERNS = [
+  /\/(?:dp|gp\/product)\/([a-z0-9]{10})(?:[/?]|$)/i, // Amazon ASIN
+  /\/ip\/(?:[^/]+\/)?(\d{6,})(?:[/?]|$)/i, // Walmart item id
+  /\/site\/[^/]+\/(\d{7})\.p(?:[/?]|$)/i // Best Buy SKU
+];
+
+// Words that say something about the offer, not the product
+const OFFER_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'for', 'with', 'at', 'on', 'only', 'now', 'today',
+  'deal', 'deals', 'sale', 'off', 'save', 'price', 'lowest', 'new', 'free', 'shipping'
+]);
+
+// Uppercase SKU, or null when it is not a string of 3-64 letters, digits, dots, dashes or underscores
+function normalizeSku(sku) {
+  if (typeof sku !== 'string') return null;
+  const normalized = sku.trim().toUpperCase();
+  return /^[A-Z0-9][A-Z0-9._-]{2,63}$/.test(normalized) ? normalized : null;
+}
+
+// "host:id" for store URLs that carry a product id, or null
+function urlSku(url) {
+  const normalized = normalizeUrl(url);
+  const host = normalized.split(/[/:?]/)[0];
+  const path = normalized.slice(host.length);
+  for (const pattern of URL_SKU_PATTERNS) {
+    const match = pattern.exec(path);
+    if (match) return `${host}:${match[1].toUpperCase()}`;
+  }
+  return null;
+}
+
+// Prices and percentages say what the offer is, not which product
+function withoutPrices(title) {
+  return String(title).replace(/[$€£]\s*\d+(?:[.,]\d+)*|\d+(?:\.\d+)?\s*%/g, ' ');
+}
+
+// Sorted product words of a title, without prices and offer words; null when
+// fewer than two are left, since one word rarely names a single product
+function titleFingerprint(title) {
+  const words = tokenize(withoutPrices(title))
+    .filter(word => !OFFER_WORDS.has(word));
+  const unique = Array.from(new Set(words)).sort();
+  return unique.length >= 2 ? unique.join(' ') : null;
+}
+
+// Identity keys in order of precedence
+function productKeys(deal) {
+  const keys = [];
+  if (deal.sku) keys.push(`sku:${deal.sku}`);
+  const fromUrl = urlSku(deal.url);
+  if (fromUrl) keys.push(`sku:${fromUrl}`);
+  const url = deal.normalizedUrl || normalizeUrl(deal.url);
+  // A bare storefront is not a product page
+  if (!/^[^/?]+\/$/.test(url)) keys.push(`url:${url}`);
+  const fingerprint = titleFingerprint(deal.title);
+  if (fingerprint) keys.push(`title:${fingerprint}`);
+  return keys;
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// products is the store collection; save persists one product
+function createCatalog({ products, save }) {
+  const keys = new Map(); // identity key -> productId
+  products.forEach(product => product.keys.forEach(key => keys.set(key, product.id)));
+
+  // Both carry SKUs and share none
+  function skuConflict(identity, product) {
+    const skus = identity.filter(key => key.startsWith('sku:'));
+    const theirs = product.keys.filter(key => key.startsWith('sku:'));
+    return skus.length > 0 && theirs.length > 0 && !skus.some(key => theirs.includes(key));
+  }
+
+  function match(deal, identity, similarityThreshold) {
+    for (const key of identity) {
+      const product = keys.has(key) ? products.get(keys.get(key)) : null;
+      if (product && !skuConflict(identity, product)) return product;
+    }
+
+    // Stored records are not trusted to hold strings
+    const category = String(deal.productCategory).toLowerCase();
+    let best = null;
+    products.forEach(product => {
+      if (String(product.productCategory).toLowerCase() !== category) return;
+      if (skuConflict(identity, product) || isVariant(withoutPrices(deal.title), withoutPrices(product.title))) return;
+      const similarity = titleSimilarity(deal.title, product.title);
+      if (similarity >= similarityThreshold && (!best || similarity > best.similarity)) {
+        best = { product, similarity };
+      }
+    });
+    return best ? best.product : null;
+  }
+
+  return {
+    get(productId) {
+      return products.get(productId) || null;
+    },
+
+    // The deal's product, created when none matches; the deal's keys join it
+    catalogDeal(deal, similarityThreshold) {
+      const identity = productKeys(deal);
+      const product = match(deal, identity, similarityThreshold) || {
+        id: uuidv4(),
+        title: deal.title,
+        productCategory: deal.productCategory,
+        keys: [],
+        dealIds: [],
+        history: [], // { price, source, dealId, userId, timestamp }
+        createdAt: deal.timestamp
+      };
+
+      identity.forEach(key => {
+        // A key some other product already holds stays with it
+        if (keys.has(key)) return;
+        keys.set(key, product.id);
+        product.keys.push(key);
+      });
+      if (!product.dealIds.includes(deal.id)) product.dealIds.push(deal.id);
+      save(product);
+      return product;
+    },
+
+    recordPrice(product, point) {
+      product.history.push(point);
+      save(product);
+    },
+
+    // Replace the prices verifiers observed for one deal
+    setObservedPrices(product, dealId, points) {
+      product.history = product.history
+        .filter(point => point.dealId !== dealId || point.source !== 'verification')
+        .concat(points);
+      save(product);
+    },
+
+    // Forget a deleted deal and every price recorded for it
+    removeDeal(deal) {
+      const product = products.get(deal.productId);
+      if (!product) return;
+      product.dealIds = product.dealIds.filter(id => id !== deal.id);
+      product.history = product.history.filter(point => point.dealId !== deal.id);
+      save(product);
+    }
+  };
+}
+
+// How a price compares with the product's prices up to `at`. The window sets
+// how far back the median and "lowest in N days" look; newLow compares with
+// every price ever recorded and needs minSamples of them.
+function scorePrice(history, price, at, { window, minSamples }) {
+  const earlier = history.filter(point => point.timestamp <= at);
+  const recent = earlier.filter(point => point.timestamp > at - window);
+  const prices = recent.map(point => point.price).sort((a, b) => a - b);
+  const typical = prices.length > 0 ? median(prices) : null;
+
+  // How long since the price was last this low
+  const asLow = recent.filter(point => point.price <= price).map(point => point.timestamp);
+  const lowestFor = prices.length === 0 ? null : asLow.length === 0 ? window : at - Math.max(...asLow);
+
+  const newLow = earlier.length >= minSamples && earlier.every(point => price < point.price);
+  const percentBelowMedian = typical ? round2(((typical - price) / typical) * 100) : null;
+
+  let rating = null; // not enough history
+  if (newLow) {
+    rating = 'new-low';
+  } else if (prices.length >= minSamples) {
+    rating = percentBelowMedian >= FAIR_MARGIN ? 'good' : percentBelowMedian <= -FAIR_MARGIN ? 'high' : 'fair';
+  }
+
+  return {
+    samples: prices.length,
+    windowDays: Math.round(window / DAY),
+    low: prices.length > 0 ? prices[0] : null,
+    high: prices.length > 0 ? prices[prices.length - 1] : null,
+    median: typical,
+    percentBelowMedian,
+    lowestInDays: lowestFor === null ? null : Math.floor(lowestFor / DAY),
+    newLow,
+    rating,
+    scoredAt: at
+  };
+}
+
+// Prices in [from, to] for a chart: every point, a low / median / high per
+// day, and a summary including the lowest price ever recorded
+function priceHistoryReport(product, { from, to }) {
+  const all = Array.from(product.history).sort((a, b) => a.timestamp - b.timestamp);
+  const points = all.filter(point => point.timestamp >= from && point.timestamp <= to);
+
+  const days = new Map(); // day start -> prices
+  points.forEach(point => {
+    const start = Math.floor(point.timestamp / DAY) * DAY;
+    if (!days.has(start)) days.set(start, []);
+    days.get(start).push(point.price);
+  });
+  const series = Array.from(days.entries()).map(([start, prices]) => {
+    prices.sort((a, b) => a - b);
+    return { start, count: prices.length, low: prices[0], median: median(prices), high: prices[prices.length - 1] };
+  });
+
+  const prices = points.map(point => point.price).sort((a, b) => a - b);
+  const allTimeLow = all.reduce((low, point) => (!low || point.price < low.price ? point : low), null);
+
+  return {
+    product: {
+      id: product.id,
+      title: product.title,
+      productCategory: product.productCategory,
+      keys: product.keys,
+      dealIds: product.dealIds
+    },
+    from,
+    to,
+    points,
+    series,
+    summary: {
+      count: prices.length,
+      low: prices.length > 0 ? prices[0] : null,
+      median: prices.length > 0 ? median(prices) : null,
+      high: prices.length > 0 ? prices[prices.length - 1] : null,
+      allTimeLow
+    }
+  };
+}
+
+module.exports = {
+  normalizeSku,
+  titleFingerprint,
+  productKeys,
+  createCatalog,
+  scorePrice,
+  priceHistoryReport
+};
@@ -0,0 +1,140 @@
+/**
+ * Prometheus metrics for Dealbuster
+ *
+ * A small registry of counters, gauges and histograms with labels, rendered
+ * in the Prometheus text exposition format. Gauges can take a collect
+ * function that sets their values at scrape time.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Label values in labelNames order, so the same labels always give the same key
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function seriesLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  const labels = {};
+  labelNames.forEach((name, i) => { labels[name] = values[i]; });
+  return labels;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some(m => m.name === metric.name)) {
+      throw new Error(`Metric "${metric.name}" is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + value);
+      },
+      lines() {
+        return Array.from(series, ([key, value]) =>
+          `${name}${labelText(seriesLabels(labelNames, key))} ${formatValue(value)}`);
+      }
+    });
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    const series = new Map();
+    const metric = register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        series.set(seriesKey(labelNames, labels), value);
+      },
+      reset() {
+        series.clear();
+      },
+      lines() {
+        if (collect) collect(metric);
+        return Array.from(series, ([key, value]) =>
+          `${name}${labelText(seriesLabels(labelNames, key))} ${formatValue(value)}`);
+      }
+    });
+    return metric;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const series = new Map(); // key -> { counts per bound, sum, count }
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { counts: bounds.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        bounds.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      lines() {
+        const lines = [];
+        series.forEach((entry, key) => {
+          const labels = seriesLabels(labelNames, key);
+          bounds.forEach((bound, i) => {
+            lines.push(`${name}_bucket${labelText({ ...labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${labelText(labels)} ${formatValue(entry.sum)}`);
+          lines.push(`${name}_count${labelText(labels)} ${entry.count}`);
+        });
+        return lines;
+      }
+    });
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    contentType: CONTENT_TYPE,
+
+    render() {
+      return metrics.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+      ].join('\n')).join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = {
+  createRegistry
+};
@@ -0,0 +1,67 @@
+/**
+ * Token-bucket rate limiting for Dealbuster
+ *
+ * A bucket holds up to `capacity` tokens and refills at `refillPerMinute`.
+ * A request takes one token from every bucket that applies to it (for
+ * example its user's and its IP's), or from none when any of them is empty.
+ */
+
+// Full buckets carry no state, so they are dropped once there are this many
+const PRUNE_SIZE = 10000;
+
+// Tokens available at time t for a bucket last used with spec
+function level(bucket, spec, t) {
+  if (!bucket) return spec.capacity;
+  const refilled = bucket.tokens + ((t - bucket.updatedAt) / 60000) * spec.refillPerMinute;
+  return Math.min(spec.capacity, refilled);
+}
+
+function createRateLimiter(now = Date.now) {
+  const buckets = new Map(); // key -> { tokens, updatedAt, capacity, refillPerMinute }
+
+  function prune(t) {
+    buckets.forEach((bucket, key) => {
+      if (level(bucket, bucket, t) >= bucket.capacity) buckets.delete(key);
+    });
+  }
+
+  return {
+    // entries: [{ key, scope, capacity, refillPerMinute }]
+    // Returns { allowed: true } or { allowed: false, retryAfterMs, scope }
+    consume(entries) {
+      const t = now();
+      const levels = entries.map(entry => level(buckets.get(entry.key), entry, t));
+
+      let blocked = null;
+      entries.forEach((entry, i) => {
+        if (levels[i] >= 1) return;
+        const retryAfterMs = entry.refillPerMinute > 0 ?
+          ((1 - levels[i]) / entry.refillPerMinute) * 60000 : Infinity;
+        if (!blocked || retryAfterMs > blocked.retryAfterMs) {
+          blocked = { allowed: false, retryAfterMs, scope: entry.scope };
+        }
+      });
+      if (blocked) return blocked;
+
+      entries.forEach((entry, i) => {
+        buckets.set(entry.key, {
+          tokens: levels[i] - 1,
+          updatedAt: t,
+          capacity: entry.capacity,
+          refillPerMinute: entry.refillPerMinute
+        });
+      });
+      if (buckets.size > PRUNE_SIZE) prune(t);
+
+      return { allowed: true };
+    },
+
+    get size() {
+      return buckets.size;
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
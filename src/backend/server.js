@@ -7,386 +7,3281 @@
  * - Vote-based promotion (no real verification)
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
+const clock = require('./clock');
+const { createStore } = require('./storage');
+const { migrateRecords } = require('./migrations');
+const { validateAlertRule } = require('./alertRules');
+const { createAlertIndex } = require('./alertIndex');
+const { normalizeUrl, findDuplicate } = require('./duplicates');
+const { normalizeSku, createCatalog, scorePrice, priceHistoryReport } = require('./products');
+const { parseDealQuery, queryDeals } = require('./dealQuery');
+const { findCollusion } = require('./collusion');
+const { createRateLimiter } = require('./rateLimit');
+const { IMAGE_TYPES, matchesImageType, validateEvidence } = require('./evidence');
+const { tallyConsensus } = require('./consensus');
+const { keyId, parsePublicKey, verdictStatement, verifyStatement, verificationSignatureError } = require('./signatures');
+const { createAuditLog, verifyChain, auditDeal } = require('./auditLog');
+const { LATENCY_METRICS, parseDuration, parseLatencyQuery, latencyReport } = require('./metrics');
+const { createLogger } = require('./logger');
+const { createRegistry } = require('./prometheus');
+const { canonicalJson, createIdentity, identityFromKey, parsePeerKeys, signEnvelope, envelopeError, createPeerNetwork } = require('./peers');
 
 const app = express();
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
+
+// JSON lines; DEALBUSTER_LOG_LEVEL is debug, info (default), warn or error,
+// DEALBUSTER_LOG_SINK is stdout (default), stderr or a file path to append to
+const log = createLogger({
+  level: process.env.DEALBUSTER_LOG_LEVEL || 'info',
+  sink: process.env.DEALBUSTER_LOG_SINK
+});
+
+// Set DEALBUSTER_DATA_FILE to persist state in an append-only JSON log
+const store = createStore({ file: process.env.DEALBUSTER_DATA_FILE, log });
+
+// Records written by older versions get every field added since, before anything reads them
+const migrated = migrateRecords(store);
+if (migrated > 0) {
+  log.info('Migrated stored records', { component: 'storage', records: migrated });
+}
+
+// Set DEALBUSTER_UPLOAD_DIR to change where evidence images are saved
+const UPLOAD_DIR = process.env.DEALBUSTER_UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads');
+const MAX_UPLOAD_BYTES = 2 * 1024 * 1024;
+
+// = OBSERVABILITY =
+
+const metrics = createRegistry();
+const httpRequests = metrics.counter('dealbuster_http_requests_total',
+  'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('dealbuster_http_request_duration_seconds',
+  'HTTP request duration by route', ['method', 'route']);
+const alertsEvaluated = metrics.counter('dealbuster_alerts_evaluated_total',
+  'Alert rules evaluated against deals', ['trigger']);
+const alertsTriggered = metrics.counter('dealbuster_alerts_triggered_total',
+  'Alert notifications created', ['trigger', 'mode']);
+const dealLatency = metrics.histogram('dealbuster_deal_latency_seconds',
+  'Time from submission to first promotion, first verification or an alert', ['metric', 'mode'],
+  [5, 15, 30, 60, 300, 900, 1800, 3600, 4 * 3600, 12 * 3600, 24 * 3600]);
+metrics.gauge('dealbuster_websocket_clients', 'Connected WebSocket clients', [],
+  gauge => gauge.set({}, connectedClients.size));
+metrics.gauge('dealbuster_deals', 'Deals by status', ['status'], gauge => {
+  gauge.reset();
+  const counts = {};
+  state.deals.forEach(deal => { counts[deal.status] = (counts[deal.status] || 0) + 1; });
+  Object.entries(counts).forEach(([status, count]) => gauge.set({ status }, count));
+});
+
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Route pattern rather than the path, so ids do not blow up the label set
+function routeLabel(req) {
+  if (req.route) return req.baseUrl + req.route.path;
+  return req.originalUrl.startsWith('/uploads/') ? '/uploads' : 'unmatched';
+}
+
+// Request id (a safe X-Request-Id is kept), then metrics and an access log line when done
+function trackRequest(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    log.info('Request handled', {
+      component: 'http',
+      requestId: req.id,
+      method: req.method,
+      route,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000 * 10) / 10,
+      userId: req.user ? req.user.id : null
+    });
+  });
+  next();
+}
 
 // Middleware
+app.use(trackRequest);
 app.use(cors());
+// Peers push envelopes in batches; a node without peers refuses before reading the body
+app.use(['/api/p2p/gossip', '/api/p2p/sync'], requireNetwork, express.json({ limit: '1mb' }));
 app.use(express.json());
+// Uploaded evidence is user content; never let browsers sniff it as anything but an image
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  setHeaders: res => res.set('X-Content-Type-Options', 'nosniff')
+}));
+// Everything logged while handling a request carries its id
+app.use((req, res, next) => log.withContext({ requestId: req.id }, next));
+
+// Prometheus text format
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
 
-// In-memory data store
+// Collections are the store's Maps; persist writes with store.put()/remove()
 const state = {
-  deals: new Map(),
-  users: new Map(),
-  verifications: new Map(),
-  alerts: new Map(),
+  deals: store.collection('deals'),
+  users: store.collection('users'),
+  verifications: store.collection('verifications'),
+  alerts: store.collection('alerts'),
+  sessions: store.collection('sessions'),
+  notifications: store.collection('notifications'),
+  uploads: store.collection('uploads'),
+  moderationLog: store.collection('moderationLog'),
+  events: store.collection('events'), // lifecycle events for the latency metrics
+  node: store.collection('node'), // this node's signing identity and gossip log epoch
+  peers: store.collection('peers'), // sync cursor per peer URL: { epoch, cursor }
+  peerUsers: store.collection('peerUsers'), // accounts homed on other nodes, with their signing keys
+  gossip: store.collection('gossip'), // signed envelopes held for peers, numbered by seq
+  audit: store.collection('audit'), // hash-chained audit log, by sequence number
+  products: store.collection('products'), // deals grouped by product, with their price history
   config: {
     // BASELINE CONFIG: Centralized promotion model
-    mode: 'centralized', // 'centralized' or 'decentralized'
-    promotionThreshold: 5, // votes needed for promotion
+    mode: 'centralized', // 'centralized', 'decentralized' or 'hybrid' (both pipelines)
+    promotionThreshold: 5, // net score (upvotes - downvotes) needed for promotion
     promotionDelay: 4 * 60 * 60 * 1000, // 4 hours in milliseconds (simulated)
-    promotionDelaySimulated: 10000, // 10 seconds for demo purposes
+    promotionDelaySimulated: 10000, // 10 seconds for demo purposes; null uses promotionDelay
+    promotionCheckInterval: 2000, // how often the scheduler re-ranks pending deals
+    frontPageCapacity: 10, // deals that fit on the front page
+    hotScoreGravity: 1.8, // how quickly votes lose weight with age
+
+    // DECENTRALIZED CONFIG: Reputation-weighted consensus
+    consensusWeightThreshold: 300, // summed reputation needed to resolve early
+    consensusMinVerifiers: 3, // distinct verifiers required on the winning side
+    consensusQuorum: 5, // verdicts after which the weighted majority decides
+    evidencePriceTolerance: 0.1, // "valid" verdicts observing a price this much above the deal's are discarded
+    requireSignedVerdicts: true, // verdicts must carry the verifier's signature
+
+    // DECENTRALIZED CONFIG: Disputes
+    disputeStake: 20, // reputation a disputer puts up, returned if the outcome is overturned
+    disputeReward: 10, // paid on top of the returned stake when the outcome is overturned
+    disputeQuorumMultiplier: 2, // each dispute round multiplies quorum, minimum verifiers and weight threshold
+    maxDisputes: 2, // dispute rounds allowed per deal
+
+    // DECENTRALIZED CONFIG: Reputation settlement
+    reputationReward: 5, // verifier agreed with consensus
+    reputationPenalty: 10, // verifier disagreed with consensus
+    minReputation: 0,
+
+    // DECENTRALIZED CONFIG: Sybil and collusion safeguards
+    verifierProbation: 60 * 1000, // new accounts cannot verify for this long (1 minute for demo purposes)
+    collusionWindow: 10 * 1000, // verdicts on the same deal this close together look coordinated
+    collusionMinSharedDeals: 3, // shared deals before a pair of accounts can be flagged
+    flaggedVerdictWeight: 0.25, // share of a verdict (weight and count) a flagged account still carries
+
+    sessionTtl: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+    // Deal lifecycle
+    expirySweepInterval: 15000, // how often expired deals are swept
+    expiryReportThreshold: 2, // "deal is dead" reports that expire a deal
+    priceReportThreshold: 2, // users who must report the same new price before it replaces the deal's
+
+    // Duplicate detection
+    duplicateTitleSimilarity: 0.85, // title similarity (0-1) treated as a duplicate
+
+    // Product catalog
+    productTitleSimilarity: 0.9, // title similarity (0-1) that puts a deal under an existing product
+    priceHistoryWindow: 90 * 24 * 60 * 60 * 1000, // how far back price scores look (90 days)
+    priceScoreMinSamples: 3, // earlier prices needed before a price is rated
+
+    // Metrics
+    metricsRetention: 7 * 24 * 60 * 60 * 1000, // lifecycle events older than this are dropped
+
+    // Peer network
+    peerSyncInterval: 2000, // how often each peer is asked for envelopes this node is missing
+    maxVerdictWeight: 200, // most a replicated verdict's weight counts for, whatever its node claims
+
+    // Abuse throttling: token buckets per route, per user and per IP (null = no limit)
+    rateLimiting: true,
+    rateLimits: {
+      register: { perUser: null, perIp: { capacity: 10, refillPerMinute: 2 } },
+      login: { perUser: null, perIp: { capacity: 10, refillPerMinute: 5 } },
+      deals: { perUser: { capacity: 5, refillPerMinute: 1 }, perIp: { capacity: 20, refillPerMinute: 5 } },
+      votes: { perUser: { capacity: 30, refillPerMinute: 30 }, perIp: { capacity: 100, refillPerMinute: 60 } },
+      verify: { perUser: { capacity: 20, refillPerMinute: 10 }, perIp: { capacity: 60, refillPerMinute: 30 } },
+      reports: { perUser: { capacity: 10, refillPerMinute: 5 }, perIp: { capacity: 30, refillPerMinute: 15 } },
+      disputes: { perUser: { capacity: 3, refillPerMinute: 1 }, perIp: { capacity: 10, refillPerMinute: 5 } },
+      alerts: { perUser: { capacity: 10, refillPerMinute: 5 }, perIp: { capacity: 30, refillPerMinute: 15 } },
+      uploads: { perUser: { capacity: 10, refillPerMinute: 5 }, perIp: { capacity: 30, refillPerMinute: 15 } },
+      default: { perUser: { capacity: 60, refillPerMinute: 60 }, perIp: { capacity: 120, refillPerMinute: 120 } }
+    },
+    maxActiveAlerts: 20, // alerts one user can have at a time
+    maxDealsPerDay: 10 // submissions per user in any 24 hours
   }
 };
 
+// Alerts indexed by keyword, category and price for matching
+const alertIndex = createAlertIndex();
+state.alerts.forEach(alert => alertIndex.add(alert));
+
+// Append-only and hash-chained; see the AUDIT LOG section
+const audit = createAuditLog({ entries: state.audit, save: entry => store.put('audit', entry), now: clock.now });
+
+// Deals grouped by product; see the PRODUCT CATALOG section
+const catalog = createCatalog({ products: state.products, save: product => store.put('products', product) });
+catalogExistingDeals();
+
 // WebSocket server for real-time updates
 const wss = new WebSocket.Server({ noServer: true });
 
-const connectedClients = new Set();
+// ws -> { ws, userId, sessionId, channels }
+const connectedClients = new Map();
+
+// Channels a client may subscribe to:
+// - 'deals': public feed of every deal event
+// - 'alerts': the authenticated user's own alert notifications
+// - 'deal:<dealId>', 'category:<name>': events for one deal or category
+function isValidChannel(channel) {
+  return channel === 'deals' || channel === 'alerts' ||
+    /^deal:.+/.test(channel) || /^category:.+/.test(channel);
+}
+
+function send(client, message) {
+  if (client.ws.readyState === WebSocket.OPEN) {
+    client.ws.send(JSON.stringify(message));
+  }
+}
+
+function authenticateClient(client, token) {
+  const session = findSession(token);
+  client.userId = session ? session.userId : null;
+  client.sessionId = session ? session.id : null;
+  if (!session) {
+    client.channels.delete('alerts');
+  }
+  return session;
+}
+
+function handleClientMessage(client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(client, { type: 'ERROR', error: 'Invalid JSON' });
+  }
+
+  // "null", numbers and arrays parse fine but are not messages
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return send(client, { type: 'ERROR', error: 'Messages must be JSON objects' });
+  }
+
+  switch (message.type) {
+    case 'AUTH': {
+      const session = authenticateClient(client, message.token);
+      if (message.token && !session) {
+        return send(client, { type: 'ERROR', error: 'Invalid or expired token' });
+      }
+      return send(client, { type: 'AUTHENTICATED', userId: client.userId });
+    }
+    case 'SUBSCRIBE':
+    case 'UNSUBSCRIBE': {
+      const channels = Array.isArray(message.channels) ? message.channels : [];
+      for (const channel of channels) {
+        if (!isValidChannel(channel)) {
+          return send(client, { type: 'ERROR', error: `Unknown channel "${channel}"` });
+        }
+        if (channel === 'alerts' && !client.userId) {
+          return send(client, { type: 'ERROR', error: 'Authentication required for "alerts"' });
+        }
+      }
+      const replayInbox = message.type === 'SUBSCRIBE' &&
+        channels.includes('alerts') && !client.channels.has('alerts');
+      channels.forEach(channel => {
+        if (message.type === 'SUBSCRIBE') {
+          client.channels.add(channel);
+        } else {
+          client.channels.delete(channel);
+        }
+      });
+      send(client, { type: 'SUBSCRIBED', channels: Array.from(client.channels) });
+      if (replayInbox) {
+        replayUnreadNotifications(client);
+      }
+      return;
+    }
+    default:
+      return send(client, { type: 'ERROR', error: `Unknown message type "${message.type}"` });
+  }
+}
+
+wss.on('connection', (ws, request) => {
+  // Browsers cannot set headers on a WebSocket, so the token rides in the query string
+  const token = new URL(request.url, 'http://localhost').searchParams.get('token');
+  const client = { ws, userId: null, sessionId: null, channels: new Set(['deals']) };
+  authenticateClient(client, token);
+
+  connectedClients.set(ws, client);
+  log.info('WebSocket client connected', { component: 'ws', clients: connectedClients.size, userId: client.userId });
 
-wss.on('connection', (ws) => {
-  connectedClients.add(ws);
-  console.log('Client connected. Total clients:', connectedClients.size);
+  ws.on('message', (raw) => handleClientMessage(client, raw));
 
   ws.on('close', () => {
     connectedClients.delete(ws);
-    console.log('Client disconnected. Total clients:', connectedClients.size);
+    log.info('WebSocket client disconnected', { component: 'ws', clients: connectedClients.size });
   });
 });
 
 // Broadcast to all connected clients
 function broadcast(message) {
-  const data = JSON.stringify(message);
-  connectedClients.forEach((client) => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(data);
+  connectedClients.forEach(client => send(client, message));
+}
+
+// Deliver a deal event to clients following the feed, the deal or its category
+function publishDeal(message) {
+  const { deal } = message;
+  if (deal.hidden) return; // hidden deals stay off the public feeds
+  const channels = ['deals', `deal:${deal.id}`, `category:${deal.productCategory}`];
+  connectedClients.forEach(client => {
+    if (channels.some(channel => client.channels.has(channel))) {
+      send(client, message);
+    }
+  });
+}
+
+// Deliver to every socket of one user, optionally only those on a channel
+function sendToUser(userId, message, channel) {
+  let delivered = 0;
+  connectedClients.forEach(client => {
+    if (client.userId === userId && (!channel || client.channels.has(channel))) {
+      send(client, message);
+      delivered += 1;
+    }
+  });
+  return delivered;
+}
+
+// = AUTH =
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return { salt, hash };
+}
+
+function verifyPassword(user, password) {
+  if (!user.passwordHash || !user.passwordSalt) return false;
+  const { hash } = hashPassword(password, user.passwordSalt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+function createSession(user) {
+  const session = {
+    id: crypto.randomBytes(32).toString('hex'), // the bearer token
+    userId: user.id,
+    createdAt: clock.now(),
+    expiresAt: clock.now() + state.config.sessionTtl
+  };
+  store.put('sessions', session);
+  return session;
+}
+
+function findSession(token) {
+  const session = token && state.sessions.get(token);
+  if (!session) return null;
+
+  if (session.expiresAt <= clock.now()) {
+    store.remove('sessions', session.id);
+    return null;
+  }
+  return session;
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Resolve the acting user from the bearer token, if any
+function authenticate(req, res, next) {
+  const session = findSession(bearerToken(req));
+  req.session = session;
+  req.user = session ? state.users.get(session.userId) || null : null;
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// user < moderator < admin; each role can do everything the ones before it can
+const ROLES = ['user', 'moderator', 'admin'];
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role || 'user') >= ROLES.indexOf(role);
+}
+
+// Route middleware: place after requireAuth
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Banned (until === null) or suspended until a time
+function isSuspended(user) {
+  const { suspension } = user;
+  return Boolean(suspension) && (suspension.until === null || suspension.until > clock.now());
+}
+
+app.use(authenticate);
+
+// = RATE LIMITING =
+
+const rateLimiter = createRateLimiter(clock.now);
+
+function tooManyRequests(res, retryAfterMs, error, details = {}) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter, ...details });
+}
+
+// Route middleware: place after requireAuth so the per-user bucket applies
+function rateLimit(name) {
+  return (req, res, next) => {
+    if (!state.config.rateLimiting) return next();
+
+    const limits = state.config.rateLimits[name] || state.config.rateLimits.default;
+    const entries = [];
+    if (limits.perIp) {
+      entries.push({ key: `${name}:ip:${req.ip}`, scope: 'ip', ...limits.perIp });
+    }
+    if (limits.perUser && req.user) {
+      entries.push({ key: `${name}:user:${req.user.id}`, scope: 'user', ...limits.perUser });
+    }
+
+    const result = rateLimiter.consume(entries);
+    if (result.allowed) return next();
+
+    return tooManyRequests(res, result.retryAfterMs,
+      'Too many requests, please slow down', { limit: name, scope: result.scope });
+  };
+}
+
+// Strip credentials before a user record leaves the server
+function publicUser(user) {
+  const { passwordHash, passwordSalt, ...rest } = user;
+  return rest;
+}
+
+function sessionResponse(user, session) {
+  return {
+    success: true,
+    token: session.id,
+    expiresAt: session.expiresAt,
+    user: {
+      id: user.id,
+      username: user.username,
+      reputationScore: user.reputationScore,
+      role: user.role || 'user'
+    }
+  };
+}
+
+// = Users =
+
+function findUserByUsername(username) {
+  for (let user of state.users.values()) {
+    if (user.username === username) {
+      return user;
+    }
+  }
+  return null;
+}
+
+// Set DEALBUSTER_ADMIN to the username that administers the instance. Without
+// it only the first account on an empty store becomes admin, so upgrading a
+// data file never hands the role to whoever signs up next.
+const BOOTSTRAP_ADMIN = process.env.DEALBUSTER_ADMIN || null;
+
+function isBootstrapAdmin(username) {
+  return BOOTSTRAP_ADMIN ? username === BOOTSTRAP_ADMIN : state.users.size === 0;
+}
+
+// The named account may already exist
+const bootstrapAdmin = BOOTSTRAP_ADMIN && findUserByUsername(BOOTSTRAP_ADMIN);
+if (bootstrapAdmin && bootstrapAdmin.role !== 'admin') {
+  bootstrapAdmin.role = 'admin';
+  store.put('users', bootstrapAdmin);
+  log.info('Promoted bootstrap admin', { component: 'auth', userId: bootstrapAdmin.id });
+}
+
+// Usernames are shown across the UI, so they are kept to plain characters
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+app.post('/api/users/register', rateLimit('register'), (req, res) => {
+  const { username, password } = req.body;
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+    return res.status(400).json({ error: 'Username must be 3-32 letters, digits, underscores or dashes' });
+  }
+
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+
+  if (findUserByUsername(username.trim())) {
+    return res.status(409).json({ error: 'Username already exists' });
+  }
+
+  const { salt, hash } = hashPassword(password);
+  const userId = uuidv4();
+  const user = {
+    id: userId,
+    username: username.trim(),
+    passwordHash: hash,
+    passwordSalt: salt,
+    role: isBootstrapAdmin(username.trim()) ? 'admin' : 'user',
+    suspension: null, // { until (null = banned), reason, moderatorId, moderatorUsername, at }
+    reputationScore: 100, // Starting reputation
+    verificationHistory: [],
+    collusionFlag: null, // { reasons, partners, flaggedAt } while the detector links this account to others
+    reputationLedger: [], // { dealId, delta, reason, balance, timestamp }
+    signingKeys: [], // { id, publicKey, addedAt }: public keys the user signs verdicts with
+    createdAt: clock.now()
+  };
+
+  store.put('users', user);
+  auditAccount(user);
+  gossip('user', accountPayload(user));
+
+  res.json(sessionResponse(user, createSession(user)));
+});
+
+app.post('/api/users/login', rateLimit('login'), (req, res) => {
+  const { username, password } = req.body;
+
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+
+  const user = findUserByUsername(username.trim());
+  if (!user || !verifyPassword(user, password)) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  if (isSuspended(user)) {
+    const { until, reason } = user.suspension;
+    return res.status(403).json({
+      error: until === null ? 'This account is banned' : 'This account is suspended',
+      reason,
+      until
+    });
+  }
+
+  res.json(sessionResponse(user, createSession(user)));
+});
+
+app.post('/api/users/logout', requireAuth, rateLimit('default'), (req, res) => {
+  store.remove('sessions', req.session.id);
+
+  // Sockets opened with this session lose access to private channels
+  connectedClients.forEach(client => {
+    if (client.sessionId === req.session.id) {
+      authenticateClient(client, null);
+    }
+  });
+  res.json({ success: true });
+});
+
+app.get('/api/users/me', requireAuth, (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+app.get('/api/users/:userId', (req, res) => {
+  const user = state.users.get(req.params.userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  res.json(publicUser(user));
+});
+
+app.get('/api/users', (req, res) => {
+  const users = Array.from(state.users.values()).map(u => ({
+    id: u.id,
+    username: u.username,
+    role: u.role || 'user',
+    reputationScore: u.reputationScore,
+    verificationsCount: u.verificationHistory.length
+  }));
+  res.json(users);
+});
+
+// = Deals =
+
+// A positive amount from a number or a numeric string (form fields send
+// strings), else NaN
+function parseAmount(value) {
+  const amount = typeof value === 'number' ? value :
+    typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  return Number.isFinite(amount) && amount > 0 ? amount : NaN;
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Why a submission's fields cannot make a deal, or null. Everything after
+// this (duplicates, catalog, alerts, peers) relies on these types.
+function dealFieldsError({ title, price, originalPrice, url, productCategory }) {
+  if (!isText(title) || !isText(url) || !isText(productCategory)) {
+    return 'title, url and productCategory must be non-empty strings';
+  }
+  if (Number.isNaN(parseAmount(price))) {
+    return 'price must be a positive number';
+  }
+  const hasOriginal = originalPrice !== undefined && originalPrice !== null && originalPrice !== '';
+  if (hasOriginal && Number.isNaN(parseAmount(originalPrice))) {
+    return 'originalPrice must be a positive number';
+  }
+  return null;
+}
+
+app.post('/api/deals', requireAuth, rateLimit('deals'), (req, res) => {
+  const { title, price, originalPrice, url, productCategory, expiresAt } = req.body;
+  const user = req.user;
+
+  const fieldsError = dealFieldsError(req.body);
+  if (fieldsError) {
+    return res.status(400).json({ error: fieldsError });
+  }
+
+  const sku = req.body.sku ? normalizeSku(req.body.sku) : null;
+  if (req.body.sku && !sku) {
+    return res.status(400).json({ error: 'sku must be 3-64 letters, digits, dots, dashes or underscores' });
+  }
+
+  // Rolling 24-hour cap; Retry-After is when the oldest submission ages out
+  const dayAgo = clock.now() - 24 * 60 * 60 * 1000;
+  const recent = Array.from(state.deals.values())
+    .filter(d => d.submittedBy === user.id && d.timestamp > dayAgo);
+  if (recent.length >= state.config.maxDealsPerDay) {
+    const oldest = Math.min(...recent.map(d => d.timestamp));
+    return tooManyRequests(res, oldest - dayAgo,
+      `You can submit at most ${state.config.maxDealsPerDay} deals per day`, { limit: 'maxDealsPerDay' });
+  }
+
+  // distinct: true posts a deal whose title only resembles a live one
+  const duplicate = findDuplicate({ title, url }, liveDeals(), state.config.duplicateTitleSimilarity, req.body.distinct === true);
+  if (duplicate) {
+    return res.status(409).json({
+      error: duplicate.reason === 'url' ?
+        'This deal has already been posted' :
+        'A deal with a very similar title has already been posted',
+      reason: duplicate.reason,
+      duplicateOf: duplicate.deal.id,
+      similarity: duplicate.similarity,
+      deal: duplicate.deal
+    });
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt).getTime();
+    if (!Number.isFinite(expiry) || expiry <= clock.now()) {
+      return res.status(400).json({ error: 'expiresAt must be a future date' });
+    }
+  }
+
+  const deal = newDeal({
+    title: title.trim(),
+    price: parseAmount(price),
+    originalPrice: originalPrice ? parseAmount(originalPrice) : null,
+    url: url.trim(),
+    sku,
+    productCategory: productCategory.trim(),
+    submittedBy: user.id,
+    submittedByUsername: user.username,
+    expiresAt: expiry
+  });
+
+  addDealToCatalog(deal);
+  store.put('deals', deal);
+  recordEvent('submitted', deal);
+  audit.append('deal', deal.id, dealPayload(deal));
+
+  publishDeal({
+    type: 'NEW_DEAL',
+    deal
+  });
+
+  checkAlertsForDeal(deal, 'submission');
+  gossip('deal', dealPayload(deal));
+
+  res.json({ success: true, deal });
+});
+
+// Submissions and deals gossiped by peers both start here
+function newDeal({ id = uuidv4(), title, price, originalPrice, url, sku = null, productCategory, submittedBy, submittedByUsername, timestamp = clock.now(), expiresAt = null, origin = null }) {
+  return {
+    id,
+    title,
+    price,
+    originalPrice,
+    url,
+    normalizedUrl: normalizeUrl(url),
+    sku, // optional store or manufacturer product code
+    productCategory,
+    submittedBy,
+    submittedByUsername,
+    timestamp,
+    origin, // the peer it was submitted on: { nodeId, url }; null when submitted here
+    verifications: [],
+    votes: 0, // BASELINE: net score, upvotes - downvotes
+    upvotes: 0,
+    downvotes: 0,
+    voters: [], // { userId, username, direction, timestamp }
+    consensus: null, // DECENTRALIZED: latest weighted consensus result
+    settlement: [], // DECENTRALIZED: reputation paid out for the outcome: { userId, verdict, delta, carriedFrom }
+    status: 'pending', // pending, promoted, verified, rejected, expired, merged
+    outcomes: {
+      promotion: { status: 'pending', decidedAt: null }, // pending, promoted
+      consensus: { status: 'pending', decidedAt: null } // pending, verified, rejected
+    },
+    promotedAt: null, // first promotion
+    demotedAt: null,
+    promotionHistory: [], // { action: 'promoted' | 'demoted', hotScore, timestamp }
+    expiresAt,
+    expiredAt: null,
+    priceHistory: [
+      { price, previousPrice: null, source: 'submission', userId: submittedBy, timestamp }
+    ],
+    productId: null, // catalog product this deal is for
+    priceScore: null, // current price against the product's earlier prices (see scorePrice)
+    reports: [], // { id, userId, username, type, newPrice, note, timestamp }
+    duplicateOf: null, // set when merged into another deal
+    mergedFrom: [],
+    round: 1, // DECENTRALIZED: verification round, raised by each dispute
+    rounds: [], // closed rounds: { round, outcome, decidedAt, consensus, verifications }
+    disputes: [], // { id, userId, username, reason, stake, round, previousOutcome, openedAt, resolvedAt, outcome }
+    hidden: null, // set by moderators: { reason, moderatorId, moderatorUsername, at }
+    locked: null, // same shape; locked deals take no more votes, verifications or reports
+    override: null // moderator's consensus override: { outcome, previousOutcome, reason, moderatorId, moderatorUsername, at }
+  };
+}
+
+// Which pipelines decide deals in each mode
+const MODE_PIPELINES = {
+  centralized: ['promotion'],
+  decentralized: ['consensus'],
+  hybrid: ['promotion', 'consensus']
+};
+
+function pipelineEnabled(pipeline) {
+  return MODE_PIPELINES[state.config.mode].includes(pipeline);
+}
+
+// Expired, merged and hidden deals are out of both pipelines
+function isOpenDeal(deal) {
+  return deal.status !== 'expired' && deal.status !== 'merged' && !deal.hidden;
+}
+
+// Why members can no longer act on a deal, or null
+function moderatorClosure(deal) {
+  if (deal.hidden) return 'Deal was removed by a moderator';
+  if (deal.locked) return 'Deal is locked by a moderator';
+  return null;
+}
+
+// Hidden deals are only visible to moderators
+function canSeeDeal(req, deal) {
+  return !deal.hidden || Boolean(req.user && hasRole(req.user, 'moderator'));
+}
+
+function visibleDeals(req) {
+  return Array.from(state.deals.values()).filter(deal => canSeeDeal(req, deal));
+}
+
+// Pipelines record outcomes separately; status shows consensus over promotion
+function refreshDealStatus(deal) {
+  if (!isOpenDeal(deal)) return;
+  const { promotion, consensus } = deal.outcomes;
+  const previous = deal.status;
+  deal.status = consensus.status !== 'pending' ? consensus.status : promotion.status;
+  if (deal.status !== previous) auditStatus(deal, previous);
+}
+
+// Deals that can still collect votes and verifications
+function liveDeals() {
+  return Array.from(state.deals.values())
+    .filter(d => !d.hidden && (d.status === 'pending' || d.status === 'promoted' || d.status === 'verified'));
+}
+
+app.get('/api/deals', (req, res) => {
+  const { options, error } = parseDealQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json(queryDeals(visibleDeals(req), options));
+});
+
+app.get('/api/deals/:dealId', (req, res) => {
+  const deal = state.deals.get(req.params.dealId);
+  if (!deal || !canSeeDeal(req, deal)) {
+    return res.status(404).json({ error: 'Deal not found' });
+  }
+  res.json(deal);
+});
+
+// = BASELINE: PROMOTIONS =
+
+// promotionDelaySimulated shortens the realistic promotionDelay for demos;
+// null (or anything not a positive number) uses promotionDelay
+function currentPromotionDelay() {
+  const { promotionDelaySimulated, promotionDelay } = state.config;
+  return Number.isFinite(promotionDelaySimulated) && promotionDelaySimulated > 0 ?
+    promotionDelaySimulated : promotionDelay;
+}
+
+// Time-decayed ranking: net score divided by age (in promotion delays) to a power
+function hotScore(deal, now = clock.now()) {
+  const age = Math.max(0, now - deal.timestamp) / currentPromotionDelay();
+  return deal.votes / Math.pow(age + 1, state.config.hotScoreGravity);
+}
+
+// BASELINE: a deal may only promote after the delay and with enough net votes
+function isPromotionCandidate(deal, now) {
+  return isOpenDeal(deal) &&
+    deal.outcomes.promotion.status === 'pending' &&
+    now - deal.timestamp >= currentPromotionDelay() &&
+    deal.votes >= state.config.promotionThreshold;
+}
+
+// Front page = the top frontPageCapacity deals among promoted deals and candidates
+function rankFrontPage(now = clock.now()) {
+  const contenders = Array.from(state.deals.values())
+    .filter(d => (isOpenDeal(d) && d.outcomes.promotion.status === 'promoted') || isPromotionCandidate(d, now))
+    .map(deal => ({ deal, hotScore: hotScore(deal, now) }))
+    .sort((a, b) => b.hotScore - a.hotScore);
+
+  const frontPage = contenders
+    .filter(entry => entry.deal.votes >= state.config.promotionThreshold)
+    .slice(0, state.config.frontPageCapacity);
+
+  return { contenders, frontPage };
+}
+
+function promoteDeal(deal, score) {
+  const now = clock.now();
+  // Only the first promotion counts towards promotion latency
+  recordEvent('promoted', deal, deal.promotedAt ? null : now - deal.timestamp);
+  deal.outcomes.promotion = { status: 'promoted', decidedAt: now };
+  refreshDealStatus(deal);
+  deal.promotedAt = deal.promotedAt || now;
+  deal.promotionHistory.push({ action: 'promoted', hotScore: score, timestamp: now });
+  store.put('deals', deal);
+
+  publishDeal({
+    type: 'DEAL_PROMOTED',
+    deal
+  });
+
+  // Check alerts ONLY after promotion
+  checkAlertsForDeal(deal);
+
+  log.info('Deal promoted', { component: 'baseline', dealId: deal.id, latencyMs: now - deal.timestamp, hotScore: score });
+}
+
+function demoteDeal(deal, score) {
+  const now = clock.now();
+  deal.outcomes.promotion = { status: 'pending', decidedAt: null };
+  refreshDealStatus(deal);
+  deal.demotedAt = now;
+  deal.promotionHistory.push({ action: 'demoted', hotScore: score, timestamp: now });
+  store.put('deals', deal);
+  recordEvent('demoted', deal);
+
+  publishDeal({
+    type: 'DEAL_DEMOTED',
+    deal
+  });
+
+  log.info('Deal demoted from the front page', { component: 'baseline', dealId: deal.id, hotScore: score });
+}
+
+// BASELINE: re-rank on every tick so late votes still count and stale deals fall off
+function runPromotionCycle() {
+  if (!pipelineEnabled('promotion')) return;
+
+  // Hidden deals are not ranked, so one that was promoted would keep its
+  // promotion; give up the slot before ranking the rest
+  const now = clock.now();
+  Array.from(state.deals.values())
+    .filter(deal => deal.hidden && deal.outcomes.promotion.status === 'promoted')
+    .forEach(deal => demoteDeal(deal, hotScore(deal, now)));
+
+  const { contenders, frontPage } = rankFrontPage(now);
+  const onFrontPage = new Set(frontPage.map(entry => entry.deal.id));
+
+  contenders.forEach(({ deal, hotScore: score }) => {
+    const promoted = deal.outcomes.promotion.status === 'promoted';
+    if (promoted && !onFrontPage.has(deal.id)) {
+      demoteDeal(deal, score);
+    } else if (!promoted && onFrontPage.has(deal.id)) {
+      promoteDeal(deal, score);
+    }
+  });
+}
+
+app.get('/api/frontpage', (req, res) => {
+  const now = clock.now();
+  const { frontPage } = rankFrontPage(now);
+  const onFrontPage = new Set(frontPage.map(entry => entry.deal.id));
+
+  // Pending deals still in the running, best first
+  const queue = Array.from(state.deals.values())
+    .filter(d => isOpenDeal(d) && d.outcomes.promotion.status === 'pending' && !onFrontPage.has(d.id))
+    .map(deal => ({
+      deal,
+      hotScore: hotScore(deal, now),
+      eligibleAt: deal.timestamp + currentPromotionDelay(),
+      candidate: isPromotionCandidate(deal, now)
+    }))
+    .sort((a, b) => b.hotScore - a.hotScore);
+
+  res.json({
+    capacity: state.config.frontPageCapacity,
+    frontPage,
+    queue
+  });
+});
+
+// = VOTING (BASELINE) vs VERIFICATION (DECENTRALIZED) =
+
+const VOTE_DIRECTIONS = ['up', 'down'];
+
+function recountVotes(deal) {
+  deal.upvotes = deal.voters.filter(v => v.direction === 'up').length;
+  deal.downvotes = deal.voters.filter(v => v.direction === 'down').length;
+  deal.votes = deal.upvotes - deal.downvotes;
+}
+
+// Shared lookup for the vote routes; sends the error response itself
+function findVotableDeal(req, res) {
+  const deal = state.deals.get(req.params.dealId);
+
+  if (!deal) {
+    res.status(404).json({ error: 'Deal not found' });
+    return null;
+  }
+
+  if (deal.status === 'merged') {
+    res.status(409).json({ error: 'Deal was merged into another deal', duplicateOf: deal.duplicateOf });
+    return null;
+  }
+
+  const closure = moderatorClosure(deal);
+  if (closure) {
+    res.status(409).json({ error: closure });
+    return null;
+  }
+
+  return deal;
+}
+
+// direction is null when the vote was withdrawn
+function saveVote(deal, res, user, direction) {
+  recountVotes(deal);
+  store.put('deals', deal);
+  audit.append('vote', deal.id, { userId: user.id, username: user.username, direction });
+
+  publishDeal({
+    type: 'DEAL_UPDATED',
+    deal
+  });
+
+  res.json({ success: true, deal });
+}
+
+app.post('/api/deals/:dealId/vote', requireAuth, rateLimit('votes'), (req, res) => {
+  const direction = req.body.direction || 'up';
+  const deal = findVotableDeal(req, res);
+  if (!deal) return;
+
+  if (!VOTE_DIRECTIONS.includes(direction)) {
+    return res.status(400).json({ error: 'direction must be "up" or "down"' });
+  }
+
+  if (deal.voters.some(v => v.userId === req.user.id)) {
+    return res.status(409).json({ error: 'You already voted on this deal' });
+  }
+
+  deal.voters.push({
+    userId: req.user.id,
+    username: req.user.username,
+    direction,
+    timestamp: clock.now()
+  });
+
+  saveVote(deal, res, req.user, direction);
+});
+
+// Change the direction of an existing vote
+app.put('/api/deals/:dealId/vote', requireAuth, rateLimit('votes'), (req, res) => {
+  const { direction } = req.body;
+  const deal = findVotableDeal(req, res);
+  if (!deal) return;
+
+  if (!VOTE_DIRECTIONS.includes(direction)) {
+    return res.status(400).json({ error: 'direction must be "up" or "down"' });
+  }
+
+  const vote = deal.voters.find(v => v.userId === req.user.id);
+  if (!vote) {
+    return res.status(404).json({ error: 'You have not voted on this deal' });
+  }
+
+  vote.direction = direction;
+  vote.timestamp = clock.now();
+
+  saveVote(deal, res, req.user, direction);
+});
+
+app.delete('/api/deals/:dealId/vote', requireAuth, rateLimit('votes'), (req, res) => {
+  const deal = findVotableDeal(req, res);
+  if (!deal) return;
+
+  const index = deal.voters.findIndex(v => v.userId === req.user.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'You have not voted on this deal' });
+  }
+
+  deal.voters.splice(index, 1);
+
+  saveVote(deal, res, req.user, null);
+});
+
+app.get('/api/deals/:dealId/votes', (req, res) => {
+  const deal = state.deals.get(req.params.dealId);
+  if (!deal || !canSeeDeal(req, deal)) {
+    return res.status(404).json({ error: 'Deal not found' });
+  }
+
+  res.json({
+    votes: deal.votes,
+    upvotes: deal.upvotes,
+    downvotes: deal.downvotes,
+    voters: deal.voters
+  });
+});
+
+app.post('/api/deals/:dealId/verify', requireAuth, rateLimit('verify'), (req, res) => {
+  const { verdict } = req.body;
+  const user = req.user;
+  const userId = user.id;
+  const deal = state.deals.get(req.params.dealId);
+
+  if (!deal) {
+    return res.status(404).json({ error: 'Deal not found' });
+  }
+
+  if (verdict !== 'valid' && verdict !== 'invalid') {
+    return res.status(400).json({ error: 'verdict must be "valid" or "invalid"' });
+  }
+
+  const closure = moderatorClosure(deal);
+  if (closure) {
+    return res.status(409).json({ error: closure });
+  }
+
+  const { evidence, error } = validateEvidence(req.body.evidence, clock.now());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Attachments must be the verifier's own uploads
+  const uploads = evidence.attachments.map(id => state.uploads.get(id));
+  if (uploads.some(upload => !upload || upload.userId !== userId)) {
+    return res.status(400).json({ error: 'Unknown attachment' });
+  }
+  evidence.attachments = uploads.map(uploadSummary);
+
+  if (deal.status === 'merged') {
+    return res.status(409).json({ error: 'Deal was merged into another deal', duplicateOf: deal.duplicateOf });
+  }
+
+  if (deal.submittedBy === userId) {
+    return res.status(403).json({ error: 'You cannot verify your own deal' });
+  }
+
+  const probationEndsAt = user.createdAt + state.config.verifierProbation;
+  if (clock.now() < probationEndsAt) {
+    return res.status(403).json({ error: 'New accounts cannot verify deals yet', probationEndsAt });
+  }
+
+  // A decided round is settled; only a dispute reopens it
+  if (deal.outcomes.consensus.status !== 'pending') {
+    return res.status(409).json({ error: `This round is already ${deal.outcomes.consensus.status}; dispute it to reopen` });
+  }
+
+  // Check if user already verified this deal
+  if (deal.verifications.some(v => v.verifierId === userId)) {
+    return res.status(409).json({ error: 'You already verified this deal' });
+  }
+
+  // Dispute rounds need fresh eyes
+  if (tookPartInDispute(deal, userId)) {
+    return res.status(409).json({ error: 'You took part in an earlier round or the dispute of this deal' });
+  }
+
+  const { signature, error: signatureError } = checkVerdictSignature(req, deal);
+  if (signatureError) {
+    return res.status(400).json({ error: signatureError });
+  }
+
+  const verification = {
+    id: uuidv4(),
+    dealId: deal.id,
+    verifierId: userId,
+    verifierUsername: user.username,
+    verdict: verdict, // 'valid' or 'invalid'
+    evidence, // { observedPrice, checkedAt, region, store, couponCode, checklist, notes, attachments }
+    ...liveVerdictWeight(user), // { weight, share } when cast; what peers count it as
+    signature, // { keyId, publicKey, statement, value }, or null when unsigned
+    timestamp: clock.now()
+  };
+
+  deal.verifications.push(verification);
+  user.verificationHistory.push(verification.id);
+  store.put('verifications', verification);
+  store.put('users', user);
+  audit.append('verification', deal.id, verification);
+
+  indexVerifiedDeal(userId, deal.id);
+  refreshDealCollusion(deal);
+
+  // DECENTRALIZED / HYBRID MODE: Check consensus immediately
+  if (pipelineEnabled('consensus')) {
+    checkConsensus(deal);
+  }
+
+  store.put('deals', deal);
+
+  publishDeal({
+    type: 'DEAL_UPDATED',
+    deal
+  });
+
+  gossip('verification', verification);
+
+  res.json({ success: true, verification, deal });
+});
+
+// = EVIDENCE UPLOADS =
+
+function uploadSummary(upload) {
+  return {
+    id: upload.id,
+    url: `/uploads/${upload.fileName}`,
+    contentType: upload.contentType,
+    size: upload.size
+  };
+}
+
+const imageBody = express.raw({ type: Object.keys(IMAGE_TYPES), limit: MAX_UPLOAD_BYTES });
+
+// Raw image body with its Content-Type, e.g. a screenshot of the price
+app.post('/api/uploads', requireAuth, rateLimit('uploads'), imageBody, (req, res) => {
+  const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0 || !matchesImageType(req.body, contentType)) {
+    return res.status(415).json({ error: 'Upload a PNG, JPEG, GIF or WebP image' });
+  }
+
+  const id = uuidv4();
+  const upload = {
+    id,
+    userId: req.user.id,
+    contentType,
+    size: req.body.length,
+    fileName: `${id}.${IMAGE_TYPES[contentType].extension}`,
+    createdAt: clock.now()
+  };
+
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(path.join(UPLOAD_DIR, upload.fileName), req.body);
+  store.put('uploads', upload);
+
+  res.json({ success: true, upload: uploadSummary(upload) });
+});
+
+// = DECENTRALIZED: CONSENSUS BASED =
+
+// A verdict's weight from its verifier's reputation; accounts flagged for
+// collusion only carry part of it
+function liveVerdictWeight(verifier) {
+  const share = verifier && verifier.collusionFlag ? state.config.flaggedVerdictWeight : 1;
+  return { weight: (verifier ? verifier.reputationScore : 0) * share, share };
+}
+
+// Peers only know the verifier's reputation when the verdict was cast, so on
+// a peer network every node counts that instead of the live reputation
+function verdictWeight(v) {
+  if (networkEnabled()) {
+    return { weight: Math.min(v.weight, state.config.maxVerdictWeight), share: v.share };
+  }
+  return liveVerdictWeight(state.users.get(v.verifierId));
+}
+
+// Weigh each verdict by the verifier's current reputation
+function evaluateConsensus(deal, verifications = deal.verifications) {
+  return tallyConsensus(verifications.map(v => ({ ...v, ...verdictWeight(v) })), {
+    price: deal.price,
+    thresholds: consensusThresholds(deal),
+    priceTolerance: state.config.evidencePriceTolerance
+  });
+}
+
+function checkConsensus(deal) {
+  if (networkEnabled()) return reconcileConsensus(deal);
+  if (!isOpenDeal(deal) || deal.outcomes.consensus.status !== 'pending') return;
+
+  const result = evaluateConsensus(deal);
+  deal.consensus = result;
+  decideConsensus(deal, result);
+}
+
+// Record a valid or invalid outcome, settle reputation and resolve any dispute
+function decideConsensus(deal, result) {
+  if (result.outcome === 'valid') {
+    const now = clock.now();
+    recordEvent('verified', deal, deal.verifiedAt ? null : now - deal.timestamp);
+    deal.verifiedAt = deal.verifiedAt || now; // first verification, even after a dispute round
+    deal.outcomes.consensus = { status: 'verified', decidedAt: now };
+    refreshDealStatus(deal);
+    store.put('deals', deal);
+
+    publishDeal({
+      type: 'DEAL_VERIFIED',
+      deal
+    });
+
+    // Logged before settling, so every reputation change follows its decision
+    auditConsensus(deal, result);
+    settleReputation(deal);
+
+    // DECENTRALIZED: Check alerts immediately upon verification
+    checkAlertsForDeal(deal);
+
+    log.info('Deal verified', {
+      component: 'consensus',
+      dealId: deal.id,
+      latencyMs: deal.verifiedAt - deal.timestamp,
+      round: deal.round,
+      confidence: result.confidence
+    });
+  } else if (result.outcome === 'invalid') {
+    deal.outcomes.consensus = { status: 'rejected', decidedAt: clock.now() };
+    refreshDealStatus(deal);
+    store.put('deals', deal);
+    recordEvent('rejected', deal);
+
+    publishDeal({
+      type: 'DEAL_REJECTED',
+      deal
+    });
+
+    auditConsensus(deal, result);
+    settleReputation(deal);
+
+    log.info('Deal rejected', { component: 'consensus', dealId: deal.id, round: deal.round, confidence: result.confidence });
+  }
+
+  if (result.outcome) {
+    recordObservedPrices(deal);
+    resolveDispute(deal);
+  }
+}
+
+// Verdicts counted on a peer network, in the order every node sorts them:
+// by time cast, then id. Verdicts cast after the deal expired never count.
+function orderedVerdicts(deal) {
+  return deal.verifications
+    .filter(v => !deal.expiresAt || v.timestamp < deal.expiresAt)
+    .sort((a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+// The shortest ordered prefix that reaches an outcome decides, so nodes
+// holding the same verdicts agree however they arrived
+function networkConsensus(deal) {
+  const verdicts = orderedVerdicts(deal);
+  let result = evaluateConsensus(deal, []);
+  for (let i = 1; i <= verdicts.length && !result.outcome; i++) {
+    result = evaluateConsensus(deal, verdicts.slice(0, i));
+  }
+  return result;
+}
+
+// Peer networks re-decide from every verdict held, so a verdict that arrives
+// late (say after a partition heals) can change an outcome already reached
+function reconcileConsensus(deal) {
+  if (deal.status === 'merged' || deal.override) return;
+
+  const result = networkConsensus(deal);
+  deal.consensus = result;
+
+  const current = deal.outcomes.consensus.status;
+  const next = { valid: 'verified', invalid: 'rejected' }[result.outcome] || 'pending';
+  if (next === current) return;
+
+  if (current !== 'pending') {
+    unsettleReputation(deal, `Consensus changed from ${current} after peer sync`);
+    deal.outcomes.consensus = { status: 'pending', decidedAt: null };
+    refreshDealStatus(deal);
+    store.put('deals', deal);
+    log.info('Consensus reconciled', { component: 'consensus', dealId: deal.id, from: current, to: next });
+    if (next === 'pending') auditConsensus(deal, result);
+    recordObservedPrices(deal);
+  }
+
+  decideConsensus(deal, result);
+}
+
+// = DECENTRALIZED: DISPUTES =
+
+// Dispute rounds scale every consensus threshold up
+function consensusThresholds(deal) {
+  const factor = Math.pow(state.config.disputeQuorumMultiplier, (deal.round || 1) - 1);
+  return {
+    consensusWeightThreshold: state.config.consensusWeightThreshold * factor,
+    consensusMinVerifiers: Math.ceil(state.config.consensusMinVerifiers * factor),
+    consensusQuorum: Math.ceil(state.config.consensusQuorum * factor)
+  };
+}
+
+function openDispute(deal) {
+  return (deal.disputes || []).find(d => !d.resolvedAt) || null;
+}
+
+function tookPartInDispute(deal, userId) {
+  return (deal.rounds || []).some(round => round.verifications.some(v => v.verifierId === userId)) ||
+    (deal.disputes || []).some(d => d.userId === userId && !d.resolvedAt);
+}
+
+// Every verification the deal has had, across rounds
+function allVerifications(deal) {
+  return [...(deal.rounds || []).flatMap(round => round.verifications), ...deal.verifications];
+}
+
+// Close the current round and start a bigger one
+function reopenDeal(deal, dispute) {
+  deal.rounds.push({
+    round: deal.round,
+    outcome: deal.outcomes.consensus.status,
+    decidedAt: deal.outcomes.consensus.decidedAt,
+    consensus: deal.consensus,
+    verifications: deal.verifications,
+    settlement: deal.settlement // what the round paid, so an overturn reverses exactly that
+  });
+  deal.round += 1;
+  deal.verifications = [];
+  deal.consensus = null;
+  deal.settlement = [];
+  deal.outcomes.consensus = { status: 'pending', decidedAt: null };
+  deal.disputes.push(dispute);
+  refreshDealStatus(deal);
+}
+
+// Settle the open dispute once the new round reaches an outcome
+function resolveDispute(deal) {
+  const dispute = openDispute(deal);
+  if (!dispute) return;
+
+  const outcome = deal.outcomes.consensus.status;
+  dispute.resolvedAt = clock.now();
+  dispute.outcome = outcome === dispute.previousOutcome ? 'upheld' : 'overturned';
+
+  const disputer = state.users.get(dispute.userId);
+  if (dispute.outcome === 'overturned') {
+    if (disputer) {
+      adjustReputation(disputer, dispute.stake + state.config.disputeReward, deal.id, `Dispute overturned ${dispute.previousOutcome}`);
+    }
+
+    // Its majority was wrong: reverse what the previous round paid and
+    // settle those verifiers against the new outcome. Verdicts the round
+    // never settled are left alone.
+    const previous = deal.rounds[deal.rounds.length - 1];
+    const correct = outcome === 'verified' ? 'valid' : 'invalid';
+    (previous.settlement || []).forEach(({ userId, verdict, delta }) => {
+      const user = state.users.get(userId);
+      if (!user) return;
+      if (verdict === correct) {
+        adjustReputation(user, state.config.reputationReward - delta, deal.id, `Vindicated by dispute (${outcome})`);
+      } else {
+        adjustReputation(user, -state.config.reputationPenalty - delta, deal.id, `Overturned by dispute (${outcome})`);
+      }
+    });
+  }
+  // An upheld outcome keeps the stake
+
+  store.put('deals', deal);
+
+  publishDeal({
+    type: 'DISPUTE_RESOLVED',
+    deal,
+    dispute
+  });
+
+  log.info('Dispute resolved', {
+    component: 'dispute',
+    dealId: deal.id,
+    disputeId: dispute.id,
+    result: dispute.outcome,
+    previousOutcome: dispute.previousOutcome,
+    outcome
+  });
+}
+
+app.post('/api/deals/:dealId/dispute', requireAuth, rateLimit('disputes'), (req, res) => {
+  const { reason } = req.body;
+  const user = req.user;
+  const deal = state.deals.get(req.params.dealId);
+
+  if (!deal) {
+    return res.status(404).json({ error: 'Deal not found' });
+  }
+
+  if (!pipelineEnabled('consensus')) {
+    return res.status(409).json({ error: 'Disputes need the consensus pipeline (decentralized or hybrid mode)' });
+  }
+
+  if (networkEnabled()) {
+    return res.status(409).json({ error: 'Disputes are not replicated to peers' });
+  }
+
+  const closure = moderatorClosure(deal);
+  if (closure) {
+    return res.status(409).json({ error: closure });
+  }
+
+  if (!isOpenDeal(deal) || deal.outcomes.consensus.status === 'pending') {
+    return res.status(409).json({ error: 'Only verified or rejected deals can be disputed' });
+  }
+
+  if (deal.disputes.length >= state.config.maxDisputes) {
+    return res.status(409).json({ error: `This deal has already been disputed ${deal.disputes.length} times` });
+  }
+
+  if (!reason || String(reason).trim().length === 0) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  const stake = state.config.disputeStake;
+  if (user.reputationScore < stake) {
+    return res.status(403).json({ error: `Disputing needs ${stake} reputation to stake` });
+  }
+
+  const dispute = {
+    id: uuidv4(),
+    userId: user.id,
+    username: user.username,
+    reason: String(reason).trim().slice(0, 1000),
+    stake,
+    round: deal.round + 1,
+    previousOutcome: deal.outcomes.consensus.status,
+    openedAt: clock.now(),
+    resolvedAt: null,
+    outcome: null // 'upheld' or 'overturned'
+  };
+
+  adjustReputation(user, -stake, deal.id, `Dispute stake (${dispute.previousOutcome})`);
+  reopenDeal(deal, dispute);
+  store.put('deals', deal);
+  recordEvent('disputed', deal);
+
+  publishDeal({
+    type: 'DEAL_DISPUTED',
+    deal,
+    dispute
+  });
+
+  log.info('Deal disputed', {
+    component: 'dispute',
+    dealId: deal.id,
+    disputeId: dispute.id,
+    userId: user.id,
+    previousOutcome: dispute.previousOutcome,
+    round: deal.round
+  });
+
+  res.json({ success: true, dispute, deal, thresholds: consensusThresholds(deal) });
+});
+
+// = DECENTRALIZED: SYBIL & COLLUSION =
+
+// userId -> ids of deals the account has verified; entries for deleted or
+// merged deals are skipped when read
+const verifiedDeals = new Map();
+
+function indexVerifiedDeal(userId, dealId) {
+  if (!verifiedDeals.has(userId)) verifiedDeals.set(userId, new Set());
+  verifiedDeals.get(userId).add(dealId);
+}
+
+state.deals.forEach(deal => allVerifications(deal).forEach(v => indexVerifiedDeal(v.verifierId, deal.id)));
+
+// Pairs among every deal's verifiers, or only among the given deals'
+function detectCollusion(dealIds = null) {
+  const deals = (dealIds ? Array.from(dealIds, id => state.deals.get(id)) : Array.from(state.deals.values()))
+    .filter(d => d && d.status !== 'merged')
+    .map(d => ({ id: d.id, verifications: allVerifications(d) }));
+  return findCollusion(deals, {
+    window: state.config.collusionWindow,
+    minSharedDeals: state.config.collusionMinSharedDeals
+  });
+}
+
+// A new or moved verdict only changes the pairs that verified its deal, so
+// only the deal's verifiers need their flags recomputed, from every deal they verified
+function refreshDealCollusion(deal) {
+  const userIds = new Set(allVerifications(deal).map(v => v.verifierId));
+  const dealIds = new Set();
+  userIds.forEach(userId => (verifiedDeals.get(userId) || []).forEach(id => dealIds.add(id)));
+  refreshCollusionFlags(userIds, detectCollusion(dealIds));
+}
+
+// Update the collusionFlag of the given accounts (every account when null)
+// from the detector's findings
+function refreshCollusionFlags(userIds = null, { pairs } = detectCollusion()) {
+  const flags = new Map(); // userId -> { reasons: Set, partners: Set }
+
+  pairs.forEach(pair => {
+    pair.users.forEach((userId, i) => {
+      if (!flags.has(userId)) flags.set(userId, { reasons: new Set(), partners: new Set() });
+      const flag = flags.get(userId);
+      pair.reasons.forEach(reason => flag.reasons.add(reason));
+      flag.partners.add(pair.users[1 - i]);
+    });
+  });
+
+  state.users.forEach(user => {
+    if (userIds && !userIds.has(user.id)) return;
+    const found = flags.get(user.id);
+    const previous = user.collusionFlag || null;
+    const next = found ? {
+      reasons: Array.from(found.reasons).sort(),
+      partners: Array.from(found.partners).sort(),
+      flaggedAt: previous ? previous.flaggedAt : clock.now()
+    } : null;
+
+    if (JSON.stringify(previous) === JSON.stringify(next)) return;
+    user.collusionFlag = next;
+    store.put('users', user);
+    // The flag cuts the weight of the account's verdicts, so audits need it
+    if (Boolean(next) !== Boolean(previous)) audit.append('collusion', null, { userId: user.id, flag: next });
+
+    if (next && !previous) {
+      log.warn('Account flagged for collusion', { component: 'collusion', userId: user.id, reasons: next.reasons });
+    }
+  });
+}
+
+function moderationUser(userId) {
+  const user = state.users.get(userId);
+  return user ? {
+    id: user.id,
+    username: user.username,
+    reputationScore: user.reputationScore,
+    createdAt: user.createdAt,
+    verificationsCount: user.verificationHistory.length,
+    collusionFlag: user.collusionFlag || null,
+    role: user.role || 'user',
+    suspension: user.suspension || null,
+    suspended: isSuspended(user)
+  } : { id: userId, username: null };
+}
+
+// Linked account groups with the pairs that link them
+app.get('/api/moderation/flagged', requireAuth, requireRole('moderator'), (req, res) => {
+  const { pairs, groups } = detectCollusion();
+
+  res.json({
+    groups: groups.map(members => ({
+      members: members.map(moderationUser),
+      pairs: pairs
+        .filter(pair => members.includes(pair.users[0]))
+        .map(pair => ({
+          users: pair.users,
+          reasons: pair.reasons,
+          sharedDeals: pair.shared,
+          agreed: pair.agreed,
+          againstOthers: pair.againstOthers,
+          withinWindow: pair.quick,
+          dealIds: pair.dealIds
+        }))
+    })),
+    accounts: Array.from(state.users.values())
+      .filter(user => user.collusionFlag)
+      .map(user => moderationUser(user.id)),
+    // Reported deals and deals moderators already acted on
+    deals: Array.from(state.deals.values())
+      .filter(deal => deal.status !== 'merged' && (deal.reports.length > 0 || deal.hidden || deal.locked))
+      .sort((a, b) => b.reports.length - a.reports.length)
+  });
+});
+
+// = DECENTRALIZED: REPUTATION =
+
+function adjustReputation(user, delta, dealId, reason) {
+  const previous = user.reputationScore;
+  user.reputationScore = Math.max(state.config.minReputation, previous + delta);
+
+  const entry = {
+    dealId,
+    delta: user.reputationScore - previous,
+    reason,
+    balance: user.reputationScore,
+    timestamp: clock.now()
+  };
+  user.reputationLedger.push(entry);
+  store.put('users', user);
+  audit.append('reputation', dealId, { userId: user.id, delta: entry.delta, balance: entry.balance, reason });
+
+  sendToUser(user.id, {
+    type: 'REPUTATION_CHANGED',
+    userId: user.id,
+    reputationScore: user.reputationScore,
+    entry
+  });
+
+  return entry;
+}
+
+// Reward verifiers who agreed with the consensus outcome, penalize the rest
+function settleReputation(deal) {
+  const decided = deal.outcomes.consensus.status;
+  const outcome = decided === 'verified' ? 'valid' : 'invalid';
+
+  const discarded = new Set((deal.consensus ? deal.consensus.discarded : []).map(d => d.verificationId));
+
+  // Verdicts merged in from a decided duplicate were paid there
+  deal.settlement = deal.settlement.filter(entry => entry.carriedFrom);
+  const paid = new Set(deal.settlement.map(entry => entry.userId));
+  deal.verifications.forEach(v => {
+    const user = state.users.get(v.verifierId);
+    if (!user || discarded.has(v.id) || paid.has(v.verifierId)) return;
+
+    const entry = v.verdict === outcome ?
+      adjustReputation(user, state.config.reputationReward, deal.id, `Agreed with consensus (${decided})`) :
+      adjustReputation(user, -state.config.reputationPenalty, deal.id, `Disagreed with consensus (${decided})`);
+    deal.settlement.push({ userId: user.id, verdict: v.verdict, delta: entry.delta });
+  });
+}
+
+// Pay back a settlement whose outcome no longer stands
+function unsettleReputation(deal, reason) {
+  (deal.settlement || []).forEach(({ userId, delta }) => {
+    const user = state.users.get(userId);
+    if (user) adjustReputation(user, -delta, deal.id, reason);
+  });
+  deal.settlement = [];
+}
+
+// = DEAL LIFECYCLE =
+
+const REPORT_TYPES = ['expired', 'price_changed'];
+
+function expireDeal(deal, reason) {
+  const previous = deal.status;
+  deal.status = 'expired';
+  deal.expiredAt = clock.now();
+  deal.expiredReason = reason;
+  auditStatus(deal, previous, { reason });
+  store.put('deals', deal);
+  recordEvent('expired', deal);
+
+  publishDeal({
+    type: 'DEAL_EXPIRED',
+    deal
+  });
+
+  log.info('Deal expired', { component: 'lifecycle', dealId: deal.id, reason });
+}
+
+// Price change reports still waiting for others to report the same price
+function pendingPriceReports(deal) {
+  return deal.reports.filter(r => r.type === 'price_changed' && r.appliedAt === null);
+}
+
+function changeDealPrice(deal, newPrice, user) {
+  const previousPrice = deal.price;
+  deal.price = newPrice;
+  const entry = {
+    price: newPrice,
+    previousPrice,
+    source: 'report',
+    userId: user.id,
+    timestamp: clock.now()
+  };
+  deal.priceHistory.push(entry);
+  recordDealPrice(deal, entry);
+  store.put('deals', deal);
+
+  publishDeal({
+    type: 'DEAL_PRICE_CHANGED',
+    deal,
+    previousPrice
+  });
+
+  // A lower price on a live deal can satisfy alerts that missed it before
+  if (newPrice < previousPrice && (deal.status === 'promoted' || deal.status === 'verified')) {
+    checkAlertsForDeal(deal);
+  }
+}
+
+// Move deals past their expiresAt to 'expired'
+function sweepExpiredDeals() {
+  const now = clock.now();
+  liveDeals().forEach(deal => {
+    if (deal.expiresAt && deal.expiresAt <= now) {
+      expireDeal(deal, 'Expiry time reached');
+    }
+  });
+}
+
+app.post('/api/deals/:dealId/report', requireAuth, rateLimit('reports'), (req, res) => {
+  const { type, newPrice, note } = req.body;
+  const user = req.user;
+  const deal = state.deals.get(req.params.dealId);
+
+  if (!deal) {
+    return res.status(404).json({ error: 'Deal not found' });
+  }
+
+  if (!REPORT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Report type must be one of: ${REPORT_TYPES.join(', ')}` });
+  }
+
+  // Price changes would move what evidence is checked against on this node only
+  if (networkEnabled()) {
+    return res.status(409).json({ error: 'Reports are not replicated to peers' });
+  }
+
+  const closure = moderatorClosure(deal);
+  if (closure) {
+    return res.status(409).json({ error: closure });
+  }
+
+  if (deal.status === 'expired') {
+    return res.status(409).json({ error: 'Deal has already expired' });
+  }
+
+  if (deal.status === 'merged') {
+    return res.status(409).json({ error: 'Deal was merged into another deal', duplicateOf: deal.duplicateOf });
+  }
+
+  if (deal.status === 'rejected') {
+    return res.status(409).json({ error: 'Deal was rejected' });
+  }
+
+  const price = parseFloat(newPrice);
+  if (type === 'price_changed' && (!Number.isFinite(price) || price <= 0)) {
+    return res.status(400).json({ error: 'newPrice must be a positive number' });
+  }
+
+  if (type === 'expired' && deal.reports.some(r => r.type === 'expired' && r.userId === user.id)) {
+    return res.status(409).json({ error: 'You already reported this deal as expired' });
+  }
+
+  if (type === 'price_changed' && pendingPriceReports(deal).some(r => r.userId === user.id)) {
+    return res.status(409).json({ error: 'You already reported a price change for this deal' });
+  }
+
+  const report = {
+    id: uuidv4(),
+    userId: user.id,
+    username: user.username,
+    type,
+    newPrice: type === 'price_changed' ? price : null,
+    appliedAt: null, // price changes: when the new price took effect, or another did
+    note: note || '',
+    timestamp: clock.now()
+  };
+  deal.reports.push(report);
+  store.put('deals', deal);
+
+  if (type === 'price_changed') {
+    // Reports agree when they name the same price to the cent
+    const cents = Math.round(price * 100);
+    const agreeing = pendingPriceReports(deal).filter(r => Math.round(r.newPrice * 100) === cents);
+    if (agreeing.length >= state.config.priceReportThreshold) {
+      pendingPriceReports(deal).forEach(r => { r.appliedAt = clock.now(); });
+      changeDealPrice(deal, cents / 100, user);
+    } else {
+      publishDeal({
+        type: 'DEAL_UPDATED',
+        deal
+      });
+    }
+  } else {
+    const expiredReports = deal.reports.filter(r => r.type === 'expired').length;
+    if (expiredReports >= state.config.expiryReportThreshold) {
+      expireDeal(deal, `Reported expired by ${expiredReports} users`);
+    } else {
+      publishDeal({
+        type: 'DEAL_UPDATED',
+        deal
+      });
+    }
+  }
+
+  res.json({ success: true, report, deal });
+});
+
+// = DUPLICATES =
+
+// Fold a duplicate deal's votes, verifications and reports into the original
+function mergeDeals(source, target) {
+  source.voters.forEach(vote => {
+    if (target.voters.some(v => v.userId === vote.userId)) return;
+    target.voters.push(vote);
+  });
+  recountVotes(target);
+
+  const moved = new Set();
+  source.verifications.forEach(verification => {
+    if (target.verifications.some(v => v.verifierId === verification.verifierId)) return;
+    if (tookPartInDispute(target, verification.verifierId)) return;
+    verification.dealId = target.id;
+    target.verifications.push(verification);
+    store.put('verifications', verification);
+    indexVerifiedDeal(verification.verifierId, target.id);
+    moved.add(verification.verifierId);
+  });
+
+  // What the source paid for the verdicts it hands over goes with them, so
+  // the target's decision does not pay those verifiers a second time
+  source.settlement.filter(entry => moved.has(entry.userId))
+    .forEach(entry => target.settlement.push({ ...entry, carriedFrom: entry.carriedFrom || source.id }));
+  source.settlement = source.settlement.filter(entry => !moved.has(entry.userId));
+
+  target.reports.push(...source.reports);
+  target.mergedFrom.push(source.id);
+
+  const previous = source.status;
+  source.status = 'merged';
+  source.duplicateOf = target.id;
+  auditStatus(source, previous, { into: target.id });
+  source.verifications = [];
+  source.voters = [];
+  recountVotes(source);
+
+  store.put('deals', source);
+  store.put('deals', target);
+}
+
+app.post('/api/deals/:dealId/merge', requireAuth, requireRole('moderator'), rateLimit('default'), (req, res) => {
+  const { intoDealId } = req.body;
+  const source = state.deals.get(req.params.dealId);
+  const target = state.deals.get(intoDealId);
+
+  if (!source || !target) {
+    return res.status(404).json({ error: 'Deal not found' });
+  }
+
+  if (source.id === target.id) {
+    return res.status(400).json({ error: 'Cannot merge a deal into itself' });
+  }
+
+  if (networkEnabled()) {
+    return res.status(409).json({ error: 'Merges are not replicated to peers' });
+  }
+
+  if (source.status === 'merged' || target.status === 'merged') {
+    return res.status(409).json({ error: 'Deal has already been merged' });
+  }
+
+  const closure = moderatorClosure(source) || moderatorClosure(target);
+  if (closure) {
+    return res.status(409).json({ error: closure });
+  }
+
+  mergeDeals(source, target);
+  recordEvent('merged', source);
+  refreshDealCollusion(target);
+
+  // Merged verdicts may be enough to settle the original
+  if (pipelineEnabled('consensus')) {
+    checkConsensus(target);
+  }
+
+  publishDeal({
+    type: 'DEAL_MERGED',
+    deal: source,
+    into: target
+  });
+
+  publishDeal({
+    type: 'DEAL_UPDATED',
+    deal: target
+  });
+
+  log.info('Deal merged', { component: 'duplicates', dealId: source.id, intoDealId: target.id, userId: req.user.id });
+
+  res.json({ success: true, deal: target, merged: source });
+});
+
+// = PRODUCT CATALOG =
+
+function priceScoreOptions() {
+  return { window: state.config.priceHistoryWindow, minSamples: state.config.priceScoreMinSamples };
+}
+
+// Score the deal's price against what the product cost before, then add it to the history
+function recordDealPrice(deal, entry) {
+  const product = catalog.get(deal.productId);
+  if (!product) return;
+
+  deal.priceScore = { productId: product.id, ...scorePrice(product.history, entry.price, entry.timestamp, priceScoreOptions()) };
+  catalog.recordPrice(product, {
+    price: entry.price,
+    source: entry.source, // 'submission' or 'report'
+    dealId: deal.id,
+    userId: entry.userId,
+    timestamp: entry.timestamp
+  });
+}
+
+// File a new deal under its product with every price it has had
+function addDealToCatalog(deal) {
+  const product = catalog.catalogDeal(deal, state.config.productTitleSimilarity);
+  deal.productId = product.id;
+  deal.priceHistory.forEach(entry => recordDealPrice(deal, entry));
+}
+
+// Prices observed by the verifiers consensus counted as valid join the
+// history once the deal is verified, and leave it when that no longer
+// stands; the deal's own score stays. A price is dated when it was checked,
+// but never before the deal was posted or after the verdict was cast, so a
+// backdated check cannot rewrite the product's past lows.
+function recordObservedPrices(deal) {
+  const product = catalog.get(deal.productId);
+  if (!product) return;
+
+  const verified = deal.outcomes.consensus.status === 'verified' && deal.consensus;
+  const counted = new Set(verified ? deal.consensus.counted.map(c => c.verificationId) : []);
+  const points = deal.verifications
+    .filter(v => counted.has(v.id) && v.verdict === 'valid' && v.evidence && Number.isFinite(v.evidence.observedPrice))
+    .map(v => ({
+      price: v.evidence.observedPrice,
+      source: 'verification',
+      dealId: deal.id,
+      userId: v.verifierId,
+      timestamp: Number.isFinite(v.evidence.checkedAt) ?
+        Math.min(Math.max(v.evidence.checkedAt, deal.timestamp), v.timestamp) :
+        v.timestamp
+    }));
+  catalog.setObservedPrices(product, deal.id, points);
+}
+
+// Deals stored before the catalog existed
+function catalogExistingDeals() {
+  const deals = Array.from(state.deals.values())
+    .filter(deal => !deal.productId)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  // migrateRecords() has given every deal its sku, priceHistory and outcomes
+  const steps = []; // { timestamp, record }
+  deals.forEach(deal => {
+    deal.productId = catalog.catalogDeal(deal, state.config.productTitleSimilarity).id;
+    deal.priceHistory.forEach(entry => steps.push({ timestamp: entry.timestamp, record: () => recordDealPrice(deal, entry) }));
+    const { decidedAt } = deal.outcomes.consensus;
+    if (decidedAt) steps.push({ timestamp: decidedAt, record: () => recordObservedPrices(deal) });
+  });
+
+  // Replayed in the order they happened, so each price is scored as it was then
+  steps.sort((a, b) => a.timestamp - b.timestamp).forEach(step => step.record());
+  deals.forEach(deal => store.put('deals', deal));
+}
+
+// Chart data: the product's prices over `window` (default priceHistoryWindow)
+// and its deals with their price scores
+app.get('/api/products/:productId/history', (req, res) => {
+  const product = catalog.get(req.params.productId);
+  if (!product) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+
+  const window = req.query.window ? parseDuration(req.query.window) : state.config.priceHistoryWindow;
+  if (!window) {
+    return res.status(400).json({ error: 'window must be a duration such as 24h, 30d or 90d' });
+  }
+
+  const now = clock.now();
+  const deals = visibleDeals(req)
+    .filter(deal => deal.productId === product.id)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .map(({ id, title, price, status, timestamp, priceScore }) => ({ id, title, price, status, timestamp, priceScore }));
+
+  res.json({ ...priceHistoryReport(product, { from: now - window, to: now }), deals });
+});
+
+// = MODERATION =
+
+const MODERATION_LOG_LIMIT = 100;
+
+function recordModeration(moderator, action, target, reason, details = {}) {
+  const entry = {
+    id: uuidv4(),
+    action, // hide, unhide, lock, unlock, delete, override, suspend, ban, reinstate, role
+    targetType: target.type, // 'deal' or 'user'
+    targetId: target.id,
+    targetLabel: target.label, // deal title or username, kept after deletion
+    reason: reason || null,
+    details,
+    moderatorId: moderator.id,
+    moderatorUsername: moderator.username,
+    timestamp: clock.now()
+  };
+  store.put('moderationLog', entry);
+  log.info('Moderation action', {
+    component: 'moderation',
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    moderatorId: moderator.id,
+    reason: reason || null
+  });
+  return entry;
+}
+
+function moderationStamp(moderator, reason) {
+  return { reason, moderatorId: moderator.id, moderatorUsername: moderator.username, at: clock.now() };
+}
+
+// Most actions must say why
+function requireReason(req, res, next) {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+  req.body.reason = reason.slice(0, 500);
+  next();
+}
+
+function findModeratedDeal(req, res) {
+  const deal = state.deals.get(req.params.dealId);
+  if (!deal) {
+    res.status(404).json({ error: 'Deal not found' });
+    return null;
+  }
+  return deal;
+}
+
+// Feeds drop the card; only the id and category go out
+function publishRemoval(type, deal) {
+  publishDeal({ type, deal: { id: deal.id, productCategory: deal.productCategory } });
+}
+
+const moderate = [requireAuth, requireRole('moderator'), rateLimit('default')];
+
+app.post('/api/moderation/deals/:dealId/hide', moderate, requireReason, (req, res) => {
+  const deal = findModeratedDeal(req, res);
+  if (!deal) return;
+  if (deal.hidden) {
+    return res.status(409).json({ error: 'Deal is already hidden' });
+  }
+
+  deal.hidden = moderationStamp(req.user, req.body.reason);
+  store.put('deals', deal);
+  publishRemoval('DEAL_REMOVED', deal);
+  recordEvent('hidden', deal);
+  const entry = recordModeration(req.user, 'hide', { type: 'deal', id: deal.id, label: deal.title }, req.body.reason);
+
+  res.json({ success: true, deal, entry });
+});
+
+app.post('/api/moderation/deals/:dealId/unhide', moderate, (req, res) => {
+  const deal = findModeratedDeal(req, res);
+  if (!deal) return;
+  if (!deal.hidden) {
+    return res.status(409).json({ error: 'Deal is not hidden' });
+  }
+
+  deal.hidden = null;
+  refreshDealStatus(deal);
+  store.put('deals', deal);
+  publishDeal({ type: 'DEAL_RESTORED', deal });
+  const entry = recordModeration(req.user, 'unhide', { type: 'deal', id: deal.id, label: deal.title }, req.body.reason);
+
+  res.json({ success: true, deal, entry });
+});
+
+app.post('/api/moderation/deals/:dealId/lock', moderate, requireReason, (req, res) => {
+  const deal = findModeratedDeal(req, res);
+  if (!deal) return;
+  if (deal.locked) {
+    return res.status(409).json({ error: 'Deal is already locked' });
+  }
+
+  deal.locked = moderationStamp(req.user, req.body.reason);
+  store.put('deals', deal);
+  publishDeal({ type: 'DEAL_UPDATED', deal });
+  const entry = recordModeration(req.user, 'lock', { type: 'deal', id: deal.id, label: deal.title }, req.body.reason);
+
+  res.json({ success: true, deal, entry });
+});
+
+app.post('/api/moderation/deals/:dealId/unlock', moderate, (req, res) => {
+  const deal = findModeratedDeal(req, res);
+  if (!deal) return;
+  if (!deal.locked) {
+    return res.status(409).json({ error: 'Deal is not locked' });
+  }
+
+  deal.locked = null;
+  store.put('deals', deal);
+  publishDeal({ type: 'DEAL_UPDATED', deal });
+  const entry = recordModeration(req.user, 'unlock', { type: 'deal', id: deal.id, label: deal.title }, req.body.reason);
+
+  res.json({ success: true, deal, entry });
+});
+
+function deleteDeal(deal, reason) {
+  store.remove('deals', deal.id);
+  catalog.removeDeal(deal);
+  audit.append('status', deal.id, { from: deal.status, to: 'deleted', reason });
+  publishRemoval('DEAL_DELETED', deal);
+  recordEvent('deleted', deal);
+}
+
+// Duplicates merged into a deleted deal go with it; a deleted duplicate
+// is dropped from the deal it was merged into
+app.delete('/api/moderation/deals/:dealId', moderate, requireReason, (req, res) => {
+  const deal = findModeratedDeal(req, res);
+  if (!deal) return;
+
+  deleteDeal(deal, req.body.reason);
+  deal.mergedFrom.forEach(id => {
+    const duplicate = state.deals.get(id);
+    if (duplicate && duplicate.duplicateOf === deal.id) deleteDeal(duplicate, req.body.reason);
+  });
+  const original = deal.duplicateOf && state.deals.get(deal.duplicateOf);
+  if (original) {
+    original.mergedFrom = original.mergedFrom.filter(id => id !== deal.id);
+    store.put('deals', original);
+  }
+
+  const entry = recordModeration(req.user, 'delete', { type: 'deal', id: deal.id, label: deal.title }, req.body.reason, {
+    submittedBy: deal.submittedBy,
+    url: deal.url
+  });
+
+  res.json({ success: true, entry });
+});
+
+// Sets the consensus outcome by hand; verifiers' reputation is not settled again,
+// but an open dispute is resolved against the new outcome
+app.post('/api/moderation/deals/:dealId/override', moderate, requireReason, (req, res) => {
+  const { outcome, reason } = req.body;
+  const deal = findModeratedDeal(req, res);
+  if (!deal) return;
+
+  if (outcome !== 'verified' && outcome !== 'rejected') {
+    return res.status(400).json({ error: 'outcome must be "verified" or "rejected"' });
+  }
+
+  if (deal.status === 'expired' || deal.status === 'merged') {
+    return res.status(409).json({ error: `Cannot override a ${deal.status} deal` });
+  }
+
+  const previousOutcome = deal.outcomes.consensus.status;
+  if (previousOutcome === outcome) {
+    return res.status(409).json({ error: `Deal is already ${outcome}` });
+  }
+
+  const now = clock.now();
+  if (outcome === 'verified') {
+    recordEvent('verified', deal, deal.verifiedAt ? null : now - deal.timestamp);
+    deal.verifiedAt = deal.verifiedAt || now;
+  }
+  deal.outcomes.consensus = { status: outcome, decidedAt: now };
+  deal.override = { outcome, previousOutcome, ...moderationStamp(req.user, reason) };
+  refreshDealStatus(deal);
+  auditConsensus(deal, null, deal.override);
+  recordObservedPrices(deal);
+  store.put('deals', deal);
+  recordEvent('overridden', deal);
+
+  publishDeal({
+    type: outcome === 'verified' ? 'DEAL_VERIFIED' : 'DEAL_REJECTED',
+    deal
+  });
+
+  resolveDispute(deal);
+  if (outcome === 'verified') {
+    checkAlertsForDeal(deal);
+  }
+
+  const entry = recordModeration(req.user, 'override', { type: 'deal', id: deal.id, label: deal.title }, reason, {
+    outcome,
+    previousOutcome
+  });
+
+  res.json({ success: true, deal, entry });
+});
+
+// Shared lookup for the user actions; moderators cannot act on their peers or admins
+function findModeratedUser(req, res) {
+  const user = state.users.get(req.params.userId);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (user.id === req.user.id || hasRole(user, req.user.role)) {
+    res.status(403).json({ error: 'You cannot moderate this account' });
+    return null;
+  }
+  return user;
+}
+
+// Revoke every session so a sanction applies immediately
+function endSessions(user) {
+  state.sessions.forEach(session => {
+    if (session.userId === user.id) store.remove('sessions', session.id);
+  });
+  connectedClients.forEach(client => {
+    if (client.userId === user.id) authenticateClient(client, null);
+  });
+}
+
+app.post('/api/moderation/users/:userId/suspend', moderate, requireReason, (req, res) => {
+  const user = findModeratedUser(req, res);
+  if (!user) return;
+
+  const hours = Number(req.body.hours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return res.status(400).json({ error: 'hours must be a positive number' });
+  }
+
+  user.suspension = { until: clock.now() + hours * 60 * 60 * 1000, ...moderationStamp(req.user, req.body.reason) };
+  store.put('users', user);
+  endSessions(user);
+  const entry = recordModeration(req.user, 'suspend', { type: 'user', id: user.id, label: user.username }, req.body.reason, {
+    until: user.suspension.until
+  });
+
+  res.json({ success: true, user: moderationUser(user.id), entry });
+});
+
+app.post('/api/moderation/users/:userId/ban', moderate, requireReason, (req, res) => {
+  const user = findModeratedUser(req, res);
+  if (!user) return;
+
+  user.suspension = { until: null, ...moderationStamp(req.user, req.body.reason) };
+  store.put('users', user);
+  endSessions(user);
+  const entry = recordModeration(req.user, 'ban', { type: 'user', id: user.id, label: user.username }, req.body.reason);
+
+  res.json({ success: true, user: moderationUser(user.id), entry });
+});
+
+app.post('/api/moderation/users/:userId/reinstate', moderate, (req, res) => {
+  const user = findModeratedUser(req, res);
+  if (!user) return;
+  if (!isSuspended(user)) {
+    return res.status(409).json({ error: 'Account is not suspended or banned' });
+  }
+
+  user.suspension = null;
+  store.put('users', user);
+  const entry = recordModeration(req.user, 'reinstate', { type: 'user', id: user.id, label: user.username }, req.body.reason);
+
+  res.json({ success: true, user: moderationUser(user.id), entry });
+});
+
+// Flagged, suspended and banned accounts first
+app.get('/api/moderation/users', requireAuth, requireRole('moderator'), (req, res) => {
+  const needsAttention = user => (user.collusionFlag || isSuspended(user) ? 0 : 1);
+  const users = Array.from(state.users.values())
+    .sort((a, b) => needsAttention(a) - needsAttention(b) || a.username.localeCompare(b.username))
+    .map(user => moderationUser(user.id));
+  res.json({ users });
+});
+
+// Newest first
+app.get('/api/moderation/log', requireAuth, requireRole('moderator'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MODERATION_LOG_LIMIT);
+  const entries = Array.from(state.moderationLog.values())
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+  res.json({ entries });
+});
+
+app.post('/api/admin/users/:userId/role', requireAuth, requireRole('admin'), rateLimit('default'), (req, res) => {
+  const { role } = req.body;
+  const user = state.users.get(req.params.userId);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  if (user.id === req.user.id) {
+    return res.status(403).json({ error: 'You cannot change your own role' });
+  }
+
+  const previousRole = user.role || 'user';
+  user.role = role;
+  store.put('users', user);
+  const entry = recordModeration(req.user, 'role', { type: 'user', id: user.id, label: user.username }, req.body.reason, {
+    role,
+    previousRole
+  });
+
+  res.json({ success: true, user: moderationUser(user.id), entry });
+});
+
+// = SIGNED VERDICTS & AUDIT LOG =
+
+const MAX_SIGNING_KEYS = 10;
+
+// Status changes made outside refreshDealStatus() are recorded by their callers
+function auditStatus(deal, from, details = {}) {
+  audit.append('status', deal.id, { from, to: deal.status, ...details });
+}
+
+// The result holds the verdicts counted, their weights and the thresholds,
+// so the outcome can be replayed from the log; weighting says how the
+// weights follow from the account entries
+function auditConsensus(deal, result, override = null) {
+  audit.append('consensus', deal.id, {
+    outcome: deal.outcomes.consensus.status,
+    round: deal.round,
+    consensus: result,
+    weighting: {
+      snapshot: networkEnabled(),
+      flaggedVerdictWeight: state.config.flaggedVerdictWeight,
+      maxVerdictWeight: state.config.maxVerdictWeight
+    },
+    override
+  });
+}
+
+// Audits weigh verdicts from the reputation an account starts with
+function auditAccount(user) {
+  audit.append('user', null, { userId: user.id, username: user.username, reputationScore: user.reputationScore });
+}
+
+// { signature } for a verdict signed with one of the user's keys, { signature: null }
+// for an unsigned verdict when those are allowed, or { error }
+function checkVerdictSignature(req, deal) {
+  const signed = req.body.signature;
+  if (!signed) {
+    return state.config.requireSignedVerdicts ?
+      { error: 'Verdicts must be signed: send signature { keyId, signedAt, value }' } :
+      { signature: null };
+  }
+
+  const key = (req.user.signingKeys || []).find(k => k.id === signed.keyId);
+  if (!key) {
+    return { error: 'Unknown signing key; register it with POST /api/users/me/keys' };
+  }
+  if (!Number.isFinite(signed.signedAt)) {
+    return { error: 'signature.signedAt must be a timestamp' };
+  }
+
+  // Rebuilt from the request, so the signature covers exactly what is recorded
+  const statement = verdictStatement({
+    dealId: deal.id,
+    round: deal.round || 1,
+    verifierId: req.user.id,
+    verdict: req.body.verdict,
+    evidence: req.body.evidence,
+    signedAt: signed.signedAt
+  });
+  if (!verifyStatement(statement, key.publicKey, signed.value)) {
+    return { error: 'Signature does not match this verdict' };
+  }
+
+  return { signature: { keyId: key.id, publicKey: key.publicKey, statement, value: signed.value } };
+}
+
+// Register a public key (base64 SPKI, ECDSA P-256) for signing verdicts; each
+// browser a user signs in from generates its own
+app.post('/api/users/me/keys', requireAuth, rateLimit('default'), (req, res) => {
+  const { publicKey } = req.body;
+  const user = req.user;
+
+  if (!parsePublicKey(publicKey)) {
+    return res.status(400).json({ error: 'publicKey must be a base64 SPKI ECDSA P-256 public key' });
+  }
+
+  user.signingKeys = user.signingKeys || [];
+  const id = keyId(publicKey);
+  let key = user.signingKeys.find(k => k.id === id);
+
+  if (!key) {
+    if (user.signingKeys.length >= MAX_SIGNING_KEYS) {
+      return res.status(409).json({ error: `You can register at most ${MAX_SIGNING_KEYS} signing keys` });
+    }
+    key = { id, publicKey, addedAt: clock.now() };
+    user.signingKeys.push(key);
+    store.put('users', user);
+    audit.append('key', null, { userId: user.id, username: user.username, keyId: id, publicKey });
+    gossip('key', keyPayload(user, key));
+  }
+
+  res.json({ success: true, key });
+});
+
+// The whole log, or the entries after sequence number `after`
+app.get('/api/audit/log', (req, res) => {
+  const after = Number(req.query.after) || 0;
+  res.json({ head: audit.head(), entries: audit.entries(after) });
+});
+
+app.get('/api/audit/verify', (req, res) => {
+  res.json(verifyChain(audit.entries()));
+});
+
+// Does the deal's status follow from its signed verdicts?
+app.get('/api/audit/deals/:dealId', (req, res) => {
+  const report = auditDeal(audit.entries(), req.params.dealId);
+  res.status(report.found ? 200 : 404).json(report);
+});
+
+// = ALERTS =
+
+app.post('/api/alerts', requireAuth, rateLimit('alerts'), (req, res) => {
+  const { rule, error } = validateAlertRule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const activeAlerts = Array.from(state.alerts.values()).filter(a => a.userId === req.user.id).length;
+  if (activeAlerts >= state.config.maxActiveAlerts) {
+    return res.status(409).json({
+      error: `You already have the maximum of ${state.config.maxActiveAlerts} alerts; delete one first`,
+      limit: 'maxActiveAlerts'
+    });
+  }
+
+  const alertId = uuidv4();
+  const alert = {
+    id: alertId,
+    userId: req.user.id,
+    ...rule,
+    createdAt: clock.now(),
+    triggered: []
+  };
+
+  store.put('alerts', alert);
+  alertIndex.add(alert);
+
+  res.json({ success: true, alert });
+});
+
+app.get('/api/alerts/user/:userId', requireAuth, (req, res) => {
+  if (req.params.userId !== req.user.id) {
+    return res.status(403).json({ error: 'You can only view your own alerts' });
+  }
+
+  const userAlerts = Array.from(state.alerts.values())
+    .filter(a => a.userId === req.params.userId);
+  res.json(userAlerts);
+});
+
+app.delete('/api/alerts/:alertId', requireAuth, rateLimit('default'), (req, res) => {
+  const alert = state.alerts.get(req.params.alertId);
+  if (alert && alert.userId !== req.user.id) {
+    return res.status(403).json({ error: 'You can only delete your own alerts' });
+  }
+
+  const deleted = store.remove('alerts', req.params.alertId);
+  alertIndex.remove(req.params.alertId);
+  res.json({ success: deleted });
+});
+
+// trigger is 'submission' for new deals, 'verification' once promoted or verified
+function checkAlertsForDeal(deal, trigger = 'verification') {
+  const evaluatedBefore = alertIndex.evaluated;
+  const matches = alertIndex.match(deal, trigger);
+  alertsEvaluated.inc({ trigger }, alertIndex.evaluated - evaluatedBefore);
+
+  matches.forEach(alert => {
+    // Check if already triggered for this deal
+    if (!alert.triggered.includes(deal.id)) {
+      alert.triggered.push(deal.id);
+      store.put('alerts', alert);
+
+      const notification = {
+        id: uuidv4(),
+        alertId: alert.id,
+        dealId: deal.id,
+        userId: alert.userId,
+        deal: {
+          id: deal.id,
+          title: deal.title,
+          price: deal.price,
+          url: deal.url,
+          productCategory: deal.productCategory
+        },
+        timestamp: clock.now(),
+        latency: clock.now() - deal.timestamp, // Time from deal submission to alert
+        read: false,
+        readAt: null,
+        deliveredAt: null, // first time a socket received it
+        deliveryCount: 0
+      };
+
+      const delivered = sendToUser(alert.userId, {
+        type: 'ALERT_TRIGGERED',
+        notification
+      }, 'alerts');
+      recordDelivery(notification, delivered);
+      recordEvent('alert', deal, notification.latency);
+
+      alertsTriggered.inc({ trigger, mode: state.config.mode });
+      log.info('Alert triggered', {
+        component: 'alerts',
+        alertId: alert.id,
+        userId: alert.userId,
+        dealId: deal.id,
+        trigger,
+        latencyMs: notification.latency,
+        delivered
+      });
+    }
+  });
+}
+
+// = ALERT INBOX =
+
+function recordDelivery(notification, delivered) {
+  if (delivered > 0) {
+    notification.deliveredAt = notification.deliveredAt || clock.now();
+    notification.deliveryCount += delivered;
+  }
+  store.put('notifications', notification);
+}
+
+function userNotifications(userId) {
+  return Array.from(state.notifications.values())
+    .filter(n => n.userId === userId)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Send unread notifications to a socket that just joined the alerts channel
+function replayUnreadNotifications(client) {
+  const unread = userNotifications(client.userId).filter(n => !n.read);
+  if (unread.length === 0) return;
+
+  send(client, {
+    type: 'INBOX_REPLAY',
+    notifications: unread
+  });
+  unread.forEach(notification => recordDelivery(notification, 1));
+}
+
+app.get('/api/notifications', requireAuth, (req, res) => {
+  let notifications = userNotifications(req.user.id);
+  if (req.query.unread === 'true') {
+    notifications = notifications.filter(n => !n.read);
+  }
+  res.json(notifications);
+});
+
+app.post('/api/notifications/read', requireAuth, rateLimit('default'), (req, res) => {
+  const now = clock.now();
+  let updated = 0;
+  userNotifications(req.user.id).forEach(notification => {
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = now;
+      store.put('notifications', notification);
+      updated += 1;
+    }
+  });
+  res.json({ success: true, updated });
+});
+
+app.post('/api/notifications/:notificationId/read', requireAuth, rateLimit('default'), (req, res) => {
+  const notification = state.notifications.get(req.params.notificationId);
+  if (!notification || notification.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Notification not found' });
+  }
+
+  if (!notification.read) {
+    notification.read = true;
+    notification.readAt = clock.now();
+    store.put('notifications', notification);
+  }
+  res.json({ success: true, notification });
+});
+
+app.delete('/api/notifications/:notificationId', requireAuth, rateLimit('default'), (req, res) => {
+  const notification = state.notifications.get(req.params.notificationId);
+  if (!notification || notification.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Notification not found' });
+  }
+
+  store.remove('notifications', notification.id);
+  res.json({ success: true });
+});
+
+app.delete('/api/notifications', requireAuth, rateLimit('default'), (req, res) => {
+  const notifications = userNotifications(req.user.id);
+  notifications.forEach(n => store.remove('notifications', n.id));
+  res.json({ success: true, deleted: notifications.length });
+});
+
+// = PEER NETWORK =
+
+// DEALBUSTER_PEERS lists other nodes' base URLs, comma separated. DEALBUSTER_NODE_URL
+// is where peers reach this node and DEALBUSTER_NODE_ID names it. DEALBUSTER_PEER_KEYS
+// lists the public key of every node to trust, as nodeId=publicKey pairs, and
+// DEALBUSTER_NODE_KEY can hand this node its private key instead of generating one.
+const NODE_URL = process.env.DEALBUSTER_NODE_URL || `http://localhost:${PORT}`;
+
+// A generated signing key survives restarts so the key peers were given stays valid
+function loadIdentity() {
+  const nodeId = process.env.DEALBUSTER_NODE_ID || `node-${PORT}`;
+  if (process.env.DEALBUSTER_NODE_KEY) {
+    return identityFromKey(nodeId, process.env.DEALBUSTER_NODE_KEY);
+  }
+  if (!state.node.has('identity')) {
+    store.put('node', { id: 'identity', ...createIdentity(nodeId) });
+  }
+  return state.node.get('identity');
+}
+const identity = loadIdentity();
+const trustedKeys = parsePeerKeys(process.env.DEALBUSTER_PEER_KEYS);
+
+const network = createPeerNetwork({
+  identity,
+  url: NODE_URL,
+  peers: (process.env.DEALBUSTER_PEERS || '').split(',').filter(Boolean),
+  log: log.child({ component: 'p2p' })
+});
+
+if (network.enabled && trustedKeys.size === 0) {
+  log.warn('No DEALBUSTER_PEER_KEYS set; envelopes from peers will be rejected', { component: 'p2p' });
+}
+
+function networkEnabled() {
+  return network.enabled;
+}
+
+function nodeInfo() {
+  return { nodeId: identity.nodeId, url: NODE_URL, publicKey: identity.publicKey };
+}
+
+// Envelopes are numbered in the order this node stored them and peers sync
+// by number. The epoch names the numbering; a fresh store starts a new one.
+if (!state.node.has('gossipLog')) {
+  store.put('node', { id: 'gossipLog', epoch: uuidv4() });
+}
+const gossipEpoch = state.node.get('gossipLog').epoch;
+const gossipLog = []; // stored envelopes by seq
+
+function lastSeq() {
+  return gossipLog.length > 0 ? gossipLog[gossipLog.length - 1].seq : 0;
+}
+
+state.gossip.forEach(record => gossipLog.push(record));
+
+function storeEnvelope(envelope) {
+  const record = { ...envelope, seq: lastSeq() + 1 };
+  store.put('gossip', record);
+  gossipLog.push(record);
+}
+
+// What peers get: the envelope as signed, without this node's number
+function envelopeOf({ seq, ...envelope }) {
+  return envelope;
+}
+
+// Index of the first envelope numbered above `seq`
+function firstAfter(seq) {
+  let low = 0;
+  let high = gossipLog.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (gossipLog[mid].seq <= seq) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// What peers need to rebuild a deal; votes, reports and moderation stay local
+function dealPayload(deal) {
+  const { id, title, price, originalPrice, url, sku, productCategory, submittedBy, submittedByUsername, timestamp, expiresAt } = deal;
+  return { id, title, price, originalPrice, url, sku, productCategory, submittedBy, submittedByUsername, timestamp, expiresAt };
+}
+
+// Peers learn an account exists so they can check who cast a verdict;
+// passwords, sessions and reputation stay on its home node
+function accountPayload(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
+
+function keyPayload(user, key) {
+  return { id: `${user.id}:${key.id}`, userId: user.id, keyId: key.id, publicKey: key.publicKey, addedAt: key.addedAt };
+}
+
+// Sign something that happened on this node and push it to every peer
+function gossip(type, payload) {
+  if (!networkEnabled()) return;
+  // A copy, so later changes to the record cannot break the signature
+  const envelope = signEnvelope(identity, NODE_URL, type, JSON.parse(JSON.stringify(payload)));
+  storeEnvelope(envelope);
+  network.push([envelope]);
+}
+
+// Only this node and the nodes whose keys the operator listed sign envelopes
+function trustError(origin) {
+  if (origin.nodeId === identity.nodeId) {
+    return origin.publicKey === identity.publicKey ? null : 'Envelope claims to come from this node';
+  }
+  const trusted = trustedKeys.get(origin.nodeId);
+  if (!trusted) return `${origin.nodeId} is not a trusted node`;
+  return trusted === origin.publicKey ? null : `Key does not match the one configured for ${origin.nodeId}`;
+}
+
+// Why replicated evidence is not in the shape the verify route stores, or null
+function evidenceShapeError(evidence) {
+  if (!evidence || typeof evidence !== 'object' || Array.isArray(evidence)) return 'Evidence must be an object';
+  if (!Array.isArray(evidence.attachments) ||
+      !evidence.attachments.every(attachment => attachment && typeof attachment.url === 'string')) {
+    return 'Evidence attachments must be a list of uploads';
+  }
+  if (!evidence.checklist || typeof evidence.checklist !== 'object') return 'Evidence checklist must be an object';
+  if (evidence.observedPrice !== null && !Number.isFinite(evidence.observedPrice)) {
+    return 'Evidence observedPrice must be a number or null';
+  }
+  return null;
+}
+
+function payloadError({ type, payload }) {
+  if (type === 'user') {
+    if (typeof payload.username !== 'string' || !USERNAME_PATTERN.test(payload.username) || !Number.isFinite(payload.createdAt)) {
+      return 'Account is missing required fields';
+    }
+    return null;
+  }
+  if (type === 'key') {
+    if (typeof payload.userId !== 'string' || !parsePublicKey(payload.publicKey) || !Number.isFinite(payload.addedAt)) {
+      return 'Key is missing required fields';
+    }
+    if (payload.keyId !== keyId(payload.publicKey) || payload.id !== `${payload.userId}:${payload.keyId}`) {
+      return 'Key id does not match the public key';
+    }
+    return null;
+  }
+  if (type === 'deal') {
+    if (dealFieldsError(payload) || !Number.isFinite(payload.price) || !Number.isFinite(payload.timestamp)) {
+      return 'Deal is missing required fields';
+    }
+    if (payload.sku && normalizeSku(payload.sku) !== payload.sku) return 'Deal sku is not normalized';
+    return null;
+  }
+  if (type === 'verification') {
+    if (payload.verdict !== 'valid' && payload.verdict !== 'invalid') return 'verdict must be "valid" or "invalid"';
+    if (!payload.dealId || !payload.verifierId || !Number.isFinite(payload.timestamp)) {
+      return 'Verification is missing required fields';
     }
-  });
+    if (!(payload.weight >= 0) || !(payload.share > 0 && payload.share <= 1)) {
+      return 'Verification weight is out of range';
+    }
+    const evidenceError = evidenceShapeError(payload.evidence);
+    if (evidenceError) return evidenceError;
+    if (payload.signature || state.config.requireSignedVerdicts) {
+      return verificationSignatureError(payload);
+    }
+    return null;
+  }
+  return `Unknown envelope type "${type}"`;
 }
 
-// = Users =
+// A local account or one replicated from its home node
+function accountOf(userId) {
+  return state.users.get(userId) || state.peerUsers.get(userId) || null;
+}
 
-app.post('/api/users/register', (req, res) => {
-  const { username } = req.body;
+const DEFERRED = 'deferred';
 
-  if (!username || username.trim().length === 0) {
-    return res.status(400).json({ error: 'Username required' });
-  }
+// Accounts act on their home node, so only that node signs for them.
+// DEFERRED while the account has not arrived.
+function accountError(userId, origin) {
+  const account = accountOf(userId);
+  if (!account) return DEFERRED;
+  const home = state.users.has(userId) ? identity.nodeId : account.nodeId;
+  return home === origin.nodeId ? null : `${userId} is not an account of ${origin.nodeId}`;
+}
 
-  for (let user of state.users.values()) {
-    if (user.username === username) {
-      return res.status(409).json({ error: 'Username already exists' });
-    }
+// Why an envelope's references do not hold, DEFERRED while something it
+// refers to has not arrived (the next sync brings it), or null
+function referenceError({ type, payload, origin }) {
+  if (type === 'user') {
+    return state.users.has(payload.id) ? 'Account belongs to this node' : null;
   }
+  if (type === 'key') return accountError(payload.userId, origin);
+  if (type === 'verification') {
+    if (!state.deals.has(payload.dealId)) return DEFERRED;
+    const error = accountError(payload.verifierId, origin);
+    if (error) return error;
+    // The verdict must be signed with a key its account registered
+    const { signature } = payload;
+    if (signature && !accountOf(payload.verifierId).signingKeys.some(key => key.id === signature.keyId)) return DEFERRED;
+  }
+  return null;
+}
 
-  const userId = uuidv4();
-  const user = {
-    id: userId,
-    username: username.trim(),
-    reputationScore: 100, // Starting reputation
-    verificationHistory: [],
-    createdAt: Date.now()
-  };
+function receiveAccount(payload, origin) {
+  if (accountOf(payload.id)) return;
+  audit.append('user', null, { userId: payload.id, username: payload.username, origin });
+  store.put('peerUsers', {
+    id: payload.id,
+    username: payload.username,
+    nodeId: origin.nodeId,
+    url: origin.url,
+    createdAt: payload.createdAt,
+    signingKeys: [] // { id, publicKey, addedAt }, as on local accounts
+  });
+}
 
-  state.users.set(userId, user);
+function receiveKey(payload, origin) {
+  const account = accountOf(payload.userId);
+  if (account.signingKeys.some(key => key.id === payload.keyId)) return;
 
-  res.json({
-    success: true,
-    user: {
-      id: user.id,
-      username: user.username,
-      reputationScore: user.reputationScore
-    }
-  });
-});
+  account.signingKeys.push({ id: payload.keyId, publicKey: payload.publicKey, addedAt: payload.addedAt });
+  store.put(state.users.has(account.id) ? 'users' : 'peerUsers', account);
+  audit.append('key', null, { userId: account.id, username: account.username, keyId: payload.keyId, publicKey: payload.publicKey, origin });
+}
 
-app.get('/api/users/:userId', (req, res) => {
-  const user = state.users.get(req.params.userId);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
-  res.json(user);
-});
+// Accounts and keys from before this node joined a network
+if (networkEnabled()) {
+  state.users.forEach(user => {
+    if (!state.gossip.has(`user:${user.id}`)) gossip('user', accountPayload(user));
+    user.signingKeys.forEach(key => {
+      const payload = keyPayload(user, key);
+      if (!state.gossip.has(`key:${payload.id}`)) gossip('key', payload);
+    });
+  });
+}
 
-app.get('/api/users', (req, res) => {
-  const users = Array.from(state.users.values()).map(u => ({
-    id: u.id,
-    username: u.username,
-    reputationScore: u.reputationScore,
-    verificationsCount: u.verificationHistory.length
-  }));
-  res.json(users);
-});
+function receiveDeal(payload, origin) {
+  if (state.deals.has(payload.id)) return;
 
-// = Deals =
+  const deal = newDeal({ ...payload, sku: payload.sku || null, origin });
+  addDealToCatalog(deal);
+  store.put('deals', deal);
+  recordEvent('submitted', deal);
+  audit.append('deal', deal.id, { ...dealPayload(deal), origin });
 
-app.post('/api/deals', (req, res) => {
-  const { title, price, originalPrice, url, productCategory, submittedBy } = req.body;
+  publishDeal({
+    type: 'NEW_DEAL',
+    deal
+  });
 
-  if (!title || !price || !url || !submittedBy) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+  checkAlertsForDeal(deal, 'submission');
+}
 
-  const user = state.users.get(submittedBy);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
+function receiveVerification(verification, origin) {
+  const deal = state.deals.get(verification.dealId);
+  if (deal.verifications.some(v => v.id === verification.id || v.verifierId === verification.verifierId)) return;
 
-  const dealId = uuidv4();
-  const deal = {
-    id: dealId,
-    title,
-    price: parseFloat(price),
-    originalPrice: originalPrice ? parseFloat(originalPrice) : null,
-    url,
-    productCategory: productCategory || 'General',
-    submittedBy,
-    submittedByUsername: user.username,
-    timestamp: Date.now(),
-    verifications: [],
-    votes: 0, // BASELINE: simple vote count
-    status: 'pending', // pending, promoted, expired
-    promotedAt: null
-  };
+  verification.origin = origin;
+  // Screenshots stay on the node they were uploaded to
+  verification.evidence.attachments.forEach(attachment => {
+    if (attachment.url.startsWith('/')) {
+      attachment.url = `${origin.url}${attachment.url}`;
+    }
+  });
 
-  state.deals.set(dealId, deal);
+  deal.verifications.push(verification);
+  store.put('verifications', verification);
+  audit.append('verification', deal.id, verification);
+  indexVerifiedDeal(verification.verifierId, deal.id);
+  refreshDealCollusion(deal);
 
-  // BASELINE: Schedule promotion check after delay
-  if (state.config.mode === 'centralized') {
-    setTimeout(() => checkPromotion(dealId), state.config.promotionDelaySimulated);
+  if (pipelineEnabled('consensus')) {
+    checkConsensus(deal);
   }
 
-  broadcast({
-    type: 'NEW_DEAL',
+  store.put('deals', deal);
+
+  publishDeal({
+    type: 'DEAL_UPDATED',
     deal
   });
+}
 
-  res.json({ success: true, deal });
-});
+// 'accepted', 'known', 'rejected', or 'deferred' while something it refers to
+// has not arrived yet
+function acceptEnvelope(envelope) {
+  if (envelope && state.gossip.has(envelope.id)) return 'known';
 
-app.get('/api/deals', (req, res) => {
-  const deals = Array.from(state.deals.values())
-    .sort((a, b) => b.timestamp - a.timestamp);
-  res.json(deals);
-});
+  const error = envelopeError(envelope) || trustError(envelope.origin) || payloadError(envelope) || referenceError(envelope);
+  if (error === DEFERRED) return 'deferred';
+  if (error) {
+    log.warn('Envelope rejected', { component: 'p2p', envelopeId: envelope && envelope.id, reason: error });
+    return 'rejected';
+  }
 
-app.get('/api/deals/:dealId', (req, res) => {
-  const deal = state.deals.get(req.params.dealId);
-  if (!deal) {
-    return res.status(404).json({ error: 'Deal not found' });
+  const { type, payload, origin } = envelope;
+  storeEnvelope(envelope);
+  // Records get copies; the envelope keeps exactly what was signed
+  const record = JSON.parse(JSON.stringify(payload));
+  const from = { nodeId: origin.nodeId, url: origin.url || null };
+  if (type === 'user') {
+    receiveAccount(record, from);
+  } else if (type === 'key') {
+    receiveKey(record, from);
+  } else if (type === 'deal') {
+    receiveDeal(record, from);
+  } else {
+    receiveVerification(record, from);
   }
-  res.json(deal);
-});
+  return 'accepted';
+}
 
-// = BASELINE: PROMOTIONS =
+// Deferred envelopes wait here until what they refer to arrives
+const pendingEnvelopes = new Map(); // id -> envelope
+const MAX_PENDING_ENVELOPES = 1000;
 
-function checkPromotion(dealId) {
-  const deal = state.deals.get(dealId);
-  if (!deal || deal.status !== 'pending') return;
+function deferEnvelope(envelope) {
+  pendingEnvelopes.delete(envelope.id);
+  if (pendingEnvelopes.size >= MAX_PENDING_ENVELOPES) {
+    pendingEnvelopes.delete(pendingEnvelopes.keys().next().value);
+  }
+  pendingEnvelopes.set(envelope.id, envelope);
+}
 
-  // BASELINE: Promote if vote threshold reached
-  if (deal.votes >= state.config.promotionThreshold) {
-    deal.status = 'promoted';
-    deal.promotedAt = Date.now();
+// Accounts before their keys, both before deals, deals before verdicts
+const ENVELOPE_ORDER = { user: 0, key: 1, deal: 2, verification: 3 };
+
+// Apply envelopes from a peer in dependency order, retry the deferred ones
+// they may complete, and pass new ones on to the other peers
+function receiveEnvelopes(envelopes, fromUrl) {
+  const counts = { accepted: 0, known: 0, deferred: 0, rejected: 0 };
+  const accepted = [];
+  const rank = envelope => (envelope && ENVELOPE_ORDER[envelope.type] !== undefined ? ENVELOPE_ORDER[envelope.type] : 4);
+
+  envelopes.slice().sort((a, b) => rank(a) - rank(b)).forEach(envelope => {
+    const result = acceptEnvelope(envelope);
+    counts[result] += 1;
+    if (result === 'accepted') accepted.push(envelope);
+    if (result === 'deferred') deferEnvelope(envelope);
+  });
 
-    broadcast({
-      type: 'DEAL_PROMOTED',
-      deal
+  let progress = accepted.length > 0;
+  while (progress) {
+    progress = false;
+    pendingEnvelopes.forEach(envelope => {
+      const result = acceptEnvelope(envelope);
+      if (result === 'deferred') return;
+      pendingEnvelopes.delete(envelope.id);
+      if (result === 'accepted') {
+        accepted.push(envelope);
+        progress = true;
+      }
     });
+  }
 
-    // Check alerts ONLY after promotion
-    checkAlertsForDeal(deal);
+  network.push(accepted, fromUrl);
 
-    console.log(`[BASELINE] Deal ${deal.id} promoted after ${(deal.promotedAt - deal.timestamp) / 1000}s`);
-  } else {
-    console.log(`[BASELINE] Deal ${deal.id} did NOT promote (${deal.votes}/${state.config.promotionThreshold} votes)`);
+  if (accepted.length > 0 || counts.rejected > 0) {
+    log.info('Envelopes received', { component: 'p2p', from: fromUrl, ...counts, pending: pendingEnvelopes.size });
   }
+  return counts;
 }
 
-// = VOTING (BASELINE) vs VERIFICATION (DECENTRALIZED) =
+// Envelopes per sync answer, and answers per sync round while a peer has more
+const SYNC_PAGE_SIZE = 200;
+const MAX_SYNC_PAGES = 50;
 
-app.post('/api/deals/:dealId/vote', (req, res) => {
-  const { userId } = req.body;
-  const deal = state.deals.get(req.params.dealId);
+function syncCursor(peerUrl) {
+  const saved = state.peers.get(peerUrl);
+  return saved ? { epoch: saved.epoch, after: saved.cursor } : { epoch: null, after: 0 };
+}
 
-  if (!deal) {
-    return res.status(404).json({ error: 'Deal not found' });
+let syncing = false;
+
+// Anti-entropy: pull what each peer stored since the last envelope seen from it
+async function syncWithPeers() {
+  if (syncing) return;
+  syncing = true;
+  try {
+    for (let page = 0; page < MAX_SYNC_PAGES; page++) {
+      const results = await network.sync(syncCursor);
+      results.forEach(({ peer, epoch, envelopes, next }) => {
+        receiveEnvelopes(envelopes, peer.url);
+        const saved = state.peers.get(peer.url);
+        if (!saved || saved.epoch !== epoch || saved.cursor !== next) {
+          store.put('peers', { id: peer.url, epoch, cursor: next });
+        }
+      });
+      if (!results.some(result => result.more)) break;
+    }
+  } finally {
+    syncing = false;
   }
+}
 
-  const user = state.users.get(userId);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+function requireNetwork(req, res, next) {
+  if (!networkEnabled()) {
+    return res.status(409).json({ error: 'This node has no peers (set DEALBUSTER_PEERS)' });
   }
+  next();
+}
 
-  // Simple vote increment (no verification logic)
-  deal.votes += 1;
+// Peers cut off by a simulated partition are refused as well as skipped
+function fromPeer(req, res, next) {
+  const from = req.body.from || {};
+  if (from.url && network.isBlocked(from.url)) {
+    return res.status(503).json({ error: 'Partitioned from this peer' });
+  }
+  next();
+}
 
-  broadcast({
-    type: 'DEAL_UPDATED',
-    deal
+app.get('/api/p2p/info', (req, res) => {
+  res.json({
+    node: nodeInfo(),
+    enabled: networkEnabled(),
+    mode: state.config.mode,
+    peers: network.peers(),
+    trusted: Array.from(trustedKeys, ([nodeId, publicKey]) => ({ nodeId, publicKey })),
+    epoch: gossipEpoch,
+    envelopes: gossipLog.length,
+    pending: pendingEnvelopes.size
   });
-
-  res.json({ success: true, deal });
 });
 
-app.post('/api/deals/:dealId/verify', (req, res) => {
-  const { userId, verdict, evidence } = req.body;
-  const deal = state.deals.get(req.params.dealId);
-
-  if (!deal) {
-    return res.status(404).json({ error: 'Deal not found' });
-  }
-
-  const user = state.users.get(userId);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
-
-  // Check if user already verified this deal
-  if (deal.verifications.some(v => v.verifierId === userId)) {
-    return res.status(409).json({ error: 'You already verified this deal' });
+// The gossip and sync routes are checked by requireNetwork with their body parser (see Middleware)
+app.post('/api/p2p/gossip', fromPeer, (req, res) => {
+  const { envelopes, from } = req.body;
+  if (!Array.isArray(envelopes)) {
+    return res.status(400).json({ error: 'envelopes must be a list' });
   }
 
-  const verification = {
-    id: uuidv4(),
-    dealId: deal.id,
-    verifierId: userId,
-    verifierUsername: user.username,
-    verdict: verdict, // 'valid' or 'invalid'
-    evidence: evidence || '',
-    timestamp: Date.now()
-  };
-
-  deal.verifications.push(verification);
-  state.verifications.set(verification.id, verification);
-  user.verificationHistory.push(verification.id);
+  res.json(receiveEnvelopes(envelopes, from && from.url));
+});
 
-  // DECENTRALIZED MODE: Check consensus immediately
-  if (state.config.mode === 'decentralized') {
-    checkConsensus(deal);
-  }
+// One page of envelopes numbered after `after`; a cursor from another epoch
+// numbers a different log, so that peer starts over
+app.post('/api/p2p/sync', fromPeer, (req, res) => {
+  const { epoch, after } = req.body;
+  const from = epoch === gossipEpoch && Number.isInteger(after) && after > 0 ? after : 0;
+  const start = firstAfter(from);
+  const page = gossipLog.slice(start, start + SYNC_PAGE_SIZE);
 
-  broadcast({
-    type: 'DEAL_UPDATED',
-    deal
+  res.json({
+    node: nodeInfo(),
+    epoch: gossipEpoch,
+    envelopes: page.map(envelopeOf),
+    next: page.length > 0 ? page[page.length - 1].seq : from,
+    more: start + page.length < gossipLog.length
   });
-
-  res.json({ success: true, verification, deal });
 });
 
-// = DECENTRALIZED: CONSENSUS BASED =
+// Replicated deals with their verdicts and consensus outcome; converged
+// nodes report the same fingerprint
+app.get('/api/p2p/state', (req, res) => {
+  const deals = Array.from(state.deals.values())
+    .filter(deal => state.gossip.has(`deal:${deal.id}`))
+    .sort((a, b) => (a.id < b.id ? -1 : 1))
+    .map(deal => ({
+      id: deal.id,
+      verifications: deal.verifications.map(v => v.id).sort(),
+      consensus: deal.outcomes.consensus.status
+    }));
 
-function checkConsensus(deal) {
-  const CONSENSUS_THRESHOLD = 3; // Need 3 verifications
-  const validVerifications = deal.verifications.filter(v => v.verdict === 'valid').length;
-  const invalidVerifications = deal.verifications.filter(v => v.verdict === 'invalid').length;
+  res.json({
+    node: nodeInfo(),
+    fingerprint: crypto.createHash('sha256').update(canonicalJson(deals)).digest('hex'),
+    deals
+  });
+});
 
-  if (validVerifications >= CONSENSUS_THRESHOLD && deal.status === 'pending') {
-    deal.status = 'verified';
-    deal.verifiedAt = Date.now();
+// Drop all traffic with these peers until called again without them
+app.post('/api/p2p/partition', requireAuth, requireRole('admin'), rateLimit('default'), requireNetwork, (req, res) => {
+  const { peers } = req.body;
+  if (!Array.isArray(peers) || peers.some(peer => typeof peer !== 'string')) {
+    return res.status(400).json({ error: 'peers must be a list of peer URLs' });
+  }
 
-    broadcast({
-      type: 'DEAL_VERIFIED',
-      deal
-    });
+  network.setBlocked(peers);
+  log.warn('Peer partition changed', { component: 'p2p', blocked: peers, userId: req.user.id });
 
-    // DECENTRALIZED: Check alerts immediately upon verification
-    checkAlertsForDeal(deal);
+  res.json({ success: true, peers: network.peers() });
+});
 
-    console.log(`[DECENTRALIZED] Deal ${deal.id} verified after ${(deal.verifiedAt - deal.timestamp) / 1000}s`);
-  } else if (invalidVerifications >= CONSENSUS_THRESHOLD && deal.status === 'pending') {
-    deal.status = 'rejected';
+// = CONFIG =
 
-    broadcast({
-      type: 'DEAL_REJECTED',
-      deal
-    });
+app.post('/api/config/mode', requireAuth, requireRole('admin'), rateLimit('default'), (req, res) => {
+  const { mode } = req.body;
 
-    console.log(`[DECENTRALIZED] Deal ${deal.id} rejected`);
+  if (!MODE_PIPELINES[mode]) {
+    return res.status(400).json({ error: 'Mode must be "centralized", "decentralized" or "hybrid"' });
   }
-}
 
-// = ALERTS =
+  state.config.mode = mode;
+
+  broadcast({
+    type: 'CONFIG_UPDATED',
+    config: state.config
+  });
 
-app.post('/api/alerts', (req, res) => {
-  const { userId, productKeywords, maxPrice, minVerifications } = req.body;
+  res.json({ success: true, config: state.config });
+});
 
-  if (!userId || !productKeywords || !maxPrice) {
-    return res.status(400).json({ error: 'Missing required fields' });
+// Numeric settings that can be tuned at runtime
+const EDITABLE_CONFIG_KEYS = [
+  'promotionThreshold',
+  'promotionDelaySimulated',
+  'frontPageCapacity',
+  'hotScoreGravity',
+  'consensusWeightThreshold',
+  'consensusMinVerifiers',
+  'consensusQuorum',
+  'evidencePriceTolerance',
+  'maxVerdictWeight',
+  'requireSignedVerdicts',
+  'disputeStake',
+  'disputeReward',
+  'disputeQuorumMultiplier',
+  'maxDisputes',
+  'reputationReward',
+  'reputationPenalty',
+  'verifierProbation',
+  'collusionWindow',
+  'collusionMinSharedDeals',
+  'flaggedVerdictWeight',
+  'maxActiveAlerts',
+  'maxDealsPerDay',
+  'expiryReportThreshold',
+  'priceReportThreshold',
+  'duplicateTitleSimilarity',
+  'productTitleSimilarity',
+  'priceHistoryWindow',
+  'priceScoreMinSamples',
+  'metricsRetention'
+];
+
+// Keys that take null to fall back to a default
+const NULLABLE_CONFIG_KEYS = ['promotionDelaySimulated'];
+
+// Keys where 0 is meaningless (a divisor or a window)
+const POSITIVE_CONFIG_KEYS = ['promotionDelaySimulated', 'priceHistoryWindow'];
+
+app.post('/api/config', requireAuth, requireRole('admin'), rateLimit('default'), (req, res) => {
+  const updates = {};
+
+  for (const [key, value] of Object.entries(req.body || {})) {
+    if (!EDITABLE_CONFIG_KEYS.includes(key)) {
+      return res.status(400).json({ error: `Config "${key}" is not editable` });
+    }
+    if (value === null && NULLABLE_CONFIG_KEYS.includes(key)) {
+      updates[key] = null;
+      continue;
+    }
+    // Switches take true or false; every other key is a number
+    if (typeof state.config[key] === 'boolean') {
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({ error: `Config "${key}" must be true or false` });
+      }
+      updates[key] = value;
+      continue;
+    }
+    // Number(null) and Number('') are 0, so only numbers and numeric strings count
+    const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+    if (!Number.isFinite(number) || number < 0) {
+      return res.status(400).json({ error: `Config "${key}" must be a non-negative number` });
+    }
+    if (number === 0 && POSITIVE_CONFIG_KEYS.includes(key)) {
+      return res.status(400).json({ error: `Config "${key}" must be positive` });
+    }
+    updates[key] = number;
   }
 
-  const user = state.users.get(userId);
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+  const merged = { ...state.config, ...updates };
+  if (merged.consensusMinVerifiers > merged.consensusQuorum) {
+    return res.status(400).json({ error: 'consensusMinVerifiers cannot exceed consensusQuorum' });
+  }
+  if (merged.flaggedVerdictWeight > 1) {
+    return res.status(400).json({ error: 'flaggedVerdictWeight must be between 0 and 1' });
+  }
+  if (merged.duplicateTitleSimilarity > 1) {
+    return res.status(400).json({ error: 'duplicateTitleSimilarity must be between 0 and 1' });
+  }
+  if (merged.productTitleSimilarity > 1) {
+    return res.status(400).json({ error: 'productTitleSimilarity must be between 0 and 1' });
   }
 
-  const alertId = uuidv4();
-  const alert = {
-    id: alertId,
-    userId,
-    productKeywords: productKeywords.toLowerCase(),
-    maxPrice: parseFloat(maxPrice),
-    minVerifications: minVerifications || 3,
-    createdAt: Date.now(),
-    triggered: []
-  };
+  Object.assign(state.config, updates);
+  // New detector settings can flag or clear anyone
+  if ('collusionWindow' in updates || 'collusionMinSharedDeals' in updates) {
+    refreshCollusionFlags();
+  }
 
-  state.alerts.set(alertId, alert);
+  broadcast({
+    type: 'CONFIG_UPDATED',
+    config: state.config
+  });
 
-  res.json({ success: true, alert });
+  res.json({ success: true, config: state.config });
 });
 
-app.get('/api/alerts/user/:userId', (req, res) => {
-  const userAlerts = Array.from(state.alerts.values())
-    .filter(a => a.userId === req.params.userId);
-  res.json(userAlerts);
-});
+// Partial update: { enabled, <route>: { perUser, perIp } } where a bucket is
+// { capacity, refillPerMinute } or null for no limit
+app.post('/api/config/rate-limits', requireAuth, requireRole('admin'), rateLimit('default'), (req, res) => {
+  const { enabled, ...routes } = req.body || {};
+  const updates = {};
 
-app.delete('/api/alerts/:alertId', (req, res) => {
-  const deleted = state.alerts.delete(req.params.alertId);
-  res.json({ success: deleted });
-});
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
 
-function checkAlertsForDeal(deal) {
-  const alerts = Array.from(state.alerts.values());
-
-  alerts.forEach(alert => {
-    // Check if deal matches alert criteria
-    const keywordsMatch = deal.title.toLowerCase().includes(alert.productKeywords) ||
-                          deal.productCategory.toLowerCase().includes(alert.productKeywords);
-    const priceMatch = deal.price <= alert.maxPrice;
-    const verificationMatch = deal.verifications.length >= alert.minVerifications;
-
-    if (keywordsMatch && priceMatch && verificationMatch) {
-      // Check if already triggered for this deal
-      if (!alert.triggered.includes(deal.id)) {
-        alert.triggered.push(deal.id);
-
-        const notification = {
-          alertId: alert.id,
-          dealId: deal.id,
-          userId: alert.userId,
-          deal: deal,
-          timestamp: Date.now(),
-          latency: Date.now() - deal.timestamp // Time from deal submission to alert
-        };
-
-        broadcast({
-          type: 'ALERT_TRIGGERED',
-          notification
-        });
-
-        console.log(`[ALERT] Triggered for user ${alert.userId}: ${deal.title} at $${deal.price} (latency: ${notification.latency}ms)`);
-      }
+  for (const [name, scopes] of Object.entries(routes)) {
+    if (!Object.keys(state.config.rateLimits).includes(name)) {
+      return res.status(400).json({ error: `Unknown rate limit "${name}"` });
     }
-  });
-}
-
-// = CONFIG =
-
-app.post('/api/config/mode', (req, res) => {
-  const { mode } = req.body;
+    updates[name] = { ...state.config.rateLimits[name] };
 
-  if (mode !== 'centralized' && mode !== 'decentralized') {
-    return res.status(400).json({ error: 'Mode must be "centralized" or "decentralized"' });
+    for (const [scope, bucket] of Object.entries(scopes || {})) {
+      if (scope !== 'perUser' && scope !== 'perIp') {
+        return res.status(400).json({ error: 'Rate limit scope must be "perUser" or "perIp"' });
+      }
+      if (bucket === null) {
+        updates[name][scope] = null;
+        continue;
+      }
+      const capacity = Number(bucket && bucket.capacity);
+      const refillPerMinute = Number(bucket && bucket.refillPerMinute);
+      if (!Number.isFinite(capacity) || capacity < 1 || !Number.isFinite(refillPerMinute) || refillPerMinute <= 0) {
+        return res.status(400).json({ error: `${name}.${scope} needs capacity >= 1 and refillPerMinute > 0` });
+      }
+      updates[name][scope] = { capacity, refillPerMinute };
+    }
   }
 
-  state.config.mode = mode;
+  if (enabled !== undefined) state.config.rateLimiting = enabled;
+  Object.assign(state.config.rateLimits, updates);
 
   broadcast({
     type: 'CONFIG_UPDATED',
@@ -411,11 +3306,14 @@ app.get('/api/stats', (req, res) => {
     promotedDeals: deals.filter(d => d.status === 'promoted').length,
     verifiedDeals: deals.filter(d => d.status === 'verified').length,
     rejectedDeals: deals.filter(d => d.status === 'rejected').length,
+    expiredDeals: deals.filter(d => d.status === 'expired').length,
+    mergedDeals: deals.filter(d => d.status === 'merged').length,
     totalUsers: state.users.size,
     totalAlerts: state.alerts.size,
     totalVerifications: state.verifications.size,
     averagePromotionTime: calculateAveragePromotionTime(deals),
-    averageVerificationTime: calculateAverageVerificationTime(deals)
+    averageVerificationTime: calculateAverageVerificationTime(deals),
+    outcomes: compareOutcomes(deals)
   };
 
   res.json(stats);
@@ -437,24 +3335,128 @@ function calculateAverageVerificationTime(deals) {
   return totalTime / verifiedDeals.length;
 }
 
+// Per-pipeline outcomes side by side, e.g. for deals decided in hybrid mode
+function compareOutcomes(deals) {
+  const promoted = deals.filter(d => d.outcomes.promotion.status === 'promoted');
+  const verified = deals.filter(d => d.outcomes.consensus.status === 'verified');
+  const rejected = deals.filter(d => d.outcomes.consensus.status === 'rejected');
+
+  return {
+    promoted: promoted.length,
+    verified: verified.length,
+    rejected: rejected.length,
+    promotedAndVerified: promoted.filter(d => d.outcomes.consensus.status === 'verified').length,
+    promotedButRejected: promoted.filter(d => d.outcomes.consensus.status === 'rejected').length,
+    verifiedNotPromoted: verified.filter(d => d.outcomes.promotion.status !== 'promoted').length
+  };
+}
+
+// = LIFECYCLE METRICS =
+
+// latency: ms since submission for the events that measure one, otherwise null
+function recordEvent(type, deal, latency = null) {
+  const now = clock.now();
+  store.put('events', {
+    id: uuidv4(),
+    type,
+    dealId: deal.id,
+    category: deal.productCategory,
+    mode: state.config.mode,
+    timestamp: now,
+    latency
+  });
+  if (latency !== null) {
+    dealLatency.observe({ metric: LATENCY_METRICS[type], mode: state.config.mode }, latency / 1000);
+  }
+
+  // Events arrive in time order, so the oldest are first
+  for (const event of state.events.values()) {
+    if (event.timestamp >= now - state.config.metricsRetention) break;
+    store.remove('events', event.id);
+  }
+}
+
+// Query: window (e.g. 1h, 24h, 7d), buckets, category
+app.get('/api/stats/latency', (req, res) => {
+  const { options, error } = parseLatencyQuery(req.query, clock.now());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  res.json(latencyReport(Array.from(state.events.values()), options));
+});
+
 // = SERVER =
 
-const server = app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Mode: ${state.config.mode}`);
+// Malformed bodies, oversized uploads and anything a handler throws
+app.use((error, req, res, next) => {
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    log.error('Request failed', { component: 'http', requestId: req.id, error });
+  } else {
+    log.warn('Request rejected', { component: 'http', requestId: req.id, status, reason: error.message });
+  }
+  if (res.headersSent) return next(error);
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : error.message });
 });
 
-// Upgrade HTTP server to WebSocket
-server.on('upgrade', (request, socket, head) => {
-  wss.handleUpgrade(request, socket, head, (ws) => {
-    wss.emit('connection', ws, request);
+// The simulation harness passes scheduler: false and drives the cycles itself
+function startServer({ port = PORT, scheduler = true } = {}) {
+  if (scheduler) {
+    setInterval(runPromotionCycle, state.config.promotionCheckInterval);
+
+    sweepExpiredDeals();
+    setInterval(sweepExpiredDeals, state.config.expirySweepInterval);
+
+    if (networkEnabled()) {
+      const sync = () => syncWithPeers().catch(error => log.error('Peer sync failed', { component: 'p2p', error }));
+      sync();
+      setInterval(sync, state.config.peerSyncInterval);
+    }
+  }
+
+  const server = app.listen(port, () => {
+    log.info('Server running', {
+      url: `http://localhost:${server.address().port}`,
+      mode: state.config.mode,
+      storage: store.type,
+      storageFile: store.filePath || null,
+      dealsLoaded: state.deals.size,
+      nodeId: identity.nodeId,
+      peers: network.peers().map(peer => peer.url)
+    });
   });
-});
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing server...');
-  server.close(() => {
-    console.log('Server closed');
+  // Upgrade HTTP server to WebSocket
+  server.on('upgrade', (request, socket, head) => {
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request);
+    });
   });
-});
+
+  return server;
+}
+
+if (require.main === module) {
+  const server = startServer();
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    log.info('SIGTERM received, closing server');
+    server.close(() => {
+      store.close();
+      log.info('Server closed');
+      // The promotion scheduler and expiry sweeper would otherwise keep the process alive
+      process.exit(0);
+    });
+  });
+}
+
+module.exports = {
+  app,
+  state,
+  log,
+  startServer,
+  runPromotionCycle,
+  sweepExpiredDeals
+};
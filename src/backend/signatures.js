@@ -0,0 +1,89 @@
+/**
+ * Signed verdicts for Dealbuster
+ *
+ * Every user holds an ECDSA P-256 key pair, generated in the browser, and
+ * signs each verdict. The signed statement binds the verdict to the deal,
+ * the dispute round, the verifier and the evidence they submitted, so a
+ * server that edits or swaps a verdict can be caught by anyone holding the
+ * verifier's public key. Signatures are raw r || s (WebCrypto's format).
+ */
+
+const crypto = require('crypto');
+const { canonicalJson } = require('./peers');
+
+// Short id of a public key: the start of its SHA-256, hex
+function keyId(publicKey) {
+  return crypto.createHash('sha256').update(String(publicKey)).digest('hex').slice(0, 16);
+}
+
+// A KeyObject for a base64 SPKI P-256 public key, or null
+function parsePublicKey(publicKey) {
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(String(publicKey), 'base64'), format: 'der', type: 'spki' });
+    const { namedCurve } = key.asymmetricKeyDetails || {};
+    return key.asymmetricKeyType === 'ec' && namedCurve === 'prime256v1' ? key : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// What a verifier signs; the server rebuilds it from the request
+function verdictStatement({ dealId, round, verifierId, verdict, evidence, signedAt }) {
+  return {
+    type: 'verification',
+    dealId,
+    round,
+    verifierId,
+    verdict,
+    evidence: evidence === undefined ? null : evidence,
+    signedAt
+  };
+}
+
+function verifyStatement(statement, publicKey, signature) {
+  const key = parsePublicKey(publicKey);
+  if (!key || typeof signature !== 'string') return false;
+  try {
+    return crypto.verify('sha256', Buffer.from(canonicalJson(statement)), { key, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// For scripts acting as users; browsers sign with WebCrypto instead
+function createSigningKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const spki = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+  return {
+    keyId: keyId(spki),
+    publicKey: spki,
+    sign: statement => crypto.sign('sha256', Buffer.from(canonicalJson(statement)), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+      .toString('base64')
+  };
+}
+
+// Why a stored verification's signature does not hold, or null. dealIds are
+// the deals it may have been cast on: its deal and any merged into it.
+function verificationSignatureError(verification, dealIds = [verification.dealId]) {
+  const signature = verification.signature;
+  if (!signature) return 'Verdict is not signed';
+
+  const { statement, publicKey, value } = signature;
+  if (!statement || !dealIds.includes(statement.dealId) || statement.verifierId !== verification.verifierId ||
+      statement.verdict !== verification.verdict) {
+    return 'Signed statement does not match the verdict';
+  }
+  if (signature.keyId !== keyId(publicKey)) return 'Key id does not match the public key';
+  if (!verifyStatement(statement, publicKey, value)) return 'Bad signature';
+  return null;
+}
+
+module.exports = {
+  keyId,
+  parsePublicKey,
+  verdictStatement,
+  verifyStatement,
+  createSigningKey,
+  verificationSignatureError
+};
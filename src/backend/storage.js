@@ -0,0 +1,131 @@
+/**
+ * Storage backends for Dealbuster
+ *
+ * Both stores keep every collection in a Map so route handlers can read
+ * records directly. Writes go through put()/remove() so the file-backed
+ * store can append them to its log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COLLECTIONS = ['deals', 'users', 'verifications', 'alerts', 'sessions', 'notifications', 'uploads', 'moderationLog', 'events', 'node', 'peers', 'peerUsers', 'gossip', 'audit', 'products'];
+
+// = IN-MEMORY =
+
+function createMemoryStore() {
+  const collections = {};
+  COLLECTIONS.forEach(name => {
+    collections[name] = new Map();
+  });
+
+  function collection(name) {
+    if (!COLLECTIONS.includes(name)) {
+      throw new Error(`Unknown collection "${name}"`);
+    }
+    return collections[name];
+  }
+
+  return {
+    type: 'memory',
+    collection,
+    put(name, record) {
+      collection(name).set(record.id, record);
+      return record;
+    },
+    remove(name, id) {
+      return collection(name).delete(id);
+    },
+    close() {}
+  };
+}
+
+// = FILE (APPEND-ONLY JSON LOG) =
+
+// Each line is { op: 'put' | 'remove', collection, record | id }
+// log: anything with warn(msg, fields), e.g. the server's logger
+function createFileStore(filePath, log = { warn: msg => console.warn(msg) }) {
+  const store = createMemoryStore();
+  const memoryPut = store.put;
+  const memoryRemove = store.remove;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a partial last line behind
+        log.warn('Skipping unreadable store log line', { component: 'storage', line: index + 1, file: filePath });
+        return;
+      }
+
+      // Lines this version cannot apply are skipped rather than failing the load
+      const known = entry && COLLECTIONS.includes(entry.collection);
+      if (known && entry.op === 'put' && entry.record && typeof entry.record === 'object') {
+        memoryPut(entry.collection, entry.record);
+      } else if (known && entry.op === 'remove') {
+        memoryRemove(entry.collection, entry.id);
+      } else {
+        log.warn('Skipping store log line with an unknown collection or operation', { component: 'storage', line: index + 1, file: filePath });
+      }
+    });
+  }
+
+  // Compact on startup so the log only holds the current records
+  const snapshot = [];
+  COLLECTIONS.forEach(name => {
+    store.collection(name).forEach(record => {
+      snapshot.push(JSON.stringify({ op: 'put', collection: name, record }));
+    });
+  });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, snapshot.length > 0 ? snapshot.join('\n') + '\n' : '');
+  fs.renameSync(tempPath, filePath);
+
+  const fd = fs.openSync(filePath, 'a');
+
+  function append(entry) {
+    fs.writeSync(fd, JSON.stringify(entry) + '\n');
+  }
+
+  return {
+    ...store,
+    type: 'file',
+    filePath,
+    put(name, record) {
+      memoryPut(name, record);
+      append({ op: 'put', collection: name, record });
+      return record;
+    },
+    remove(name, id) {
+      const removed = memoryRemove(name, id);
+      if (removed) {
+        append({ op: 'remove', collection: name, id });
+      }
+      return removed;
+    },
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+function createStore(options = {}) {
+  if (options.file) {
+    return createFileStore(options.file, options.log);
+  }
+  return createMemoryStore();
+}
+
+module.exports = {
+  COLLECTIONS,
+  createMemoryStore,
+  createFileStore,
+  createStore
+};
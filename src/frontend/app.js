@@ -1,14 +1,21 @@
 // API Configuration
 const API_BASE = 'http://localhost:3000/api';
 const WS_URL = 'ws://localhost:3000';
+const SESSION_KEY = 'dealbuster.session';
 
 // State
 let currentUser = null;
+let sessionToken = null;
+let dealsCursor = null;
+let dealsLoading = false;
+let dealsRequest = 0; // bumped per deal list fetch; a response for an older one is dropped
+let searchDebounce = null;
 let currentMode = 'centralized';
 let ws = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
+    restoreSession();
     initWebSocket();
     initEventListeners();
     loadConfig();
@@ -24,6 +31,7 @@ function initWebSocket() {
     ws.onopen = () => {
         console.log('WebSocket connected');
         document.getElementById('wsStatus').className = 'connection-status connected';
+        syncSocketSession();
     };
 
     ws.onclose = () => {
@@ -43,6 +51,17 @@ function initWebSocket() {
     };
 }
 
+// Tie the socket to the current session and pick its channels
+function syncSocketSession() {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+    ws.send(JSON.stringify({ type: 'AUTH', token: sessionToken }));
+    ws.send(JSON.stringify({
+        type: 'SUBSCRIBE',
+        channels: currentUser ? ['deals', 'alerts'] : ['deals']
+    }));
+}
+
 function handleWebSocketMessage(message) {
     console.log('WebSocket message:', message);
 
@@ -60,6 +79,10 @@ function handleWebSocketMessage(message) {
             showNotification('Deal Promoted!', message.deal);
             loadStats();
             break;
+        case 'DEAL_DEMOTED':
+            updateDealInList(message.deal);
+            loadStats();
+            break;
         case 'DEAL_VERIFIED':
             updateDealInList(message.deal);
             showNotification('Deal Verified!', message.deal);
@@ -69,20 +92,67 @@ function handleWebSocketMessage(message) {
             updateDealInList(message.deal);
             loadStats();
             break;
+        case 'DEAL_EXPIRED':
+            updateDealInList(message.deal);
+            loadStats();
+            break;
+        case 'DEAL_PRICE_CHANGED':
+            updateDealInList(message.deal);
+            break;
+        case 'DEAL_DISPUTED':
+            updateDealInList(message.deal);
+            loadStats();
+            break;
+        case 'DISPUTE_RESOLVED':
+            updateDealInList(message.deal);
+            loadStats();
+            break;
+        case 'DEAL_REMOVED':
+        case 'DEAL_DELETED':
+            if (!isModerator() || message.type === 'DEAL_DELETED') {
+                document.getElementById(`deal-${message.deal.id}`)?.remove();
+            }
+            loadStats();
+            break;
+        case 'DEAL_RESTORED':
+            addDealToList(message.deal);
+            loadStats();
+            break;
+        case 'DEAL_MERGED':
+            updateDealInList(message.deal);
+            updateDealInList(message.into);
+            loadStats();
+            break;
         case 'ALERT_TRIGGERED':
             if (message.notification.userId === currentUser?.id) {
                 showAlertNotification(message.notification);
+                loadInbox();
+            }
+            break;
+        case 'INBOX_REPLAY':
+            showInboxReplay(message.notifications);
+            loadInbox();
+            break;
+        case 'REPUTATION_CHANGED':
+            if (message.userId === currentUser?.id) {
+                currentUser.reputationScore = message.reputationScore;
+                saveSession(sessionToken, currentUser);
+                updateUserDisplay();
             }
             break;
         case 'CONFIG_UPDATED':
             updateModeDisplay(message.config.mode);
             break;
+        case 'ERROR':
+            console.warn('WebSocket error message:', message.error);
+            break;
     }
 }
 
 function initEventListeners() {
     // Login
-    document.getElementById('loginBtn').addEventListener('click', handleLogin);
+    document.getElementById('loginBtn').addEventListener('click', () => handleLogin('login'));
+    document.getElementById('registerBtn').addEventListener('click', () => handleLogin('register'));
     document.getElementById('logoutBtn').addEventListener('click', handleLogout);
 
     // Mode toggle
@@ -91,13 +161,42 @@ function initEventListeners() {
     // Tabs
     document.querySelectorAll('.tab').forEach(tab => {
         tab.addEventListener('click', (e) => {
-            switchTab(e.target.dataset.tab, e.target);
+            switchTab(e.currentTarget.dataset.tab, e.currentTarget);
         });
     });
 
     // Forms
     document.getElementById('submitDealForm').addEventListener('submit', handleSubmitDeal);
     document.getElementById('createAlertForm').addEventListener('submit', handleCreateAlert);
+    document.getElementById('verifyForm').addEventListener('submit', handleVerifySubmit);
+    document.getElementById('verifyCancelBtn').addEventListener('click', () => {
+        document.getElementById('verifyDialog').close();
+    });
+
+    // Deal search and filters
+    document.getElementById('dealSearch').addEventListener('input', () => {
+        clearTimeout(searchDebounce);
+        searchDebounce = setTimeout(loadDeals, 300);
+    });
+    document.querySelectorAll('.deal-filter').forEach(control => {
+        control.addEventListener('change', loadDeals);
+    });
+
+    // Infinite scroll: fetch the next page when the end of the list comes into view
+    new IntersectionObserver((entries) => {
+        if (entries[0].isIntersecting && dealsCursor) {
+            loadMoreDeals();
+        }
+    }).observe(document.getElementById('dealsSentinel'));
+
+    // Dashboard
+    document.querySelectorAll('.dashboard-filter').forEach(control => {
+        control.addEventListener('change', loadDashboard);
+    });
+
+    // Inbox
+    document.getElementById('markAllReadBtn').addEventListener('click', markAllNotificationsRead);
+    document.getElementById('clearInboxBtn').addEventListener('click', clearInbox);
 }
 
 function switchTab(tabName, clickedTabElement) {
@@ -106,45 +205,120 @@ function switchTab(tabName, clickedTabElement) {
         tab.classList.remove('active');
     });
 
-    event.target.classList.add('active');
-    clickedTabElement.classList.add('active');
+    const tabButton = clickedTabElement || document.querySelector(`.tab[data-tab="${tabName}"]`);
+    tabButton.classList.add('active');
 
     // Update tab content
     document.getElementById('dealsTab').classList.add('hidden');
     document.getElementById('submitTab').classList.add('hidden');
     document.getElementById('alertsTab').classList.add('hidden');
+    document.getElementById('inboxTab').classList.add('hidden');
+    document.getElementById('dashboardTab').classList.add('hidden');
+    document.getElementById('adminTab').classList.add('hidden');
 
     document.getElementById(tabName + 'Tab').classList.remove('hidden');
 
     if (tabName === 'alerts' && currentUser) {
         loadUserAlerts();
     }
+
+    if (tabName === 'inbox' && currentUser) {
+        loadInbox();
+    }
+
+    if (tabName === 'dashboard') {
+        loadDashboard();
+    }
+
+    if (tabName === 'admin' && isModerator()) {
+        loadModeration();
+    }
 }
 
 // = USERS =
 
-async function handleLogin() {
+// Headers for JSON requests, with the session token when logged in
+function authHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (sessionToken) {
+        headers.Authorization = `Bearer ${sessionToken}`;
+    }
+    return headers;
+}
+
+function saveSession(token, user) {
+    sessionToken = token;
+    currentUser = user;
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ token, user }));
+}
+
+function clearSession() {
+    sessionToken = null;
+    currentUser = null;
+    signingKey = null;
+    localStorage.removeItem(SESSION_KEY);
+}
+
+async function restoreSession() {
+    const saved = localStorage.getItem(SESSION_KEY);
+    if (!saved) return;
+
+    try {
+        const { token } = JSON.parse(saved);
+        sessionToken = token;
+
+        const response = await fetch(`${API_BASE}/users/me`, { headers: authHeaders() });
+        if (!response.ok) {
+            clearSession();
+            return;
+        }
+
+        const user = await response.json();
+        saveSession(token, {
+            id: user.id,
+            username: user.username,
+            reputationScore: user.reputationScore,
+            role: user.role
+        });
+        updateUserDisplay();
+        syncSocketSession();
+        loadDeals();
+        loadInbox();
+        loadSigningKey().catch(error => console.error('Signing key error:', error));
+    } catch (error) {
+        console.error('Session restore error:', error);
+        clearSession();
+    }
+}
+
+async function handleLogin(action) {
     const username = document.getElementById('username').value.trim();
-    if (!username) {
-        alert('Please enter a username');
+    const password = document.getElementById('password').value;
+    if (!username || !password) {
+        alert('Please enter a username and password');
         return;
     }
 
     try {
-        const response = await fetch(`${API_BASE}/users/register`, {
+        const response = await fetch(`${API_BASE}/users/${action}`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ username })
+            body: JSON.stringify({ username, password })
         });
 
         const data = await response.json();
 
         if (response.ok) {
-            currentUser = data.user;
+            saveSession(data.token, data.user);
+            signingKey = null;
             updateUserDisplay();
+            syncSocketSession();
+            loadDeals();
+            loadInbox();
+            loadSigningKey().catch(error => console.error('Signing key error:', error));
             alert(`Welcome, ${username}!`);
         } else {
-            alert(data.error || 'Login failed');
+            alert(requestError(response, data, 'Login failed'));
         }
     } catch (error) {
         console.error('Login error:', error);
@@ -152,11 +326,26 @@ async function handleLogin() {
     }
 }
 
-function handleLogout() {
-    currentUser = null;
+async function handleLogout() {
+    try {
+        await fetch(`${API_BASE}/users/logout`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+
+    clearSession();
+    syncSocketSession();
     document.getElementById('loginForm').classList.remove('hidden');
     document.getElementById('userInfo').classList.add('hidden');
     document.getElementById('username').value = '';
+    document.getElementById('password').value = '';
+    updateInboxBadge(0);
+    document.getElementById('inboxList').innerHTML = '<p style="color: #666; font-size: 14px;">Login to see your alert inbox.</p>';
+    updateRoleControls();
+    loadDeals();
 }
 
 function updateUserDisplay() {
@@ -167,6 +356,36 @@ function updateUserDisplay() {
         document.getElementById('loginForm').classList.add('hidden');
         document.getElementById('userInfo').classList.remove('hidden');
     }
+    updateRoleControls();
+}
+
+// user < moderator < admin, as on the server
+const ROLES = ['user', 'moderator', 'admin'];
+
+function hasRole(role) {
+    return Boolean(currentUser) && ROLES.indexOf(currentUser.role || 'user') >= ROLES.indexOf(role);
+}
+
+function isModerator() {
+    return hasRole('moderator');
+}
+
+// Admins switch modes; moderators and admins get the moderation tab
+function updateRoleControls() {
+    document.getElementById('toggleModeBtn').classList.toggle('hidden', !hasRole('admin'));
+    document.getElementById('adminTabBtn').classList.toggle('hidden', !isModerator());
+    if (!isModerator() && document.getElementById('adminTabBtn').classList.contains('active')) {
+        switchTab('deals');
+    }
+}
+
+// Error text for a failed request; throttled requests say when to retry
+function requestError(response, data, fallback) {
+    if (response.status === 429) {
+        const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 1;
+        return `⏳ ${data.error || 'Too many requests'}. Try again in ${formatMilliseconds(retryAfter * 1000)}.`;
+    }
+    return data.error || fallback;
 }
 
 // = CHANGE MODE =
@@ -181,19 +400,37 @@ async function loadConfig() {
     }
 }
 
+// The toggle cycles through the modes in this order
+const MODES = {
+    centralized: { label: 'Centralized Mode', next: 'decentralized' },
+    decentralized: { label: 'Decentralized Mode', next: 'hybrid' },
+    hybrid: { label: 'Hybrid Mode', next: 'centralized' }
+};
+
+// Hybrid runs both pipelines, so it shows both sets of controls
+function modeUsesPromotion() {
+    return currentMode === 'centralized' || currentMode === 'hybrid';
+}
+
+function modeUsesConsensus() {
+    return currentMode === 'decentralized' || currentMode === 'hybrid';
+}
+
 async function toggleMode() {
-    const newMode = currentMode === 'centralized' ? 'decentralized' : 'centralized';
+    const newMode = MODES[currentMode].next;
 
     try {
         const response = await fetch(`${API_BASE}/config/mode`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders(),
             body: JSON.stringify({ mode: newMode })
         });
 
+        const data = await response.json();
         if (response.ok) {
-            const data = await response.json();
             updateModeDisplay(data.config.mode);
+        } else {
+            alert(requestError(response, data, 'Failed to toggle mode'));
         }
     } catch (error) {
         console.error('Error toggling mode:', error);
@@ -206,15 +443,9 @@ function updateModeDisplay(mode) {
     const modeDisplay = document.getElementById('currentMode');
     const toggleBtn = document.getElementById('toggleModeBtn');
 
-    if (mode === 'centralized') {
-        modeDisplay.textContent = 'Centralized Mode';
-        modeDisplay.className = 'mode-badge mode-centralized';
-        toggleBtn.textContent = 'Switch to Decentralized';
-    } else {
-        modeDisplay.textContent = 'Decentralized Mode';
-        modeDisplay.className = 'mode-badge mode-decentralized';
-        toggleBtn.textContent = 'Switch to Centralized';
-    }
+    modeDisplay.textContent = MODES[mode].label;
+    modeDisplay.className = `mode-badge mode-${mode}`;
+    toggleBtn.textContent = `Switch to ${MODES[MODES[mode].next].label.replace(' Mode', '')}`;
 }
 
 // = DEALS =
@@ -232,24 +463,40 @@ async function handleSubmitDeal(e) {
         price: document.getElementById('dealPrice').value,
         originalPrice: document.getElementById('dealOriginalPrice').value,
         url: document.getElementById('dealUrl').value,
+        sku: document.getElementById('dealSku').value,
         productCategory: document.getElementById('dealCategory').value,
-        submittedBy: currentUser.id
+        expiresAt: null
     };
 
+    // datetime-local is in the browser's timezone; send an absolute time
+    const expiresAt = document.getElementById('dealExpiresAt').value;
+    if (expiresAt) {
+        deal.expiresAt = new Date(expiresAt).toISOString();
+    }
+
     try {
-        const response = await fetch(`${API_BASE}/deals`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(deal)
-        });
+        let response = await postDeal(deal);
+        let data = response.ok ? null : await response.json();
+
+        // A similar title may be another size or model of the same product
+        if (data && data.reason === 'title' &&
+            confirm(`${data.error}: "${data.deal.title}" at $${data.deal.price.toFixed(2)}. Is yours a different product?`)) {
+            response = await postDeal({ ...deal, distinct: true });
+            data = response.ok ? null : await response.json();
+        }
 
         if (response.ok) {
             alert('Deal submitted successfully!');
             document.getElementById('submitDealForm').reset();
             switchTab('deals');
         } else {
-            const data = await response.json();
-            alert(data.error || 'Failed to submit deal');
+            if (data.duplicateOf) {
+                alert(`${data.error}: "${data.deal.title}" at $${data.deal.price.toFixed(2)}. Verify or vote on that deal instead.`);
+                switchTab('deals');
+                document.getElementById(`deal-${data.duplicateOf}`)?.scrollIntoView({ behavior: 'smooth' });
+            } else {
+                alert(requestError(response, data, 'Failed to submit deal'));
+            }
         }
     } catch (error) {
         console.error('Error submitting deal:', error);
@@ -257,26 +504,127 @@ async function handleSubmitDeal(e) {
     }
 }
 
+function postDeal(deal) {
+    return fetch(`${API_BASE}/deals`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(deal)
+    });
+}
+
+// Query string for the current search, filters and sort
+function dealQueryParams() {
+    const params = new URLSearchParams();
+    const fields = {
+        q: 'dealSearch',
+        category: 'filterCategory',
+        status: 'filterStatus',
+        minPrice: 'filterMinPrice',
+        maxPrice: 'filterMaxPrice',
+        minDiscount: 'filterMinDiscount',
+        sort: 'filterSort'
+    };
+
+    Object.entries(fields).forEach(([name, elementId]) => {
+        const value = document.getElementById(elementId).value.trim();
+        if (value) params.set(name, value);
+    });
+
+    if (document.getElementById('filterSubmitter').value === 'me' && currentUser) {
+        params.set('submittedBy', currentUser.id);
+    }
+    return params;
+}
+
+// New deals only belong at the top of an unfiltered, newest-first feed
+function isDefaultDealView() {
+    const params = dealQueryParams();
+    return Array.from(params.keys()).every(name => name === 'sort') &&
+        (params.get('sort') || 'newest') === 'newest';
+}
+
+async function fetchDealsPage(cursor) {
+    const params = dealQueryParams();
+    if (cursor) params.set('cursor', cursor);
+
+    const response = await fetch(`${API_BASE}/deals?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to load deals');
+    }
+    return data;
+}
+
 async function loadDeals() {
+    const request = ++dealsRequest;
+    dealsLoading = true;
+
     try {
-        const response = await fetch(`${API_BASE}/deals`);
-        const deals = await response.json();
+        const page = await fetchDealsPage(null);
+        // Filters changed while this page was in flight
+        if (request !== dealsRequest) return;
+        dealsCursor = page.nextCursor;
 
         const dealsList = document.getElementById('dealsList');
         dealsList.innerHTML = '';
 
-        if (deals.length === 0) {
-            dealsList.innerHTML = '<p style="color: #666; text-align: center; padding: 40px;">No deals yet. Submit one to get started!</p>';
+        if (page.deals.length === 0) {
+            dealsList.innerHTML = isDefaultDealView() ?
+                '<p style="color: #666; text-align: center; padding: 40px;">No deals yet. Submit one to get started!</p>' :
+                '<p style="color: #666; text-align: center; padding: 40px;">No deals match your search.</p>';
             return;
         }
 
-        deals.forEach(deal => addDealToList(deal));
+        page.deals.forEach(deal => dealsList.appendChild(createDealCard(deal)));
     } catch (error) {
         console.error('Error loading deals:', error);
+    } finally {
+        if (request === dealsRequest) {
+            dealsLoading = false;
+            fillDealsViewport();
+        }
+    }
+}
+
+async function loadMoreDeals() {
+    if (dealsLoading || !dealsCursor) return;
+    const request = dealsRequest;
+    dealsLoading = true;
+
+    try {
+        const page = await fetchDealsPage(dealsCursor);
+        // A new search replaced the list this page continues
+        if (request !== dealsRequest) return;
+        dealsCursor = page.nextCursor;
+
+        const dealsList = document.getElementById('dealsList');
+        page.deals.forEach(deal => {
+            if (!document.getElementById(`deal-${deal.id}`)) {
+                dealsList.appendChild(createDealCard(deal));
+            }
+        });
+    } catch (error) {
+        console.error('Error loading more deals:', error);
+    } finally {
+        if (request === dealsRequest) {
+            dealsLoading = false;
+            fillDealsViewport();
+        }
+    }
+}
+
+// The observer only fires on changes, so keep paging while the sentinel stays visible
+function fillDealsViewport() {
+    const sentinel = document.getElementById('dealsSentinel');
+    if (dealsCursor && sentinel.offsetParent !== null &&
+        sentinel.getBoundingClientRect().top < window.innerHeight) {
+        loadMoreDeals();
     }
 }
 
 function addDealToList(deal) {
+    if (!isDefaultDealView()) return;
+
     const dealsList = document.getElementById('dealsList');
 
     // Remove "no deals" message if present
@@ -314,38 +662,143 @@ function createDealCard(deal) {
     const statusClass = `status-${deal.status}`;
     const statusText = deal.status.charAt(0).toUpperCase() + deal.status.slice(1);
 
+    const consensusHTML = deal.consensus ? `
+        <span class="confidence">
+            ${Math.round(deal.consensus.confidence * 100)}% ${deal.consensus.leading}
+            (weight ${deal.consensus.validWeight} / ${deal.consensus.invalidWeight})
+            ${deal.consensus.flaggedCount ? `, ${deal.consensus.flaggedCount} flagged verdict${deal.consensus.flaggedCount === 1 ? '' : 's'} discounted` : ''}
+        </span>
+    ` : '';
+
+    const discarded = new Map((deal.consensus?.discarded || []).map(d => [d.verificationId, d.reason]));
     const verificationsHTML = deal.verifications.length > 0 ? `
         <div class="verifications">
-            <strong>Verifications (${deal.verifications.length}):</strong>
+            <strong>Verifications (${deal.verifications.length})${deal.round > 1 ? `, round ${deal.round}` : ''}:</strong>
+            ${consensusHTML}
+            ${evidenceSummaryHTML(deal)}
             ${deal.verifications.map(v => `
                 <div class="verification-item ${v.verdict === 'valid' ? 'verification-valid' : 'verification-invalid'}">
-                    ${v.verdict === 'valid' ? '✓' : '✗'} ${v.verifierUsername}: ${v.verdict}
-                    ${v.evidence ? `- "${v.evidence}"` : ''}
+                    ${v.verdict === 'valid' ? '✓' : '✗'} ${escapeHtml(v.verifierUsername)}: ${v.verdict}
+                    ${discarded.has(v.id) ? `<span class="evidence-discarded">(discarded: ${discarded.get(v.id)})</span>` : ''}
+                    ${describeEvidence(v.evidence)}
+                </div>
+            `).join('')}
+        </div>
+    ` : '';
+
+    const priceHistory = deal.priceHistory || [];
+    const priceHistoryHTML = priceHistory.length > 1 ? `
+        <div class="verifications">
+            <strong>Price History:</strong>
+            ${priceHistory.map(entry => `
+                <div class="verification-item">
+                    $${entry.price.toFixed(2)}
+                    ${entry.previousPrice !== null ? `(was $${entry.previousPrice.toFixed(2)})` : '(submitted)'}
+                    - ${formatTime(entry.timestamp)}
+                </div>
+            `).join('')}
+        </div>
+    ` : '';
+
+    const expiredReports = (deal.reports || []).filter(r => r.type === 'expired').length;
+    const lifecycleHTML = deal.status === 'expired' ? `
+        <span>⌛ Expired ${formatTime(deal.expiredAt)}${deal.expiredReason ? ` (${deal.expiredReason})` : ''}</span>
+    ` : `
+        ${deal.expiresAt ? `<span>⌛ Expires ${new Date(deal.expiresAt).toLocaleString()}</span>` : ''}
+        ${expiredReports > 0 ? `<span>⚠️ ${expiredReports} expired report${expiredReports === 1 ? '' : 's'}</span>` : ''}
+    `;
+
+    const reportHTML = deal.status !== 'expired' ? `
+        <button onclick="reportDeal('${deal.id}', 'expired')" class="btn-secondary">💀 Report Expired</button>
+        <button onclick="reportDeal('${deal.id}', 'price_changed')" class="btn-secondary">💲 Price Changed</button>
+    ` : '';
+
+    const mergedHTML = deal.status === 'merged' ? `
+        <div class="verifications">
+            Duplicate of <a href="#deal-${deal.duplicateOf}">another deal</a>; its votes and verifications were merged there.
+        </div>
+    ` : '';
+
+    // Each dispute reopened the deal for a new round of verifications
+    const disputes = deal.disputes || [];
+    const disputesHTML = disputes.length > 0 ? `
+        <div class="verifications">
+            <strong>Disputes:</strong>
+            ${disputes.map(d => `
+                <div class="verification-item dispute-item">
+                    ⚖️ ${escapeHtml(d.username)} disputed "${d.previousOutcome}" (${d.stake} rep staked) - ${formatTime(d.openedAt)}
+                    <span class="evidence-detail">"${escapeHtml(d.reason)}"</span>
+                    <span class="evidence-detail">${d.outcome ? `Round ${d.round}: ${d.outcome}` : `Round ${d.round} in progress`}</span>
                 </div>
             `).join('')}
         </div>
     ` : '';
 
-    const actionsHTML = currentUser ? `
+    const consensusStatus = deal.outcomes?.consensus.status;
+    const canDispute = modeUsesConsensus() && deal.status !== 'expired' &&
+        (consensusStatus === 'verified' || consensusStatus === 'rejected');
+    const disputeHTML = canDispute ? `
+        <button onclick="disputeDeal('${deal.id}', '${consensusStatus}')" class="btn-secondary">⚖️ Dispute</button>
+    ` : '';
+
+    // Moderators see hidden deals, everyone sees the lock and any override
+    const moderationHTML = [
+        deal.hidden ? `🚫 Hidden by ${escapeHtml(deal.hidden.moderatorUsername)}: ${escapeHtml(deal.hidden.reason)}` : '',
+        deal.locked ? `🔒 Locked by ${escapeHtml(deal.locked.moderatorUsername)}: ${escapeHtml(deal.locked.reason)}` : '',
+        deal.override ? `⚖️ ${escapeHtml(deal.override.moderatorUsername)} set the outcome to ${deal.override.outcome}: ${escapeHtml(deal.override.reason)}` : ''
+    ].filter(Boolean).map(note => `<span class="moderation-note">${note}</span>`).join('');
+
+    const voters = deal.voters || [];
+    const myVote = voters.find(v => v.userId === currentUser?.id)?.direction || '';
+    const votersHTML = voters.length > 0 ? `
+        <div class="verifications">
+            <strong>Score ${deal.votes}</strong>
+            <span class="voter-list">
+                ${voters.map(v => `${escapeHtml(v.username)} ${v.direction === 'up' ? '👍' : '👎'}`).join(', ')}
+            </span>
+        </div>
+    ` : '';
+
+    // In hybrid mode each pipeline's outcome is shown next to the other
+    const outcomes = deal.outcomes;
+    const outcomesHTML = currentMode === 'hybrid' && outcomes ? `
+        <div class="verifications">
+            <strong>Outcomes:</strong>
+            <span class="outcome">📈 Promotion: ${outcomes.promotion.status}</span>
+            <span class="outcome">🛡️ Consensus: ${outcomes.consensus.status}</span>
+        </div>
+    ` : '';
+
+    const actionsHTML = currentUser && deal.status !== 'merged' && !deal.locked && !deal.hidden ? `
         <div class="deal-actions">
-            ${currentMode === 'centralized' ?
-                `<button onclick="voteDeal('${deal.id}')" class="btn-success">👍 Vote (${deal.votes || 0})</button>` :
-                `<button onclick="verifyDeal('${deal.id}', 'valid')" class="btn-success">✓ Valid</button>
-                 <button onclick="verifyDeal('${deal.id}', 'invalid')" class="btn-danger">✗ Invalid</button>`
+            ${modeUsesPromotion() ?
+                `<button onclick="voteDeal('${deal.id}', 'up', '${myVote}')" class="btn-success ${myVote === 'up' ? 'vote-active' : ''}">👍 ${deal.upvotes || 0}</button>
+                 <button onclick="voteDeal('${deal.id}', 'down', '${myVote}')" class="btn-danger ${myVote === 'down' ? 'vote-active' : ''}">👎 ${deal.downvotes || 0}</button>` : ''
             }
-            <button onclick="window.open('${deal.url}', '_blank')">🔗 View Deal</button>
+            ${modeUsesConsensus() ?
+                `<button onclick="verifyDeal('${deal.id}', 'valid', ${deal.round || 1})" class="btn-success">✓ Valid</button>
+                 <button onclick="verifyDeal('${deal.id}', 'invalid', ${deal.round || 1})" class="btn-danger">✗ Invalid</button>` : ''
+            }
+            <button onclick="window.open(this.dataset.url, '_blank')" data-url="${escapeHtml(deal.url)}">🔗 View Deal</button>
+            <button onclick="auditDeal('${deal.id}')" title="Check this deal's status against the signed verdicts in the audit log">🔏 Audit</button>
+            ${deal.productId ? `<button onclick="togglePriceHistory('${deal.id}', '${deal.productId}')">📈 Price History</button>` : ''}
+            ${reportHTML}
+            ${disputeHTML}
         </div>
     ` : '';
 
     card.innerHTML = `
         <div class="deal-header">
             <div>
-                <div class="deal-title">${deal.title}</div>
+                <div class="deal-title">${escapeHtml(deal.title)}</div>
                 <div class="deal-meta">
-                    <span>📁 ${deal.productCategory}</span>
-                    <span>👤 ${deal.submittedByUsername}</span>
+                    <span>📁 ${escapeHtml(deal.productCategory)}</span>
+                    <span>👤 ${escapeHtml(deal.submittedByUsername)}</span>
+                    ${deal.origin ? `<span title="Submitted on peer ${escapeHtml(deal.origin.url)}">🔗 ${escapeHtml(deal.origin.nodeId)}</span>` : ''}
                     <span>🕐 ${formatTime(deal.timestamp)}</span>
+                    ${lifecycleHTML}
                 </div>
+                ${moderationHTML}
             </div>
             <span class="status-badge ${statusClass}">${statusText}</span>
         </div>
@@ -353,32 +806,48 @@ function createDealCard(deal) {
             <span class="current-price">$${deal.price.toFixed(2)}</span>
             ${deal.originalPrice ? `<span class="original-price">$${deal.originalPrice.toFixed(2)}</span>` : ''}
             ${discount > 0 ? `<span class="discount">${discount}% OFF</span>` : ''}
+            ${priceScoreHTML(deal.priceScore)}
         </div>
+        <div id="price-history-${deal.id}" class="verifications hidden"></div>
+        ${outcomesHTML}
+        ${votersHTML}
         ${verificationsHTML}
+        ${disputesHTML}
+        ${priceHistoryHTML}
+        ${mergedHTML}
         ${actionsHTML}
+        ${moderatorActionsHTML(deal)}
     `;
 
     return card;
 }
 
-async function voteDeal(dealId) {
+// Clicking your current direction retracts the vote, the other direction changes it
+async function voteDeal(dealId, direction, currentDirection) {
     if (!currentUser) {
         alert('Please login first');
         return;
     }
 
+    let method = 'POST';
+    if (currentDirection === direction) {
+        method = 'DELETE';
+    } else if (currentDirection) {
+        method = 'PUT';
+    }
+
     try {
         const response = await fetch(`${API_BASE}/deals/${dealId}/vote`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: currentUser.id })
+            method,
+            headers: authHeaders(),
+            body: method === 'DELETE' ? undefined : JSON.stringify({ direction })
         });
 
         if (response.ok) {
             // Deal will be updated via WebSocket
         } else {
             const data = await response.json();
-            alert(data.error || 'Failed to vote');
+            alert(requestError(response, data, 'Failed to vote'));
         }
     } catch (error) {
         console.error('Error voting:', error);
@@ -386,34 +855,597 @@ async function voteDeal(dealId) {
     }
 }
 
-async function verifyDeal(dealId, verdict) {
+// = VERIFICATION EVIDENCE =
+
+const CHECKLIST_LABELS = {
+    inStock: 'in stock',
+    priceMatches: 'price matches',
+    couponWorks: 'coupon works'
+};
+
+// One verification's evidence; older verifications only have a text note
+function describeEvidence(evidence) {
+    if (!evidence) return '';
+    if (typeof evidence === 'string') {
+        return `<span class="evidence-detail">"${escapeHtml(evidence)}"</span>`;
+    }
+
+    const where = [evidence.store, evidence.region].filter(Boolean).map(escapeHtml).join(', ');
+    const parts = [
+        evidence.observedPrice !== null ? `saw $${evidence.observedPrice.toFixed(2)}` : '',
+        evidence.checkedAt ? `on ${new Date(evidence.checkedAt).toLocaleDateString()}` : '',
+        where ? `at ${where}` : '',
+        evidence.couponCode ? `coupon ${escapeHtml(evidence.couponCode)}` : '',
+        ...Object.entries(CHECKLIST_LABELS)
+            .filter(([item]) => evidence.checklist[item] !== null)
+            .map(([item, label]) => `${evidence.checklist[item] ? '✓' : '✗'} ${label}`),
+        ...evidence.attachments.map(a => `<a href="${escapeHtml(API_BASE.replace(/\/api$/, '') + a.url)}" target="_blank">📷 screenshot</a>`)
+    ].filter(Boolean);
+
+    return `
+        ${parts.length > 0 ? `<span class="evidence-detail">${parts.join(' · ')}</span>` : ''}
+        ${evidence.notes ? `<span class="evidence-detail">"${escapeHtml(evidence.notes)}"</span>` : ''}
+    `;
+}
+
+// Observed price range and checklist answers across all verifications
+function evidenceSummaryHTML(deal) {
+    const evidence = deal.verifications.map(v => v.evidence).filter(e => e && typeof e === 'object');
+    const prices = evidence.map(e => e.observedPrice).filter(price => price !== null);
+
+    const parts = [];
+    if (prices.length > 0) {
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+        parts.push(`Observed ${low === high ? `$${low.toFixed(2)}` : `$${low.toFixed(2)}-$${high.toFixed(2)}`} (${prices.length} report${prices.length === 1 ? '' : 's'})`);
+    }
+    Object.entries(CHECKLIST_LABELS).forEach(([item, label]) => {
+        const answers = evidence.map(e => e.checklist[item]).filter(answer => answer !== null);
+        if (answers.length > 0) {
+            parts.push(`${label} ${answers.filter(Boolean).length}/${answers.length}`);
+        }
+    });
+
+    return parts.length > 0 ? `<span class="evidence-summary">📋 ${parts.join(' · ')}</span>` : '';
+}
+
+// Opens the evidence form; handleVerifySubmit sends it
+function verifyDeal(dealId, verdict, round) {
     if (!currentUser) {
         alert('Please login first');
         return;
     }
 
-    const evidence = prompt(`Why is this deal ${verdict}? (optional)`);
+    document.getElementById('verifyForm').reset();
+    document.getElementById('verifyDealId').value = dealId;
+    document.getElementById('verifyVerdict').value = verdict;
+    document.getElementById('verifyRound').value = round;
+    document.getElementById('verifyTitle').textContent = verdict === 'valid' ? '✓ Verify as Valid' : '✗ Verify as Invalid';
+    document.getElementById('evidenceCheckedAt').value = new Date().toISOString().slice(0, 10);
+    document.getElementById('verifyDialog').showModal();
+}
+
+async function uploadEvidenceImage(file) {
+    const response = await fetch(`${API_BASE}/uploads`, {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': file.type },
+        body: file
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(requestError(response, data, 'Failed to upload screenshot'));
+    }
+    return data.upload.id;
+}
+
+async function handleVerifySubmit(e) {
+    e.preventDefault();
+
+    const dealId = document.getElementById('verifyDealId').value;
+    const verdict = document.getElementById('verifyVerdict').value;
+    const round = Number(document.getElementById('verifyRound').value);
+    const image = document.getElementById('evidenceImage').files[0];
+
+    const evidence = {
+        observedPrice: document.getElementById('evidenceObservedPrice').value,
+        checkedAt: document.getElementById('evidenceCheckedAt').value,
+        store: document.getElementById('evidenceStore').value,
+        region: document.getElementById('evidenceRegion').value,
+        couponCode: document.getElementById('evidenceCouponCode').value,
+        checklist: {
+            inStock: document.getElementById('evidenceInStock').value,
+            priceMatches: document.getElementById('evidencePriceMatches').value,
+            couponWorks: document.getElementById('evidenceCouponWorks').value
+        },
+        notes: document.getElementById('evidenceNotes').value,
+        attachments: []
+    };
 
     try {
+        if (image) {
+            evidence.attachments.push(await uploadEvidenceImage(image));
+        }
+
+        const signature = await signVerdict({ dealId, round, verdict, evidence });
         const response = await fetch(`${API_BASE}/deals/${dealId}/verify`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders(),
             body: JSON.stringify({
-                userId: currentUser.id,
                 verdict,
-                evidence
+                evidence,
+                signature
             })
         });
 
         if (response.ok) {
             // Deal will be updated via WebSocket
+            document.getElementById('verifyDialog').close();
         } else {
             const data = await response.json();
-            alert(data.error || 'Failed to verify');
+            alert(requestError(response, data, 'Failed to verify'));
         }
     } catch (error) {
         console.error('Error verifying:', error);
-        alert('Failed to verify');
+        alert(error.message || 'Failed to verify');
+    }
+}
+
+async function reportDeal(dealId, type) {
+    if (!currentUser) {
+        alert('Please login first');
+        return;
+    }
+
+    const report = { type };
+    if (type === 'price_changed') {
+        const newPrice = prompt('What is the price now?');
+        if (!newPrice) return;
+        report.newPrice = newPrice;
+    } else if (!confirm('Report this deal as expired?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/deals/${dealId}/report`, {
+            method: 'POST',
+            headers: authHeaders(),
+            body: JSON.stringify(report)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            alert(requestError(response, data, 'Failed to report deal'));
+        } else if (type === 'price_changed' && data.report.appliedAt === null) {
+            alert('Thanks! The price changes once enough other users report the same price.');
+        }
+        // Deal will be updated via WebSocket
+    } catch (error) {
+        console.error('Error reporting deal:', error);
+        alert('Failed to report deal');
+    }
+}
+
+// = SIGNED VERDICTS =
+
+// Each browser holds an ECDSA P-256 key pair per user and signs every
+// verdict. The private key is a non-extractable CryptoKey kept in IndexedDB,
+// so page scripts can sign with it but never read it; the server only ever
+// sees the public key.
+const SIGNING_KEY_DB = 'dealbuster';
+const SIGNING_KEY_STORE = 'signingKeys';
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+let signingKey = null; // { keyId, privateKey } for currentUser
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+// Same as the server's canonicalJson(): keys sorted so both sides sign the same bytes
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Run one request against the key store: run(store) returns the IDBRequest
+function keyStoreRequest(mode, run) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(SIGNING_KEY_DB, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(SIGNING_KEY_STORE, { keyPath: 'userId' });
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const db = open.result;
+            const transaction = db.transaction(SIGNING_KEY_STORE, mode);
+            const request = run(transaction.objectStore(SIGNING_KEY_STORE));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
+
+// { userId, publicKey, privateKey } with a private key that cannot be exported
+async function newSigningKey() {
+    const pair = await crypto.subtle.generateKey(SIGNING_ALGORITHM, false, ['sign', 'verify']);
+    return {
+        userId: currentUser.id,
+        publicKey: toBase64(await crypto.subtle.exportKey('spki', pair.publicKey)),
+        privateKey: pair.privateKey
+    };
+}
+
+// Create the key pair on first sign-in from this browser; registering is
+// idempotent, so every sign-in makes sure the server has the public key
+async function loadSigningKey() {
+    let saved = await keyStoreRequest('readonly', store => store.get(currentUser.id));
+    if (!saved) {
+        saved = await newSigningKey();
+        await keyStoreRequest('readwrite', store => store.put(saved));
+    }
+
+    const response = await fetch(`${API_BASE}/users/me/keys`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ publicKey: saved.publicKey })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(requestError(response, data, 'Failed to register signing key'));
+    }
+
+    signingKey = { keyId: data.key.id, privateKey: saved.privateKey };
+}
+
+// The statement the server rebuilds and checks: see verdictStatement() in signatures.js
+async function signVerdict({ dealId, round, verdict, evidence }) {
+    if (!signingKey) await loadSigningKey();
+
+    const signedAt = Date.now();
+    const statement = { type: 'verification', dealId, round, verifierId: currentUser.id, verdict, evidence, signedAt };
+    const signature = await crypto.subtle.sign(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        signingKey.privateKey,
+        new TextEncoder().encode(canonicalJson(statement))
+    );
+    return { keyId: signingKey.keyId, signedAt, value: toBase64(signature) };
+}
+
+// Replays the deal from the audit log on the server; scripts/verifyAudit.js does the same offline
+async function auditDeal(dealId) {
+    try {
+        const response = await fetch(`${API_BASE}/audit/deals/${dealId}`);
+        const report = await response.json();
+        const lines = [
+            report.chain.valid ?
+                `Audit log intact (${report.chain.length} entries)` :
+                `Audit log broken at entry ${report.chain.brokenAt}`
+        ];
+        if (report.found) {
+            const signed = report.verdicts.filter(v => v.signature === 'valid').length;
+            lines.push(`Status: ${report.status}${report.decidedBy === 'moderator' ? ' (moderator override)' : ''}`);
+            lines.push(`${signed} of ${report.verdicts.length} verdicts carry a valid signature`);
+            if (report.recomputed) {
+                lines.push(`Replaying the signed verdicts gives: ${report.recomputed.outcome}`);
+            }
+        }
+        lines.push(report.consistent ? '✓ Status follows from the signed verdicts' : '✗ Problems:');
+        report.problems.forEach(problem => lines.push(`  - ${problem}`));
+        (report.warnings || []).forEach(warning => lines.push(`  ! ${warning}`));
+        alert(lines.join('\n'));
+    } catch (error) {
+        console.error('Error auditing deal:', error);
+        alert('Failed to audit deal');
+    }
+}
+
+// Stakes reputation to reopen a verified or rejected deal for a bigger round
+async function disputeDeal(dealId, outcome) {
+    if (!currentUser) {
+        alert('Please login first');
+        return;
+    }
+
+    const reason = prompt(`Why is "${outcome}" wrong?`);
+    if (!reason) return;
+    if (!confirm('Disputing stakes reputation, returned with a reward only if the new round overturns the outcome. Continue?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/deals/${dealId}/dispute`, {
+            method: 'POST',
+            headers: authHeaders(),
+            body: JSON.stringify({ reason })
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            alert(requestError(response, data, 'Failed to dispute deal'));
+        }
+        // Deal will be updated via WebSocket
+    } catch (error) {
+        console.error('Error disputing deal:', error);
+        alert('Failed to dispute deal');
+    }
+}
+
+// = PRICE HISTORY =
+
+// "Is this a good price?" from the deal's score against the product's earlier prices
+function priceScoreHTML(score) {
+    if (!score || !score.rating) return '';
+
+    const median = `median $${score.median.toFixed(2)} over ${score.samples} prices in ${score.windowDays} days`;
+    let label;
+    if (score.rating === 'new-low') {
+        label = '📉 New all-time low';
+    } else if (score.rating !== 'high' && score.lowestInDays >= 7) {
+        label = `📉 Lowest in ${score.lowestInDays} days`;
+    } else if (score.percentBelowMedian >= 0) {
+        label = `${Math.round(score.percentBelowMedian)}% below median`;
+    } else {
+        label = `${Math.round(-score.percentBelowMedian)}% above median`;
+    }
+    return `<span class="price-score price-score-${score.rating}" title="${median}">${label}</span>`;
+}
+
+async function togglePriceHistory(dealId, productId) {
+    const container = document.getElementById(`price-history-${dealId}`);
+    if (!container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/products/${productId}/history`);
+        const report = await response.json();
+        if (!response.ok) {
+            alert(requestError(response, report, 'Failed to load price history'));
+            return;
+        }
+
+        const { summary } = report;
+        container.innerHTML = `
+            <strong>Price History (${report.deals.length} deal${report.deals.length === 1 ? '' : 's'} for this product):</strong>
+            ${summary.count > 0 ? `
+                <span class="evidence-detail">
+                    Low $${summary.low.toFixed(2)}, median $${summary.median.toFixed(2)}, high $${summary.high.toFixed(2)}
+                    ${summary.allTimeLow ? `; lowest ever $${summary.allTimeLow.price.toFixed(2)} on ${new Date(summary.allTimeLow.timestamp).toLocaleDateString()}` : ''}
+                </span>
+            ` : ''}
+            <div class="chart">${priceHistorySVG(report.points)}</div>
+        `;
+        container.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading price history:', error);
+        alert('Failed to load price history');
+    }
+}
+
+// Every recorded price over time; verifier observations are drawn hollow
+function priceHistorySVG(points) {
+    if (points.length === 0) {
+        return '<p style="color: #666; font-size: 14px;">No prices in this window.</p>';
+    }
+
+    const prices = points.map(point => point.price);
+    const low = Math.min(...prices) * 0.95;
+    const range = Math.max(...prices) - low || 1;
+    const first = points[0].timestamp;
+    const span = points[points.length - 1].timestamp - first || 1;
+
+    const coordinates = points.map(point => [
+        CHART_LEFT + ((point.timestamp - first) / span) * (CHART_WIDTH - CHART_LEFT - 10),
+        chartY(point.price - low, range)
+    ]);
+
+    const dots = points.map((point, i) => {
+        const [x, y] = coordinates[i];
+        const observed = point.source === 'verification';
+        return `
+            <circle cx="${x}" cy="${y}" r="3" fill="${observed ? 'white' : '#339af0'}" stroke="#339af0">
+                <title>$${point.price.toFixed(2)} (${point.source}) - ${new Date(point.timestamp).toLocaleString()}</title>
+            </circle>
+        `;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="100%">
+            <line x1="${CHART_LEFT}" y1="${CHART_HEIGHT - CHART_BOTTOM}" x2="${CHART_WIDTH}" y2="${CHART_HEIGHT - CHART_BOTTOM}" stroke="#ccc" />
+            <text x="0" y="12">$${Math.max(...prices).toFixed(0)}</text>
+            <text x="0" y="${CHART_HEIGHT - CHART_BOTTOM}">$${low.toFixed(0)}</text>
+            <polyline points="${coordinates.map(([x, y]) => `${x},${y}`).join(' ')}" fill="none" stroke="#339af0" stroke-width="2" />
+            ${dots}
+            <text x="${CHART_LEFT}" y="${CHART_HEIGHT - 5}">${new Date(first).toLocaleDateString()}</text>
+            <text x="${CHART_WIDTH - 70}" y="${CHART_HEIGHT - 5}">${new Date(points[points.length - 1].timestamp).toLocaleDateString()}</text>
+        </svg>
+    `;
+}
+
+// = MODERATION =
+
+// POST/DELETE to a moderation endpoint; the server broadcasts deal changes
+async function moderationRequest(path, method, body, fallback) {
+    try {
+        const response = await fetch(`${API_BASE}/moderation/${path}`, {
+            method,
+            headers: authHeaders(),
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(requestError(response, data, fallback));
+            return null;
+        }
+        if (!document.getElementById('adminTab').classList.contains('hidden')) {
+            loadModeration();
+        }
+        return data;
+    } catch (error) {
+        console.error('Moderation error:', error);
+        alert(fallback);
+        return null;
+    }
+}
+
+function moderatorActionsHTML(deal) {
+    if (!isModerator() || deal.status === 'merged') return '';
+    return `
+        <div class="deal-actions">
+            <button onclick="moderateDeal('${deal.id}', '${deal.hidden ? 'unhide' : 'hide'}')" class="btn-secondary">${deal.hidden ? '👁️ Unhide' : '🚫 Hide'}</button>
+            <button onclick="moderateDeal('${deal.id}', '${deal.locked ? 'unlock' : 'lock'}')" class="btn-secondary">${deal.locked ? '🔓 Unlock' : '🔒 Lock'}</button>
+            <button onclick="overrideDeal('${deal.id}', 'verified')" class="btn-secondary">⚖️ Set Verified</button>
+            <button onclick="overrideDeal('${deal.id}', 'rejected')" class="btn-secondary">⚖️ Set Rejected</button>
+            <button onclick="deleteDeal('${deal.id}')" class="btn-danger">🗑️ Delete</button>
+        </div>
+    `;
+}
+
+async function moderateDeal(dealId, action) {
+    const body = {};
+    if (action === 'hide' || action === 'lock') {
+        body.reason = prompt(`Why ${action} this deal?`);
+        if (!body.reason) return;
+    }
+    const data = await moderationRequest(`deals/${dealId}/${action}`, 'POST', body, `Failed to ${action} deal`);
+    if (data) {
+        updateDealInList(data.deal);
+        // Unhidden deals are not on the feed's default view yet
+        if (action === 'unhide') addDealToList(data.deal);
+    }
+}
+
+async function overrideDeal(dealId, outcome) {
+    const reason = prompt(`Why should this deal be ${outcome}?`);
+    if (!reason) return;
+    const data = await moderationRequest(`deals/${dealId}/override`, 'POST', { outcome, reason }, 'Failed to override outcome');
+    if (data) updateDealInList(data.deal);
+}
+
+async function deleteDeal(dealId) {
+    const reason = prompt('Why delete this deal? This cannot be undone.');
+    if (!reason) return;
+    const data = await moderationRequest(`deals/${dealId}`, 'DELETE', { reason }, 'Failed to delete deal');
+    if (data) document.getElementById(`deal-${dealId}`)?.remove();
+}
+
+async function moderateUser(userId, action) {
+    const body = {};
+    if (action === 'suspend') {
+        body.hours = prompt('Suspend for how many hours?', '24');
+        if (!body.hours) return;
+    }
+    if (action !== 'reinstate') {
+        body.reason = prompt(`Why ${action} this account?`);
+        if (!body.reason) return;
+    }
+    await moderationRequest(`users/${userId}/${action}`, 'POST', body, `Failed to ${action} account`);
+}
+
+async function setUserRole(userId, role) {
+    try {
+        const response = await fetch(`${API_BASE}/admin/users/${userId}/role`, {
+            method: 'POST',
+            headers: authHeaders(),
+            body: JSON.stringify({ role })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            alert(requestError(response, data, 'Failed to change role'));
+            return;
+        }
+        loadModeration();
+    } catch (error) {
+        console.error('Error changing role:', error);
+        alert('Failed to change role');
+    }
+}
+
+function moderationAccountHTML(account) {
+    // Like the server: no acting on yourself or on peers and admins
+    const canModerate = account.id !== currentUser.id &&
+        ROLES.indexOf(account.role) < ROLES.indexOf(currentUser.role);
+    const status = account.suspended ?
+        (account.suspension.until === null ? '⛔ Banned' : `⏸️ Suspended until ${new Date(account.suspension.until).toLocaleString()}`) : '';
+    const roleButtons = hasRole('admin') ? (account.role === 'moderator' ?
+        `<button onclick="setUserRole('${account.id}', 'user')" class="btn-secondary">Remove Moderator</button>` :
+        `<button onclick="setUserRole('${account.id}', 'moderator')" class="btn-secondary">Make Moderator</button>`) : '';
+
+    return `
+        <div class="alert-item">
+            <p><strong>${escapeHtml(account.username)}</strong> (${account.role}) - reputation ${account.reputationScore}, ${account.verificationsCount} verifications</p>
+            ${account.collusionFlag ? `<p><strong>Flagged:</strong> ${account.collusionFlag.reasons.join(', ')} with ${account.collusionFlag.partners.length} account${account.collusionFlag.partners.length === 1 ? '' : 's'}</p>` : ''}
+            ${status ? `<p>${status}: ${escapeHtml(account.suspension.reason)}</p>` : ''}
+            ${canModerate ? `
+                <div class="deal-actions">
+                    ${account.suspended ?
+                        `<button onclick="moderateUser('${account.id}', 'reinstate')">Reinstate</button>` :
+                        `<button onclick="moderateUser('${account.id}', 'suspend')" class="btn-secondary">Suspend</button>
+                         <button onclick="moderateUser('${account.id}', 'ban')" class="btn-danger">Ban</button>`}
+                    ${roleButtons}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Compact entry for the moderation tab; the feed keeps the full card
+function flaggedDealHTML(deal) {
+    const reports = deal.reports.length;
+    return `
+        <div class="alert-item">
+            <p><strong>${escapeHtml(deal.title)}</strong> - $${deal.price.toFixed(2)}, ${deal.status}, by ${escapeHtml(deal.submittedByUsername)}</p>
+            ${reports > 0 ? `<p>⚠️ ${reports} report${reports === 1 ? '' : 's'}: ${deal.reports.map(r => r.type).join(', ')}</p>` : ''}
+            ${deal.hidden ? `<p>🚫 Hidden: ${escapeHtml(deal.hidden.reason)}</p>` : ''}
+            ${deal.locked ? `<p>🔒 Locked: ${escapeHtml(deal.locked.reason)}</p>` : ''}
+            ${moderatorActionsHTML(deal)}
+        </div>
+    `;
+}
+
+function moderationLogHTML(entry) {
+    return `
+        <div class="log-entry">
+            ${formatTime(entry.timestamp)} - <strong>${escapeHtml(entry.moderatorUsername)}</strong> ${entry.action}
+            ${entry.targetType} <strong>${escapeHtml(entry.targetLabel)}</strong>${entry.reason ? `: ${escapeHtml(entry.reason)}` : ''}
+        </div>
+    `;
+}
+
+async function loadModeration() {
+    try {
+        const [usersResponse, flaggedResponse, logResponse] = await Promise.all([
+            fetch(`${API_BASE}/moderation/users`, { headers: authHeaders() }),
+            fetch(`${API_BASE}/moderation/flagged`, { headers: authHeaders() }),
+            fetch(`${API_BASE}/moderation/log`, { headers: authHeaders() })
+        ]);
+        if (!usersResponse.ok || !flaggedResponse.ok || !logResponse.ok) return;
+        const { users } = await usersResponse.json();
+        const flagged = await flaggedResponse.json();
+        const { entries } = await logResponse.json();
+
+        const empty = text => `<p style="color: #666; font-size: 14px;">${text}</p>`;
+
+        document.getElementById('flaggedAccountsList').innerHTML = users.length > 0 ?
+            users.map(moderationAccountHTML).join('') : empty('No accounts yet.');
+
+        document.getElementById('flaggedDealsList').innerHTML = flagged.deals.length > 0 ?
+            flagged.deals.map(flaggedDealHTML).join('') : empty('No reported or moderated deals.');
+
+        document.getElementById('moderationLogList').innerHTML = entries.length > 0 ?
+            entries.map(moderationLogHTML).join('') : empty('No moderation actions yet.');
+    } catch (error) {
+        console.error('Error loading moderation:', error);
     }
 }
 
@@ -428,16 +1460,22 @@ async function handleCreateAlert(e) {
     }
 
     const alert = {
-        userId: currentUser.id,
-        productKeywords: document.getElementById('alertKeywords').value,
+        anyKeywords: document.getElementById('alertKeywords').value,
+        allKeywords: document.getElementById('alertAllKeywords').value,
+        excludedKeywords: document.getElementById('alertExcludedKeywords').value,
+        category: document.getElementById('alertCategory').value,
+        minPrice: document.getElementById('alertMinPrice').value,
         maxPrice: document.getElementById('alertMaxPrice').value,
-        minVerifications: document.getElementById('alertMinVerifications').value
+        minDiscountPercent: document.getElementById('alertMinDiscount').value,
+        minVerifications: document.getElementById('alertMinVerifications').value,
+        triggerOn: document.getElementById('alertTriggerOn').value,
+        newLowsOnly: document.getElementById('alertNewLowsOnly').value === 'true'
     };
 
     try {
         const response = await fetch(`${API_BASE}/alerts`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: authHeaders(),
             body: JSON.stringify(alert)
         });
 
@@ -447,7 +1485,7 @@ async function handleCreateAlert(e) {
             await loadUserAlerts();
         } else {
             const data = await response.json();
-            alert(data.error || 'Failed to create alert');
+            alert(requestError(response, data, 'Failed to create alert'));
         }
     } catch (error) {
         console.error('Error creating alert:', error);
@@ -459,7 +1497,9 @@ async function loadUserAlerts() {
     if (!currentUser) return;
 
     try {
-        const response = await fetch(`${API_BASE}/alerts/user/${currentUser.id}`);
+        const response = await fetch(`${API_BASE}/alerts/user/${currentUser.id}`, {
+            headers: authHeaders()
+        });
         const alerts = await response.json();
 
         const alertsList = document.getElementById('alertsList');
@@ -474,8 +1514,7 @@ async function loadUserAlerts() {
             const alertItem = document.createElement('div');
             alertItem.className = 'alert-item';
             alertItem.innerHTML = `
-                <p><strong>Keywords:</strong> ${alert.productKeywords}</p>
-                <p><strong>Max Price:</strong> $${alert.maxPrice}</p>
+                ${describeAlertRule(alert)}
                 <p><strong>Min Verifications:</strong> ${alert.minVerifications}</p>
                 <p><strong>Triggered:</strong> ${alert.triggered.length} times</p>
                 <button onclick="deleteAlert('${alert.id}')" class="btn-danger" style="margin-top: 10px;">Delete</button>
@@ -487,10 +1526,35 @@ async function loadUserAlerts() {
     }
 }
 
+function describeAlertRule(alert) {
+    const anyKeywords = alert.anyKeywords || [alert.productKeywords];
+    const lines = [];
+
+    if (anyKeywords.length > 0) lines.push(`<p><strong>Any of:</strong> ${anyKeywords.join(', ')}</p>`);
+    if (alert.allKeywords?.length > 0) lines.push(`<p><strong>All of:</strong> ${alert.allKeywords.join(', ')}</p>`);
+    if (alert.excludedKeywords?.length > 0) lines.push(`<p><strong>Excluding:</strong> ${alert.excludedKeywords.join(', ')}</p>`);
+    if (alert.category) lines.push(`<p><strong>Category:</strong> ${alert.category}</p>`);
+
+    if (alert.minPrice !== null && alert.minPrice !== undefined && alert.maxPrice !== null) {
+        lines.push(`<p><strong>Price:</strong> $${alert.minPrice} - $${alert.maxPrice}</p>`);
+    } else if (alert.maxPrice !== null && alert.maxPrice !== undefined) {
+        lines.push(`<p><strong>Max Price:</strong> $${alert.maxPrice}</p>`);
+    } else if (alert.minPrice !== null && alert.minPrice !== undefined) {
+        lines.push(`<p><strong>Min Price:</strong> $${alert.minPrice}</p>`);
+    }
+
+    if (alert.minDiscountPercent) lines.push(`<p><strong>Min Discount:</strong> ${alert.minDiscountPercent}%</p>`);
+    if (alert.newLowsOnly) lines.push('<p><strong>Only:</strong> new historical lows</p>');
+    lines.push(`<p><strong>Notify:</strong> ${alert.triggerOn === 'submission' ? 'on submission' : 'on verification/promotion'}</p>`);
+
+    return lines.join('');
+}
+
 async function deleteAlert(alertId) {
     try {
         const response = await fetch(`${API_BASE}/alerts/${alertId}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: authHeaders()
         });
 
         if (response.ok) {
@@ -501,6 +1565,118 @@ async function deleteAlert(alertId) {
     }
 }
 
+// = INBOX =
+
+async function loadInbox() {
+    if (!currentUser) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/notifications`, {
+            headers: authHeaders()
+        });
+        const notifications = await response.json();
+
+        updateInboxBadge(notifications.filter(n => !n.read).length);
+
+        const inboxList = document.getElementById('inboxList');
+        inboxList.innerHTML = '';
+
+        if (notifications.length === 0) {
+            inboxList.innerHTML = '<p style="color: #666; font-size: 14px;">No notifications yet.</p>';
+            return;
+        }
+
+        notifications.forEach(notification => {
+            const item = document.createElement('div');
+            item.className = `alert-item ${notification.read ? '' : 'inbox-unread'}`;
+            item.innerHTML = `
+                <p><strong>${notification.deal.title}</strong> at $${notification.deal.price.toFixed(2)}</p>
+                <p><strong>Triggered:</strong> ${formatTime(notification.timestamp)}</p>
+                <p><strong>Latency:</strong> ${formatMilliseconds(notification.latency)}</p>
+                <p><strong>Delivered:</strong> ${notification.deliveredAt ? formatTime(notification.deliveredAt) : 'not yet (you were offline)'}</p>
+                <div class="deal-actions">
+                    ${notification.read ? '' : `<button onclick="markNotificationRead('${notification.id}')">Mark Read</button>`}
+                    <button onclick="window.open('${notification.deal.url}', '_blank')">🔗 View Deal</button>
+                    <button onclick="deleteNotification('${notification.id}')" class="btn-danger">Delete</button>
+                </div>
+            `;
+            inboxList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading inbox:', error);
+    }
+}
+
+function updateInboxBadge(unreadCount) {
+    const badge = document.getElementById('inboxBadge');
+    badge.textContent = unreadCount;
+    badge.classList.toggle('hidden', unreadCount === 0);
+}
+
+async function markNotificationRead(notificationId) {
+    try {
+        const response = await fetch(`${API_BASE}/notifications/${notificationId}/read`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+
+        if (response.ok) {
+            loadInbox();
+        }
+    } catch (error) {
+        console.error('Error marking notification read:', error);
+    }
+}
+
+async function markAllNotificationsRead() {
+    if (!currentUser) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/notifications/read`, {
+            method: 'POST',
+            headers: authHeaders()
+        });
+
+        if (response.ok) {
+            loadInbox();
+        }
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+    }
+}
+
+async function deleteNotification(notificationId) {
+    try {
+        const response = await fetch(`${API_BASE}/notifications/${notificationId}`, {
+            method: 'DELETE',
+            headers: authHeaders()
+        });
+
+        if (response.ok) {
+            loadInbox();
+        }
+    } catch (error) {
+        console.error('Error deleting notification:', error);
+    }
+}
+
+async function clearInbox() {
+    if (!currentUser || !confirm('Delete all notifications?')) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/notifications`, {
+            method: 'DELETE',
+            headers: authHeaders()
+        });
+
+        if (response.ok) {
+            loadInbox();
+        }
+    } catch (error) {
+        console.error('Error clearing inbox:', error);
+    }
+}
+
 // = METRICS =
 
 async function loadStats() {
@@ -511,7 +1687,8 @@ async function loadStats() {
         document.getElementById('statTotalDeals').textContent = stats.totalDeals;
         document.getElementById('statVerified').textContent =
             stats.verifiedDeals + stats.promotedDeals;
-        document.getElementById('statAvgTime').textContent =
+        document.getElementById('statAvgTime').textContent = currentMode === 'hybrid' ?
+            `${formatMilliseconds(stats.averagePromotionTime)} / ${formatMilliseconds(stats.averageVerificationTime)}` :
             formatMilliseconds(currentMode === 'centralized' ? stats.averagePromotionTime : stats.averageVerificationTime);
         document.getElementById('statUsers').textContent = stats.totalUsers;
     } catch (error) {
@@ -519,6 +1696,126 @@ async function loadStats() {
     }
 }
 
+// = DASHBOARD =
+
+const MODE_COLORS = {
+    centralized: '#ff6b6b',
+    decentralized: '#51cf66',
+    hybrid: '#845ef7'
+};
+
+const LATENCY_CHARTS = [
+    { metric: 'promotion', label: 'Submission → Promotion' },
+    { metric: 'verification', label: 'Submission → Verification' },
+    { metric: 'alert', label: 'Submission → Alert' }
+];
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 160;
+const CHART_LEFT = 40; // room for the axis label
+const CHART_BOTTOM = 20;
+
+async function loadDashboard() {
+    const params = new URLSearchParams({
+        window: document.getElementById('dashboardWindow').value,
+        buckets: 12
+    });
+    const category = document.getElementById('dashboardCategory').value;
+    if (category) params.set('category', category);
+
+    try {
+        const response = await fetch(`${API_BASE}/stats/latency?${params}`);
+        const report = await response.json();
+
+        document.getElementById('dashboardCharts').innerHTML = LATENCY_CHARTS.map(({ metric, label }) => `
+            <div class="chart-row">
+                <h3>${label}</h3>
+                <div class="chart">${percentileBarsSVG(report.summary[metric].byMode)}</div>
+                <div class="chart">${p90LineSVG(report.series, metric)}</div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading dashboard:', error);
+    }
+}
+
+// Modes that have data, in toggle order
+function chartModes(byMode) {
+    return Object.keys(MODES).filter(mode => byMode[mode]);
+}
+
+function chartSVG(content, maxValue) {
+    return `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="100%">
+            <line x1="${CHART_LEFT}" y1="${CHART_HEIGHT - CHART_BOTTOM}" x2="${CHART_WIDTH}" y2="${CHART_HEIGHT - CHART_BOTTOM}" stroke="#ccc" />
+            <text x="0" y="12">${formatMilliseconds(maxValue)}</text>
+            ${content}
+        </svg>
+    `;
+}
+
+function chartY(value, maxValue) {
+    const plotHeight = CHART_HEIGHT - CHART_BOTTOM - 15;
+    return CHART_HEIGHT - CHART_BOTTOM - (maxValue > 0 ? value / maxValue : 0) * plotHeight;
+}
+
+// p50 / p90 / p99 side by side for each mode
+function percentileBarsSVG(byMode) {
+    const modes = chartModes(byMode);
+    if (modes.length === 0) {
+        return '<p style="color: #666; font-size: 14px;">No data in this window.</p>';
+    }
+
+    const percentiles = ['p50', 'p90', 'p99'];
+    const maxValue = Math.max(...modes.map(mode => byMode[mode].p99));
+    const groupWidth = (CHART_WIDTH - CHART_LEFT) / percentiles.length;
+    const barWidth = groupWidth / (modes.length + 1);
+
+    const bars = percentiles.map((p, i) => {
+        const groupX = CHART_LEFT + i * groupWidth;
+        return modes.map((mode, j) => {
+            const value = byMode[mode][p];
+            const y = chartY(value, maxValue);
+            return `
+                <rect x="${groupX + (j + 0.5) * barWidth}" y="${y}" width="${barWidth * 0.9}"
+                      height="${CHART_HEIGHT - CHART_BOTTOM - y}" fill="${MODE_COLORS[mode]}">
+                    <title>${MODES[mode].label} ${p}: ${formatMilliseconds(value)} (${byMode[mode].count} deals)</title>
+                </rect>
+            `;
+        }).join('') + `<text x="${groupX + groupWidth / 2 - 8}" y="${CHART_HEIGHT - 5}">${p}</text>`;
+    }).join('');
+
+    return chartSVG(bars, maxValue);
+}
+
+// p90 per time bucket, one line per mode
+function p90LineSVG(series, metric) {
+    const modes = Object.keys(MODES).filter(mode => series.some(point => point[metric][mode]));
+    if (modes.length === 0) {
+        return '<p style="color: #666; font-size: 14px;">No data in this window.</p>';
+    }
+
+    const maxValue = Math.max(...series.flatMap(point => modes.map(mode => point[metric][mode]?.p90 || 0)));
+    const step = (CHART_WIDTH - CHART_LEFT - 10) / Math.max(1, series.length - 1);
+
+    const lines = modes.map(mode => {
+        const points = series
+            .map((point, i) => point[metric][mode] ? [CHART_LEFT + i * step, chartY(point[metric][mode].p90, maxValue)] : null)
+            .filter(Boolean);
+        return `
+            <polyline points="${points.map(([x, y]) => `${x},${y}`).join(' ')}" fill="none" stroke="${MODE_COLORS[mode]}" stroke-width="2" />
+            ${points.map(([x, y]) => `<circle cx="${x}" cy="${y}" r="3" fill="${MODE_COLORS[mode]}" />`).join('')}
+        `;
+    }).join('');
+
+    const axis = `
+        <text x="${CHART_LEFT}" y="${CHART_HEIGHT - 5}">${new Date(series[0].start).toLocaleTimeString()}</text>
+        <text x="${CHART_WIDTH - 60}" y="${CHART_HEIGHT - 5}">p90 over time</text>
+    `;
+
+    return chartSVG(lines + axis, maxValue);
+}
+
 // = NOTIFY =
 
 function showNotification(title, deal) {
@@ -557,6 +1854,33 @@ function showAlertNotification(notification) {
     }, 10000);
 }
 
+function showInboxReplay(notifications) {
+    const summary = document.createElement('div');
+    summary.className = 'notification';
+    summary.style.background = '#ff6b6b';
+    summary.innerHTML = `
+        <h3>🔔 ${notifications.length} unread alert${notifications.length === 1 ? '' : 's'}</h3>
+        ${notifications.slice(0, 3).map(n => `<p>${n.deal.title} at $${n.deal.price.toFixed(2)}</p>`).join('')}
+        <p>Open the Inbox tab to see them all.</p>
+    `;
+
+    document.body.appendChild(summary);
+
+    setTimeout(() => {
+        summary.remove();
+    }, 10000);
+}
+
+// For user-supplied text (titles, usernames, reasons, notes) put into innerHTML
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function formatTime(timestamp) {
     const seconds = Math.floor((Date.now() - timestamp) / 1000);
     if (seconds < 60) return `${seconds}s ago`;
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAlertIndex } = require('../src/backend/alertIndex');
+const { validateAlertRule, alertMatchesDeal } = require('../src/backend/alertRules');
+const { createRandom } = require('./helpers');
+
+let nextId = 1;
+function alert(body) {
+  return { id: `a${nextId++}`, ...validateAlertRule({ minVerifications: 0, ...body }).rule };
+}
+
+function deal(fields = {}) {
+  return { title: 'LG OLED C3 TV', productCategory: 'Electronics', price: 1200, originalPrice: 1800, verifications: [], ...fields };
+}
+
+test('match finds keyword, short keyword and category-only alerts', () => {
+  const index = createAlertIndex();
+  const keyword = alert({ anyKeywords: 'oled' });
+  const short = alert({ anyKeywords: 'tv' });
+  const category = alert({ category: 'Electronics' });
+  const other = alert({ anyKeywords: 'laptop' });
+  [keyword, short, category, other].forEach(a => index.add(a));
+
+  const ids = index.match(deal(), 'verification').map(a => a.id).sort();
+  assert.deepStrictEqual(ids, [keyword.id, short.id, category.id].sort());
+});
+
+test('alerts priced below the deal are not even candidates', () => {
+  const index = createAlertIndex();
+  const cheap = alert({ anyKeywords: 'oled', maxPrice: 500 });
+  index.add(cheap);
+  assert.deepStrictEqual(index.candidates(deal(), 'verification'), []);
+});
+
+test('removed and replaced alerts leave the index', () => {
+  const index = createAlertIndex();
+  const a = alert({ anyKeywords: 'oled', maxPrice: 2000 });
+  index.add(a);
+  index.add({ ...a, anyKeywords: ['laptop'] });
+  assert.strictEqual(index.size, 1);
+  assert.deepStrictEqual(index.match(deal(), 'verification'), []);
+  assert.ok(index.remove(a.id));
+  assert.ok(!index.remove(a.id));
+  assert.strictEqual(index.size, 0);
+});
+
+test('alerts are kept apart per trigger point', () => {
+  const index = createAlertIndex();
+  index.add(alert({ anyKeywords: 'oled', triggerOn: 'submission' }));
+  assert.strictEqual(index.match(deal(), 'verification').length, 0);
+  assert.strictEqual(index.match(deal(), 'submission').length, 1);
+});
+
+test('a category that is not a string does not throw', () => {
+  const index = createAlertIndex();
+  index.add(alert({ category: 'Electronics' }));
+  index.add(alert({ anyKeywords: 'oled' }));
+  assert.strictEqual(index.match(deal({ productCategory: 5 }), 'verification').length, 1);
+  assert.strictEqual(index.match(deal({ productCategory: ['Electronics'] }), 'verification').length, 2);
+});
+
+test('the index agrees with a linear scan', () => {
+  const random = createRandom(7);
+  const words = ['sony', 'oled', 'tv', 'ssd', 'pro', 'max', 'lg', 'samsung', 'monitor'];
+  const pick = list => list[Math.floor(random() * list.length)];
+  const alerts = [];
+  const index = createAlertIndex();
+  for (let i = 0; i < 300; i++) {
+    const body = random() < 0.2 ? { category: pick(['Electronics', 'Gaming']) } :
+      random() < 0.5 ? { anyKeywords: [pick(words), pick(words)] } : { allKeywords: [pick(words), pick(words)] };
+    const a = alert({ ...body, maxPrice: random() < 0.5 ? Math.round(random() * 2000) : null });
+    alerts.push(a);
+    index.add(a);
+  }
+  for (let i = 0; i < 100; i++) {
+    const d = deal({ title: `${pick(words)} ${pick(words)} ${pick(words)}`, productCategory: pick(['Electronics', 'Gaming']), price: Math.round(random() * 2000) });
+    const expected = alerts.filter(a => alertMatchesDeal(a, d, 'verification')).map(a => a.id).sort();
+    assert.deepStrictEqual(index.match(d, 'verification').map(a => a.id).sort(), expected);
+  }
+});
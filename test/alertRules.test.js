@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, validateAlertRule, alertMatchesDeal, discountPercent } = require('../src/backend/alertRules');
+
+function deal(fields = {}) {
+  return { title: 'Sony WH-1000XM5 Headphones', productCategory: 'Electronics', price: 279, originalPrice: 399, verifications: [], ...fields };
+}
+
+function rule(body) {
+  const { rule: normalized, error } = validateAlertRule(body);
+  assert.strictEqual(error, undefined);
+  return { id: 'a1', ...normalized };
+}
+
+test('tokenize lowercases and splits on anything but letters and digits', () => {
+  assert.deepStrictEqual(tokenize('Sony WH-1000XM5, $279!'), ['sony', 'wh', '1000xm5', '279']);
+  assert.deepStrictEqual(tokenize(42), ['42']);
+});
+
+test('validateAlertRule normalizes keyword lists and defaults', () => {
+  const normalized = rule({ anyKeywords: ' Sony , Bose ', productKeywords: 'Headphones' });
+  assert.deepStrictEqual(normalized.anyKeywords, ['sony', 'bose', 'headphones']);
+  assert.strictEqual(normalized.triggerOn, 'verification');
+  assert.strictEqual(normalized.minVerifications, 3);
+  assert.strictEqual(rule({ category: 'Gaming', triggerOn: 'submission' }).minVerifications, 0);
+});
+
+test('validateAlertRule rejects empty and out-of-range rules', () => {
+  const errors = [
+    {},
+    { anyKeywords: [] },
+    { anyKeywords: 'sony', minPrice: 'abc' },
+    { anyKeywords: 'sony', maxPrice: -1 },
+    { anyKeywords: 'sony', minPrice: 50, maxPrice: 10 },
+    { anyKeywords: 'sony', minDiscountPercent: 150 },
+    { anyKeywords: 'sony', triggerOn: 'promotion' },
+    { anyKeywords: 'sony', triggerOn: ['submission'] },
+    { anyKeywords: 'sony', minVerifications: 1.5 }
+  ];
+  errors.forEach(body => assert.ok(validateAlertRule(body).error, JSON.stringify(body)));
+  assert.ok(validateAlertRule(null).error);
+});
+
+test('keywords match as substrings of the title or category', () => {
+  const alert = rule({ anyKeywords: 'headphone', minVerifications: 0 });
+  assert.ok(alertMatchesDeal(alert, deal(), 'verification'));
+  assert.ok(alertMatchesDeal(rule({ anyKeywords: 'electro', minVerifications: 0 }), deal(), 'verification'));
+  assert.ok(!alertMatchesDeal(rule({ anyKeywords: 'bose', minVerifications: 0 }), deal(), 'verification'));
+  assert.ok(!alertMatchesDeal(rule({ anyKeywords: 'sony', excludedKeywords: 'xm5', minVerifications: 0 }), deal(), 'verification'));
+  assert.ok(!alertMatchesDeal(rule({ allKeywords: 'sony, bose', minVerifications: 0 }), deal(), 'verification'));
+});
+
+test('price range, discount, trigger and verification count all apply', () => {
+  assert.ok(!alertMatchesDeal(rule({ anyKeywords: 'sony', maxPrice: 200, minVerifications: 0 }), deal(), 'verification'));
+  assert.ok(!alertMatchesDeal(rule({ anyKeywords: 'sony', minPrice: 300, minVerifications: 0 }), deal(), 'verification'));
+  assert.ok(!alertMatchesDeal(rule({ anyKeywords: 'sony', minDiscountPercent: 40, minVerifications: 0 }), deal(), 'verification'));
+  assert.ok(!alertMatchesDeal(rule({ anyKeywords: 'sony', minVerifications: 0 }), deal(), 'submission'));
+  assert.ok(!alertMatchesDeal(rule({ anyKeywords: 'sony' }), deal({ verifications: [{}, {}] }), 'verification'));
+  assert.ok(alertMatchesDeal(rule({ anyKeywords: 'sony' }), deal({ verifications: [{}, {}, {}] }), 'verification'));
+});
+
+test('newLowsOnly needs the deal scored as a new low', () => {
+  const alert = rule({ anyKeywords: 'sony', newLowsOnly: true, minVerifications: 0 });
+  assert.ok(!alertMatchesDeal(alert, deal(), 'verification'));
+  assert.ok(alertMatchesDeal(alert, deal({ priceScore: { newLow: true } }), 'verification'));
+});
+
+test('a category that is not a string does not throw', () => {
+  const alert = rule({ category: 'electronics', minVerifications: 0 });
+  assert.ok(alertMatchesDeal(alert, deal(), 'verification'));
+  assert.ok(!alertMatchesDeal(alert, deal({ productCategory: 5 }), 'verification'));
+  assert.ok(!alertMatchesDeal(alert, deal({ productCategory: ['Electronics', 'x'] }), 'verification'));
+  assert.ok(!alertMatchesDeal({ ...alert, category: 7 }, deal(), 'verification'));
+});
+
+test('discountPercent is 0 without a usable original price', () => {
+  assert.strictEqual(discountPercent(deal({ price: 50, originalPrice: 100 })), 50);
+  assert.strictEqual(discountPercent(deal({ originalPrice: null })), 0);
+  assert.strictEqual(discountPercent(deal({ originalPrice: 0 })), 0);
+});
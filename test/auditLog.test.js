@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { canonicalJson } = require('../src/backend/peers');
+const { GENESIS_HASH, createAuditLog, verifyChain, auditDeal } = require('../src/backend/auditLog');
+const { startTestServer } = require('./helpers');
+
+function memoryLog() {
+  const entries = new Map();
+  let time = 0;
+  const log = createAuditLog({ entries, save: entry => entries.set(entry.seq, entry), now: () => ++time });
+  return { log, entries };
+}
+
+// Edit an entry and re-hash the chain after it, as a server rewriting its own log could
+function rewrite(entries, seq, change) {
+  const copy = JSON.parse(JSON.stringify(entries));
+  change(copy.find(entry => entry.seq === seq));
+  let prevHash = GENESIS_HASH;
+  copy.forEach(entry => {
+    entry.prevHash = prevHash;
+    const { seq: s, type, dealId, data, timestamp } = entry;
+    entry.hash = crypto.createHash('sha256').update(canonicalJson({ seq: s, prevHash, type, dealId, data, timestamp })).digest('hex');
+    prevHash = entry.hash;
+  });
+  return copy;
+}
+
+test('entries are chained and numbered from 1', () => {
+  const { log } = memoryLog();
+  assert.deepStrictEqual(log.head(), { seq: 0, hash: GENESIS_HASH });
+  const first = log.append('deal', 'd1', { title: 'Kettle' });
+  const second = log.append('vote', 'd1', { direction: 'up' });
+  assert.strictEqual(first.prevHash, GENESIS_HASH);
+  assert.strictEqual(second.prevHash, first.hash);
+  assert.deepStrictEqual(log.head(), { seq: 2, hash: second.hash });
+  assert.deepStrictEqual(log.entries(1).map(entry => entry.seq), [2]);
+  assert.strictEqual(verifyChain(log.entries()).valid, true);
+});
+
+test('appended data is copied, so later edits to the record do not change the entry', () => {
+  const { log } = memoryLog();
+  const record = { title: 'Kettle' };
+  const entry = log.append('deal', 'd1', record);
+  record.title = 'Toaster';
+  assert.strictEqual(entry.data.title, 'Kettle');
+  assert.strictEqual(verifyChain(log.entries()).valid, true);
+});
+
+test('editing, dropping or reordering entries breaks the chain', () => {
+  const { log } = memoryLog();
+  ['a', 'b', 'c'].forEach(title => log.append('deal', title, { title }));
+  const entries = log.entries();
+
+  const edited = JSON.parse(JSON.stringify(entries));
+  edited[1].data.title = 'z';
+  assert.deepStrictEqual([verifyChain(edited).brokenAt, verifyChain(edited).reason], [2, 'entry hash does not match its contents']);
+
+  assert.deepStrictEqual(verifyChain([entries[0], entries[2]]).reason, 'expected entry 2');
+
+  const swapped = entries.map(entry => ({ ...entry }));
+  [swapped[1].seq, swapped[2].seq] = [swapped[2].seq, swapped[1].seq];
+  assert.strictEqual(verifyChain(swapped).valid, false);
+});
+
+test('malformed entries break the chain instead of throwing', () => {
+  const { log } = memoryLog();
+  log.append('deal', 'd1', { title: 'Kettle' });
+  const [entry] = log.entries();
+  for (const bad of [null, 'entry', 42, [], { ...entry, seq: '2' }, { ...entry, seq: 2, data: null }]) {
+    const chain = verifyChain([entry, bad]);
+    assert.strictEqual(chain.valid, false);
+    assert.strictEqual(chain.reason, 'log holds malformed entries');
+  }
+  assert.strictEqual(verifyChain('not a log').valid, false);
+});
+
+test('auditDeal replays a deal decided by signed verdicts', async t => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  server.state.config.mode = 'decentralized';
+  const { call, register, verify } = server;
+
+  const submitter = await register('submitter');
+  const verifiers = [await register('verifier-a'), await register('verifier-b'), await register('verifier-c')];
+  const deal = (await call('POST', '/deals', submitter.token, {
+    title: 'French Press', price: 30, url: 'https://shop.example/press', productCategory: 'Kitchen'
+  })).data.deal;
+  for (const user of verifiers) assert.strictEqual((await verify(user, deal, 'valid')).status, 200);
+
+  const { entries } = (await call('GET', '/audit/log')).data;
+  const report = auditDeal(entries, deal.id);
+  assert.strictEqual(report.consistent, true, report.problems.join('; '));
+  assert.strictEqual(report.status, 'verified');
+  assert.strictEqual(report.recomputed.outcome, 'verified');
+  assert.deepStrictEqual(report.verdicts.map(v => v.signature), ['valid', 'valid', 'valid']);
+  assert.deepStrictEqual(report.warnings, []);
+
+  assert.strictEqual(auditDeal(entries, 'missing').found, false);
+
+  // A re-hashed log with a swapped verdict keeps its chain but not its signatures
+  const verification = entries.find(entry => entry.type === 'verification');
+  const swapped = rewrite(entries, verification.seq, entry => { entry.data.verdict = 'invalid'; });
+  const tampered = auditDeal(swapped, deal.id);
+  assert.strictEqual(tampered.chain.valid, true);
+  assert.strictEqual(tampered.consistent, false);
+  assert.ok(tampered.problems.some(problem => problem.includes('Signed statement does not match the verdict')));
+
+  // A decision stripped of what it counted is reported, not replayed
+  const decision = entries.find(entry => entry.type === 'consensus');
+  for (const strip of [
+    entry => { entry.data.consensus = null; },
+    entry => { entry.data.consensus.counted = 'all of them'; },
+    entry => { entry.data.consensus.counted = [null]; },
+    entry => { delete entry.data.weighting; }
+  ]) {
+    const stripped = auditDeal(rewrite(entries, decision.seq, strip), deal.id);
+    assert.strictEqual(stripped.consistent, false);
+    assert.strictEqual(stripped.recomputed, null);
+    assert.ok(stripped.problems.some(problem => problem.startsWith(`Decision at entry ${decision.seq} does not`)));
+  }
+
+  // Junk in a downloaded log breaks the chain; the deal is still replayed from the rest
+  const junk = auditDeal([...entries, null, { seq: entries.length + 1, data: 'x' }], deal.id);
+  assert.strictEqual(junk.chain.valid, false);
+  assert.strictEqual(junk.recomputed.outcome, 'verified');
+});
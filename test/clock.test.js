@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const clock = require('../src/backend/clock');
+
+test('the clock can be swapped and restored', () => {
+  clock.setClock(() => 1000);
+  assert.strictEqual(clock.now(), 1000);
+
+  clock.setClock();
+  const before = Date.now();
+  const now = clock.now();
+  assert.ok(now >= before && now <= Date.now());
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findCollusion } = require('../src/backend/collusion');
+
+const OPTIONS = { window: 60 * 1000, minSharedDeals: 3 };
+
+// verdicts: [verifierId, verdict, timestamp]
+function deal(id, verdicts) {
+  return { id, verifications: verdicts.map(([verifierId, verdict, timestamp]) => ({ verifierId, verdict, timestamp })) };
+}
+
+test('accounts that keep verifying the same deals within seconds are linked', () => {
+  const deals = [1, 2, 3].map(n => deal(`d${n}`, [
+    ['alice', 'valid', n * 1e6], ['bob', 'valid', n * 1e6 + 5000], ['carol', 'valid', n * 1e6 + 3600 * 1000]
+  ]));
+  const { pairs, groups } = findCollusion(deals, OPTIONS);
+  assert.deepStrictEqual(pairs.map(p => [p.users, p.reasons]), [[['alice', 'bob'], ['timing']]]);
+  assert.deepStrictEqual(pairs[0].dealIds, ['d1', 'd2', 'd3']);
+  assert.deepStrictEqual(groups, [['alice', 'bob']]);
+});
+
+test('accounts that always agree and keep getting outvoted together are linked', () => {
+  const deals = [1, 2, 3].map(n => deal(`d${n}`, [
+    ['mallory', 'valid', 0], ['trent', 'valid', 1e7],
+    ['v1', 'invalid', 2e7], ['v2', 'invalid', 3e7], ['v3', 'invalid', 4e7]
+  ]));
+  const { pairs } = findCollusion(deals, OPTIONS);
+  const pair = pairs.find(p => p.users.join() === 'mallory,trent');
+  assert.deepStrictEqual(pair.reasons, ['agreement']);
+  assert.strictEqual(pair.againstOthers, 3);
+});
+
+test('pairs below minSharedDeals or that disagree once are not suspicious', () => {
+  const twice = [1, 2].map(n => deal(`d${n}`, [['alice', 'valid', 0], ['bob', 'valid', 1000]]));
+  assert.deepStrictEqual(findCollusion(twice, OPTIONS).pairs, []);
+
+  const deals = [1, 2, 3, 4].map(n => deal(`d${n}`, [
+    ['mallory', n === 4 ? 'invalid' : 'valid', 0], ['trent', 'valid', 1e7],
+    ['v1', 'invalid', 2e7], ['v2', 'invalid', 3e7], ['v3', 'invalid', 4e7]
+  ]));
+  assert.strictEqual(findCollusion(deals, OPTIONS).pairs.some(p => p.users.join() === 'mallory,trent'), false);
+});
+
+test('overlapping pairs are joined into one group, largest first', () => {
+  const deals = [1, 2, 3].map(n => deal(`d${n}`, [
+    ['a', 'valid', n * 1e6], ['b', 'valid', n * 1e6 + 1000], ['c', 'valid', n * 1e6 + 2000]
+  ])).concat([1, 2, 3].map(n => deal(`e${n}`, [['x', 'valid', n * 1e6], ['y', 'valid', n * 1e6 + 1000]])));
+  assert.deepStrictEqual(findCollusion(deals, OPTIONS).groups, [['a', 'b', 'c'], ['x', 'y']]);
+});
+
+test('a verifier is never paired with itself', () => {
+  const deals = [1, 2, 3].map(n => deal(`d${n}`, [['alice', 'valid', 0], ['alice', 'valid', 0]]));
+  assert.deepStrictEqual(findCollusion(deals, OPTIONS), { pairs: [], groups: [] });
+});
+
+test('verdicts named like object properties do not count as votes', () => {
+  const deals = [1, 2, 3].map(n => deal(`d${n}`, [
+    ['mallory', 'toString', 0], ['trent', 'toString', 1e7], ['v1', 'constructor', 2e7], ['v2', 'valid', 3e7]
+  ]));
+  const { pairs } = findCollusion(deals, OPTIONS);
+  // 'toString' is not an outvoted verdict: nobody voted the other way
+  assert.strictEqual(pairs.some(p => p.users.join() === 'mallory,trent'), false);
+});
+
+test('missing or non-numeric timestamps never count as quick', () => {
+  const deals = [1, 2, 3].map(n => deal(`d${n}`, [['alice', 'valid', undefined], ['bob', 'valid', 'soon']]));
+  assert.deepStrictEqual(findCollusion(deals, OPTIONS).pairs, []);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tallyConsensus } = require('../src/backend/consensus');
+
+const OPTIONS = {
+  price: 50,
+  thresholds: { consensusWeightThreshold: 300, consensusMinVerifiers: 3, consensusQuorum: 5 },
+  priceTolerance: 0.05
+};
+
+function verdicts(list) {
+  return list.map(([verdict, weight, share = 1], i) => ({ id: `v${i}`, verdict, evidence: null, weight, share }));
+}
+
+test('three verdicts reaching the weight threshold decide the deal', () => {
+  const result = tallyConsensus(verdicts([['valid', 100], ['valid', 100], ['valid', 100]]), OPTIONS);
+  assert.strictEqual(result.outcome, 'valid');
+  assert.strictEqual(result.validWeight, 300);
+  assert.strictEqual(result.confidence, 1);
+  assert.deepStrictEqual(result.counted.map(c => c.verificationId), ['v0', 'v1', 'v2']);
+});
+
+test('too few verifiers or too little weight leave the deal pending', () => {
+  assert.strictEqual(tallyConsensus(verdicts([['valid', 200], ['valid', 200]]), OPTIONS).outcome, null);
+  assert.strictEqual(tallyConsensus(verdicts([['invalid', 50], ['invalid', 50], ['invalid', 50]]), OPTIONS).outcome, null);
+});
+
+test('a quorum decides without the weight threshold', () => {
+  const result = tallyConsensus(verdicts([
+    ['invalid', 40], ['invalid', 40], ['invalid', 40], ['valid', 30], ['valid', 30]
+  ]), OPTIONS);
+  assert.strictEqual(result.quorumReached, true);
+  assert.strictEqual(result.outcome, 'invalid');
+});
+
+test('a tie in weight decides nothing', () => {
+  const result = tallyConsensus(verdicts([
+    ['valid', 100], ['valid', 100], ['valid', 100], ['invalid', 100], ['invalid', 100], ['invalid', 100]
+  ]), OPTIONS);
+  assert.strictEqual(result.outcome, null);
+});
+
+test('flagged accounts count for their share of a verifier', () => {
+  const result = tallyConsensus(verdicts([['valid', 150, 0.5], ['valid', 150, 0.5], ['valid', 150, 0.5]]), OPTIONS);
+  assert.strictEqual(result.flaggedCount, 3);
+  assert.strictEqual(result.validCount, 1.5);
+  assert.strictEqual(result.outcome, null);
+});
+
+test('valid verdicts their own evidence contradicts are discarded', () => {
+  const list = verdicts([['valid', 100], ['valid', 100], ['valid', 100]]);
+  list[0].evidence = { observedPrice: 80, checklist: {} };
+  list[1].evidence = { observedPrice: null, checklist: { inStock: false } };
+  const result = tallyConsensus(list, OPTIONS);
+  assert.deepStrictEqual(result.discarded.map(d => d.verificationId), ['v0', 'v1']);
+  assert.strictEqual(result.validWeight, 100);
+  assert.strictEqual(result.outcome, null);
+});
+
+test('verdicts other than "valid" or "invalid" are skipped without touching shared objects', () => {
+  const result = tallyConsensus(verdicts([
+    ['__proto__', 1000], ['constructor', 1000], ['toString', 1000], ['VALID', 1000], [['valid'], 1000],
+    ['invalid', 100], ['invalid', 100], ['invalid', 100]
+  ]), OPTIONS);
+  assert.strictEqual(result.validWeight, 0);
+  assert.strictEqual(result.invalidWeight, 300);
+  assert.strictEqual(result.outcome, 'invalid');
+  assert.strictEqual({}.weight, undefined);
+  assert.strictEqual(Object.weight, undefined);
+});
+
+test('weights that are not numbers are skipped rather than concatenated', () => {
+  const result = tallyConsensus(verdicts([
+    ['valid', '100'], ['valid', null], ['valid', 100, '1'], ['valid', NaN],
+    ['valid', 100], ['valid', 100], ['valid', 100]
+  ]), OPTIONS);
+  assert.strictEqual(result.validWeight, 300);
+  assert.strictEqual(result.validCount, 3);
+  assert.strictEqual(result.counted.length, 3);
+  assert.strictEqual(result.outcome, 'valid');
+});
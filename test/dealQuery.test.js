@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDealQuery, queryDeals } = require('../src/backend/dealQuery');
+
+const DEALS = [
+  { id: 'a', title: 'Noise Cancelling Headphones', productCategory: 'Audio', status: 'verified', submittedBy: 'u1', price: 199, originalPrice: 349, votes: 12, timestamp: 100, consensus: { validWeight: 300, invalidWeight: 100 } },
+  { id: 'b', title: 'Bluetooth Speaker', productCategory: 'Audio', status: 'pending', submittedBy: 'u2', price: 39, originalPrice: 40, votes: 3, timestamp: 300, consensus: null },
+  { id: 'c', title: 'Espresso Machine', productCategory: 'Kitchen', status: 'promoted', submittedBy: 'u1', price: 249, originalPrice: null, votes: 20, timestamp: 200, consensus: { validWeight: 0, invalidWeight: 0 } },
+  { id: 'd', title: 'Headphone Stand', productCategory: 'Audio', status: 'rejected', submittedBy: 'u3', price: 19, originalPrice: 38, votes: 3, timestamp: 400, consensus: { validWeight: 100, invalidWeight: 300 } }
+];
+
+function search(query) {
+  const { options, error } = parseDealQuery(query);
+  assert.strictEqual(error, undefined);
+  return queryDeals(DEALS, options);
+}
+
+const ids = result => result.deals.map(deal => deal.id);
+
+test('defaults to the newest deals first', () => {
+  const result = search({});
+  assert.deepStrictEqual(ids(result), ['d', 'b', 'c', 'a']);
+  assert.strictEqual(result.total, 4);
+  assert.strictEqual(result.nextCursor, null);
+});
+
+test('search terms must prefix title words', () => {
+  assert.deepStrictEqual(ids(search({ q: 'headph' })), ['d', 'a']);
+  assert.deepStrictEqual(ids(search({ q: 'headphones noise' })), ['a']);
+  assert.deepStrictEqual(ids(search({ q: 'phones' })), []);
+});
+
+test('filters combine', () => {
+  assert.deepStrictEqual(ids(search({ category: 'Audio', status: 'verified, pending' })), ['b', 'a']);
+  assert.deepStrictEqual(ids(search({ submittedBy: 'u1', minPrice: '200' })), ['c']);
+  assert.deepStrictEqual(ids(search({ maxPrice: '40', minDiscount: '10' })), ['d']);
+});
+
+test('sorts by each sort value, ties broken by id', () => {
+  assert.deepStrictEqual(ids(search({ sort: 'price' })), ['d', 'b', 'a', 'c']);
+  assert.deepStrictEqual(ids(search({ sort: 'price', order: 'desc' })), ['c', 'a', 'b', 'd']);
+  assert.deepStrictEqual(ids(search({ sort: 'votes' })), ['c', 'a', 'b', 'd']);
+  assert.deepStrictEqual(ids(search({ sort: 'discount' })), ['d', 'a', 'b', 'c']);
+  assert.deepStrictEqual(ids(search({ sort: 'confidence' })), ['a', 'd', 'b', 'c']);
+});
+
+test('the cursor pages through every deal once, even across ties', () => {
+  const seen = [];
+  let cursor;
+  do {
+    const result = search({ sort: 'votes', limit: '1', ...(cursor ? { cursor } : {}) });
+    seen.push(...ids(result));
+    cursor = result.nextCursor;
+  } while (cursor);
+  assert.deepStrictEqual(seen, ['c', 'a', 'b', 'd']);
+});
+
+test('bad parameters are rejected', () => {
+  assert.match(parseDealQuery({ sort: 'random' }).error, /^sort must be one of/);
+  assert.strictEqual(parseDealQuery({ order: 'up' }).error, 'order must be "asc" or "desc"');
+  assert.match(parseDealQuery({ limit: '0' }).error, /^limit must be an integer/);
+  assert.match(parseDealQuery({ limit: '2.5' }).error, /^limit must be an integer/);
+  assert.match(parseDealQuery({ minPrice: '-1' }).error, /^minPrice must be a non-negative number/);
+  assert.match(parseDealQuery({ maxPrice: 'cheap' }).error, /^maxPrice must be a non-negative number/);
+  assert.strictEqual(parseDealQuery({ cursor: 'not-a-cursor' }).error, 'Invalid cursor');
+  assert.strictEqual(parseDealQuery({ cursor: Buffer.from('{"a":1}').toString('base64url') }).error, 'Invalid cursor');
+});
+
+test('sort names inherited from Object are not sorts', () => {
+  for (const sort of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.match(parseDealQuery({ sort }).error, /^sort must be one of/);
+  }
+});
+
+test('repeated or bracketed parameters are rejected instead of coerced', () => {
+  assert.strictEqual(parseDealQuery({ sort: ['price'] }).error, 'sort must be given once');
+  assert.strictEqual(parseDealQuery({ q: ['a', 'b'] }).error, 'q must be given once');
+  assert.strictEqual(parseDealQuery({ category: { $ne: 'x' } }).error, 'category must be given once');
+  assert.strictEqual(parseDealQuery({ minPrice: ['5'] }).error, 'minPrice must be given once');
+  assert.strictEqual(parseDealQuery({ cursor: ['x'] }).error, 'cursor must be given once');
+});
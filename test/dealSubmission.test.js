@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+let server;
+let token;
+
+const valid = { title: 'Acme Wireless Mouse', price: 19.99, url: 'https://shop.example/mouse', productCategory: 'Electronics' };
+
+test.before(async () => {
+  server = await startTestServer();
+  token = (await server.register('submitter')).token;
+});
+
+test.after(() => server.close());
+
+test('rejects fields of the wrong type before anything is saved', async () => {
+  const bad = [
+    { productCategory: 5 },
+    { productCategory: ['Electronics'] },
+    { productCategory: '' },
+    { title: { text: 'x' } },
+    { title: '   ' },
+    { url: { href: 'https://shop.example/x' } },
+    { price: 'abc' },
+    { price: 0 },
+    { price: -5 },
+    { price: null },
+    { originalPrice: 'abc' }
+  ];
+  for (const fields of bad) {
+    const response = await server.call('POST', '/deals', token, { ...valid, ...fields });
+    assert.strictEqual(response.status, 400, JSON.stringify(fields));
+  }
+  assert.strictEqual(server.state.deals.size, 0);
+  assert.strictEqual(server.state.products.size, 0);
+});
+
+test('accepts a valid deal, with prices as numbers or numeric strings', async () => {
+  const first = await server.call('POST', '/deals', token, valid);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.data.deal.price, 19.99);
+
+  const second = await server.call('POST', '/deals', token, {
+    ...valid, title: 'Globex Standing Desk', url: 'https://shop.example/desk', price: '249.50', originalPrice: '399'
+  });
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.data.deal.price, 249.5);
+  assert.strictEqual(second.data.deal.originalPrice, 399);
+});
+
+test('a product stored with a non-string category cannot break later submissions', async () => {
+  const product = server.state.products.values().next().value;
+  product.productCategory = 5;
+
+  const response = await server.call('POST', '/deals', token, { ...valid, title: 'Initech Stapler Red', url: 'https://shop.example/stapler' });
+  assert.strictEqual(response.status, 200);
+});
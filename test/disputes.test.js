@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer();
+  server.state.config.mode = 'decentralized';
+});
+
+test.after(() => server.close());
+
+test('an overturned dispute reverses exactly what the previous round settled', async () => {
+  const { call, register, verify, state } = server;
+  const submitter = await register('submitter');
+  const first = [];
+  for (const name of ['first-a', 'first-b', 'first-c']) first.push(await register(name));
+  const late = await register('late');
+  const disputer = await register('disputer');
+  const second = [];
+  for (let i = 0; i < 6; i++) second.push(await register(`second-${i}`));
+
+  const deal = (await call('POST', '/deals', submitter.token, {
+    title: 'Umbrella Corp Air Purifier', price: 99, url: 'https://shop.example/purifier', productCategory: 'Home'
+  })).data.deal;
+
+  for (const user of first) assert.strictEqual((await verify(user, deal, 'valid')).status, 200);
+  assert.strictEqual(state.deals.get(deal.id).outcomes.consensus.status, 'verified');
+
+  // The round is decided: a late verdict would never be settled
+  const lateVerdict = await verify(late, deal, 'invalid');
+  assert.strictEqual(lateVerdict.status, 409);
+
+  const dispute = await call('POST', `/deals/${deal.id}/dispute`, disputer.token, { reason: 'Price never existed' });
+  assert.strictEqual(dispute.status, 200);
+  assert.deepStrictEqual(
+    state.deals.get(deal.id).rounds[0].settlement.map(entry => entry.delta),
+    [5, 5, 5]
+  );
+
+  for (const user of second) assert.strictEqual((await verify(user, deal, 'invalid', 2)).status, 200);
+  const decided = state.deals.get(deal.id);
+  assert.strictEqual(decided.outcomes.consensus.status, 'rejected');
+  assert.strictEqual(decided.disputes[0].outcome, 'overturned');
+
+  // +5 for the first round, then reversed and settled as wrong: 100 - 10
+  first.forEach(user => assert.strictEqual(state.users.get(user.id).reputationScore, 90));
+  assert.strictEqual(state.users.get(late.id).reputationScore, 100);
+  second.forEach(user => assert.strictEqual(state.users.get(user.id).reputationScore, 105));
+  assert.strictEqual(state.users.get(disputer.id).reputationScore, 110);
+});
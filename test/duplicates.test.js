@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeUrl, titleSimilarity, isVariant, findDuplicate } = require('../src/backend/duplicates');
+
+test('URLs normalize past scheme, case, www, fragments, trailing slashes and tracking parameters', () => {
+  const expected = 'shop.example/item/42?color=red&size=m';
+  [
+    'https://www.shop.example/item/42?size=m&color=red',
+    'http://SHOP.example/item/42/?color=red&utm_source=mail&size=m#reviews',
+    'shop.example/item/42?fbclid=abc&color=red&size=m&tag=aff-20',
+    '  www.shop.example/item/42?color=red&size=m&UTM_Campaign=x  '
+  ].forEach(url => assert.strictEqual(normalizeUrl(url), expected, url));
+});
+
+test('ports and meaningful parameters are kept', () => {
+  assert.strictEqual(normalizeUrl('http://localhost:8080/'), 'localhost:8080/');
+  assert.notStrictEqual(normalizeUrl('shop.example/item?id=1'), normalizeUrl('shop.example/item?id=2'));
+});
+
+test('unparsable URLs fall back to the lowercased text', () => {
+  assert.strictEqual(normalizeUrl('http://exa mple.com/X'), 'http://exa mple.com/x');
+});
+
+test('non-string URLs and titles are compared as text instead of throwing', () => {
+  assert.strictEqual(normalizeUrl(42), normalizeUrl('42'));
+  assert.strictEqual(titleSimilarity(12345, '12345'), 1);
+  assert.strictEqual(titleSimilarity(null, undefined), 0);
+  assert.strictEqual(isVariant(['Pixel', '8'], 'Pixel 8'), false);
+});
+
+test('title similarity is a Dice coefficient over bigrams', () => {
+  assert.strictEqual(titleSimilarity('Kettle', 'kettle!'), 1);
+  assert.strictEqual(titleSimilarity('abc', 'xyz'), 0);
+  assert.strictEqual(titleSimilarity('', ''), 0);
+  const similarity = titleSimilarity('Sony WH-1000XM5 Headphones', 'Sony WH1000XM5 Wireless Headphones');
+  assert.ok(similarity > 0.7 && similarity < 1, String(similarity));
+});
+
+test('titles differing in a word with a digit are variants', () => {
+  assert.strictEqual(isVariant('Samsung 1TB SSD', 'Samsung 2TB SSD'), true);
+  assert.strictEqual(isVariant('TCL 55" TV', 'TCL 65" TV'), true);
+  assert.strictEqual(isVariant('Echo Dot 5th Gen', 'Amazon Echo Dot 5th Gen'), false);
+});
+
+test('findDuplicate prefers a URL match, then the most similar title', () => {
+  const deals = [
+    { id: 'a', title: 'Cast Iron Skillet 12 inch', url: 'https://pans.example/skillet', normalizedUrl: 'pans.example/skillet' },
+    { id: 'b', title: 'Cast Iron Skillet Pan', url: 'https://other.example/pan' },
+    { id: 'c', title: 'Cast Iron Skillet Pans', url: 'https://third.example/pans' }
+  ];
+
+  const byUrl = findDuplicate({ title: 'Something else', url: 'www.pans.example/skillet?utm_source=x' }, deals, 0.85);
+  assert.deepStrictEqual([byUrl.deal.id, byUrl.reason, byUrl.similarity], ['a', 'url', 1]);
+
+  const byTitle = findDuplicate({ title: 'Cast Iron Skillet Pan', url: 'https://new.example/1' }, deals, 0.85);
+  assert.deepStrictEqual([byTitle.deal.id, byTitle.reason], ['b', 'title']);
+
+  // The 12 inch skillet is a variant, and a submitter can say it is a different product
+  assert.strictEqual(findDuplicate({ title: 'Cast Iron Skillet 10 inch', url: 'https://new.example/2' }, deals.slice(0, 1), 0.5), null);
+  assert.strictEqual(findDuplicate({ title: 'Cast Iron Skillet Pan', url: 'https://new.example/3' }, deals, 0.85, true), null);
+});
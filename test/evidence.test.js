@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IMAGE_TYPES, matchesImageType, validateEvidence, evidenceConflict } = require('../src/backend/evidence');
+
+const NOW = Date.UTC(2026, 0, 15);
+
+test('empty evidence has every field unset', () => {
+  for (const raw of [undefined, null, {}]) {
+    assert.deepStrictEqual(validateEvidence(raw, NOW).evidence, {
+      observedPrice: null,
+      checkedAt: null,
+      region: null,
+      store: null,
+      couponCode: null,
+      checklist: { inStock: null, priceMatches: null, couponWorks: null },
+      notes: '',
+      attachments: []
+    });
+  }
+});
+
+test('fields are parsed from form values', () => {
+  const { evidence } = validateEvidence({
+    observedPrice: '19.99',
+    checkedAt: '2026-01-14',
+    store: '  Main St  ',
+    region: 'US',
+    couponCode: 42,
+    checklist: { inStock: 'yes', priceMatches: false, couponWorks: 'maybe' },
+    notes: 'Shelf price',
+    attachments: ['upload-1']
+  }, NOW);
+  assert.strictEqual(evidence.observedPrice, 19.99);
+  assert.strictEqual(evidence.checkedAt, Date.UTC(2026, 0, 14));
+  assert.strictEqual(evidence.store, 'Main St');
+  assert.strictEqual(evidence.couponCode, '42');
+  assert.deepStrictEqual(evidence.checklist, { inStock: true, priceMatches: false, couponWorks: null });
+  assert.deepStrictEqual(evidence.attachments, ['upload-1']);
+});
+
+test('a plain string is kept as notes', () => {
+  assert.strictEqual(validateEvidence('  Sold out at noon ', NOW).evidence.notes, 'Sold out at noon');
+});
+
+test('out of range values are rejected', () => {
+  assert.match(validateEvidence({ observedPrice: -1 }, NOW).error, /^observedPrice/);
+  assert.match(validateEvidence({ checkedAt: '2026-01-20' }, NOW).error, /^checkedAt/);
+  assert.match(validateEvidence({ checkedAt: 'yesterday' }, NOW).error, /^checkedAt/);
+  assert.match(validateEvidence({ store: 'x'.repeat(201) }, NOW).error, /^store must be at most 200/);
+  assert.match(validateEvidence({ notes: 'x'.repeat(1001) }, NOW).error, /^notes must be at most 1000/);
+  assert.match(validateEvidence({ attachments: ['a', 'b', 'c', 'd'] }, NOW).error, /^attachments/);
+});
+
+test('values of the wrong type are rejected instead of coerced', () => {
+  for (const observedPrice of [true, [5], { value: 5 }, '   ']) {
+    assert.match(validateEvidence({ observedPrice }, NOW).error, /^observedPrice/, JSON.stringify(observedPrice));
+  }
+  for (const checkedAt of [true, ['2026-01-14'], { date: '2026-01-14' }]) {
+    assert.match(validateEvidence({ checkedAt }, NOW).error, /^checkedAt/, JSON.stringify(checkedAt));
+  }
+  assert.strictEqual(validateEvidence({ store: { name: 'x' } }, NOW).error, 'store must be text');
+  assert.strictEqual(validateEvidence({ notes: ['a', 'b'] }, NOW).error, 'notes must be text');
+  assert.strictEqual(validateEvidence({ couponCode: true }, NOW).error, 'couponCode must be text');
+  assert.match(validateEvidence({ attachments: 'upload-1' }, NOW).error, /^attachments/);
+  assert.match(validateEvidence({ attachments: [{ id: 'upload-1' }] }, NOW).error, /^attachments/);
+  for (const raw of [42, true, ['notes']]) {
+    assert.strictEqual(validateEvidence(raw, NOW).error, 'evidence must be an object');
+  }
+});
+
+test('valid verdicts their own evidence contradicts conflict', () => {
+  const deal = { price: 100 };
+  const conflict = (verdict, evidence) => evidenceConflict({ verdict, evidence }, deal, 0.1);
+  assert.match(conflict('valid', { observedPrice: 111, checklist: {} }), /above the deal price/);
+  assert.strictEqual(conflict('valid', { observedPrice: 110, checklist: {} }), null);
+  assert.match(conflict('valid', { observedPrice: null, checklist: { priceMatches: false } }), /price does not match/);
+  assert.match(conflict('valid', { observedPrice: null, checklist: { inStock: false } }), /out of stock/);
+  assert.strictEqual(conflict('invalid', { observedPrice: 500, checklist: { inStock: false } }), null);
+  assert.strictEqual(conflict('valid', null), null);
+  assert.strictEqual(conflict('valid', 'notes only'), null);
+});
+
+test('uploads must start like the image type they declare', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]);
+  assert.strictEqual(matchesImageType(png, 'image/png'), true);
+  assert.strictEqual(matchesImageType(png, 'image/jpeg'), false);
+  assert.strictEqual(matchesImageType(png, 'text/html'), false);
+  assert.strictEqual(IMAGE_TYPES['image/webp'].extension, 'webp');
+});
+
+test('content types named like object properties are not image types', () => {
+  for (const contentType of ['constructor', 'toString', '__proto__']) {
+    assert.strictEqual(matchesImageType(Buffer.from('GIF8'), contentType), false);
+  }
+});
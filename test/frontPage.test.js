@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer();
+  Object.assign(server.state.config, { mode: 'centralized', promotionThreshold: 1, promotionDelaySimulated: 1 });
+});
+
+test.after(() => server.close());
+
+test('a promoted deal that is hidden gives up its promotion', async () => {
+  const { call, register, state, runPromotionCycle } = server;
+  const submitter = await register('submitter');
+  const voter = await register('voter');
+  const moderator = await register('moderator');
+  state.users.get(moderator.id).role = 'moderator';
+
+  const deal = (await call('POST', '/deals', submitter.token, {
+    title: 'Cast Iron Skillet', price: 24, url: 'https://shop.example/skillet', productCategory: 'Kitchen'
+  })).data.deal;
+  assert.strictEqual((await call('POST', `/deals/${deal.id}/vote`, voter.token, { direction: 'up' })).status, 200);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  runPromotionCycle();
+  assert.strictEqual(state.deals.get(deal.id).outcomes.promotion.status, 'promoted');
+
+  const hidden = await call('POST', `/moderation/deals/${deal.id}/hide`, moderator.token, { reason: 'spam' });
+  assert.strictEqual(hidden.status, 200);
+  runPromotionCycle();
+  const stored = state.deals.get(deal.id);
+  assert.strictEqual(stored.outcomes.promotion.status, 'pending');
+  assert.strictEqual(stored.promotionHistory[stored.promotionHistory.length - 1].action, 'demoted');
+  assert.deepStrictEqual((await call('GET', '/frontpage')).data.frontPage, []);
+
+  // Restored, it has to win its slot back
+  assert.strictEqual((await call('POST', `/moderation/deals/${deal.id}/unhide`, moderator.token, {})).status, 200);
+  assert.strictEqual(state.deals.get(deal.id).status, 'pending');
+  runPromotionCycle();
+  assert.strictEqual(state.deals.get(deal.id).status, 'promoted');
+});
@@ -0,0 +1,65 @@
+// Shared by the tests; not a test file itself
+
+// Seeded PRNG, as in scripts/simulate.js, so randomized tests are repeatable
+function createRandom(seed) {
+  let value = seed >>> 0;
+  return () => {
+    value = (value * 1664525 + 1013904223) >>> 0;
+    return value / 4294967296;
+  };
+}
+
+// The server in-process on a fresh in-memory store, without rate limits or
+// probation so tests can act straight away. Each test file runs in its own
+// process, so each gets its own server state.
+async function startTestServer() {
+  delete process.env.DEALBUSTER_DATA_FILE;
+  process.env.DEALBUSTER_LOG_LEVEL = 'error';
+  const server = require('../src/backend/server');
+  const { createSigningKey, verdictStatement } = require('../src/backend/signatures');
+
+  const http = server.startServer({ port: 0, scheduler: false });
+  await new Promise(resolve => http.once('listening', resolve));
+  const base = `http://127.0.0.1:${http.address().port}/api`;
+  server.state.config.rateLimiting = false;
+  server.state.config.verifierProbation = 0;
+
+  async function call(method, route, token, body) {
+    const response = await fetch(`${base}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json() };
+  }
+
+  // { id, token, signingKey }, with the key registered
+  async function register(username) {
+    const { data } = await call('POST', '/users/register', null, { username, password: 'password123' });
+    const signingKey = createSigningKey();
+    await call('POST', '/users/me/keys', data.token, { publicKey: signingKey.publicKey });
+    return { id: data.user.id, token: data.token, signingKey };
+  }
+
+  function verify(user, deal, verdict, round = 1) {
+    const signedAt = Date.now();
+    const statement = verdictStatement({ dealId: deal.id, round, verifierId: user.id, verdict, signedAt });
+    return call('POST', `/deals/${deal.id}/verify`, user.token, {
+      verdict,
+      signature: { keyId: user.signingKey.keyId, signedAt, value: user.signingKey.sign(statement) }
+    });
+  }
+
+  return {
+    ...server,
+    call,
+    register,
+    verify,
+    close: () => new Promise(resolve => http.close(resolve))
+  };
+}
+
+module.exports = {
+  createRandom,
+  startTestServer
+};
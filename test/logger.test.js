@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger } = require('../src/backend/logger');
+
+function capture(options) {
+  const lines = [];
+  const log = createLogger({ ...options, sink: line => lines.push(JSON.parse(line)) });
+  return { log, lines };
+}
+
+test('lines below the level are dropped until the level changes', () => {
+  const { log, lines } = capture({ level: 'warn' });
+  log.info('quiet');
+  log.warn('loud', { dealId: 'd1' });
+  log.setLevel('debug');
+  log.debug('now heard');
+
+  assert.deepStrictEqual(lines.map(line => [line.level, line.msg]), [['warn', 'loud'], ['debug', 'now heard']]);
+  assert.strictEqual(lines[0].dealId, 'd1');
+  assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+});
+
+test('unknown levels are rejected', () => {
+  assert.throws(() => createLogger({ level: 'verbose' }), /Log level must be one of/);
+  assert.throws(() => createLogger({ level: 'error' }).setLevel('toString'), /Log level must be one of/);
+});
+
+test('child and context fields are added to every line', async () => {
+  const { log, lines } = capture({ fields: { service: 'dealbuster' } });
+  const peers = log.child({ component: 'p2p' });
+
+  await log.withContext({ requestId: 'r1' }, async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    peers.info('synced');
+  });
+  peers.info('outside');
+
+  assert.deepStrictEqual(lines[0], { time: lines[0].time, level: 'info', msg: 'synced', service: 'dealbuster', component: 'p2p', requestId: 'r1' });
+  assert.strictEqual(lines[1].requestId, undefined);
+});
+
+test('errors are logged with message and stack', () => {
+  const { log, lines } = capture();
+  log.error('Failed', { error: new Error('boom') });
+
+  assert.strictEqual(lines[0].error.message, 'boom');
+  assert.match(lines[0].error.stack, /boom/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer();
+  server.state.config.mode = 'decentralized';
+});
+
+test.after(() => server.close());
+
+function submit(user, title, url) {
+  return server.call('POST', '/deals', user.token, { title, price: 59, url, productCategory: 'Audio' })
+    .then(response => response.data.deal);
+}
+
+test('verdicts merged in from a decided duplicate are not settled again', async () => {
+  const { call, register, verify, state } = server;
+  const submitter = await register('submitter');
+  const moderator = await register('moderator');
+  state.users.get(moderator.id).role = 'moderator';
+  const early = [];
+  for (const name of ['early-a', 'early-b', 'early-c']) early.push(await register(name));
+  const later = await register('later');
+
+  const duplicate = await submit(submitter, 'Wireless Earbuds Pro', 'https://shop.example/earbuds-pro');
+  const original = await submit(submitter, 'Studio Monitor Headphones', 'https://other.example/headphones');
+
+  for (const user of early) assert.strictEqual((await verify(user, duplicate, 'valid')).status, 200);
+  assert.strictEqual(state.deals.get(duplicate.id).outcomes.consensus.status, 'verified');
+  early.forEach(user => assert.strictEqual(state.users.get(user.id).reputationScore, 105));
+
+  const merged = await call('POST', `/deals/${duplicate.id}/merge`, moderator.token, { intoDealId: original.id });
+  assert.strictEqual(merged.status, 200);
+
+  const target = state.deals.get(original.id);
+  assert.strictEqual(target.outcomes.consensus.status, 'verified');
+  assert.deepStrictEqual(target.settlement.map(entry => [entry.userId, entry.delta, entry.carriedFrom]),
+    early.map(user => [user.id, 5, duplicate.id]));
+  assert.deepStrictEqual(state.deals.get(duplicate.id).settlement, []);
+  early.forEach(user => assert.strictEqual(state.users.get(user.id).reputationScore, 105));
+  assert.strictEqual(state.users.get(later.id).reputationScore, 100);
+});
+
+test('verdicts merged in from an undecided duplicate are settled by the original', async () => {
+  const { call, register, verify, state } = server;
+  const submitter = await register('submitter-2');
+  const moderator = await register('moderator-2');
+  state.users.get(moderator.id).role = 'moderator';
+  const [first, second, third] = [await register('verifier-a'), await register('verifier-b'), await register('verifier-c')];
+
+  const duplicate = await submit(submitter, 'Portable Bluetooth Speaker', 'https://shop.example/speaker');
+  const original = await submit(submitter, 'Bookshelf Speaker Pair', 'https://other.example/bookshelf');
+
+  assert.strictEqual((await verify(first, duplicate, 'valid')).status, 200);
+  assert.strictEqual((await verify(second, original, 'valid')).status, 200);
+  assert.strictEqual((await call('POST', `/deals/${duplicate.id}/merge`, moderator.token, { intoDealId: original.id })).status, 200);
+  assert.strictEqual((await verify(third, original, 'valid')).status, 200);
+
+  const target = state.deals.get(original.id);
+  assert.strictEqual(target.outcomes.consensus.status, 'verified');
+  assert.deepStrictEqual(target.settlement.map(entry => entry.carriedFrom), [undefined, undefined, undefined]);
+  [first, second, third].forEach(user => assert.strictEqual(state.users.get(user.id).reputationScore, 105));
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDuration, parseLatencyQuery, latencyReport } = require('../src/backend/metrics');
+const { startTestServer } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+test('durations take a unit or plain milliseconds', () => {
+  assert.strictEqual(parseDuration('15m'), 15 * 60 * 1000);
+  assert.strictEqual(parseDuration(' 1.5h '), 1.5 * HOUR);
+  assert.strictEqual(parseDuration('7d'), 7 * 24 * HOUR);
+  assert.strictEqual(parseDuration('2500'), 2500);
+  for (const value of ['0', '0h', '-1h', '1w', 'h', '', null]) {
+    assert.strictEqual(parseDuration(value), null, String(value));
+  }
+});
+
+test('latency queries default to 24 hours in 12 buckets', () => {
+  assert.deepStrictEqual(parseLatencyQuery({}, 100 * HOUR).options, { from: 76 * HOUR, to: 100 * HOUR, buckets: 12, category: null });
+  assert.deepStrictEqual(parseLatencyQuery({ window: '1h', buckets: '4', category: 'Audio' }, HOUR).options,
+    { from: 0, to: HOUR, buckets: 4, category: 'Audio' });
+  assert.match(parseLatencyQuery({ window: 'soon' }, 0).error, /^window/);
+  assert.match(parseLatencyQuery({ buckets: '0' }, 0).error, /^buckets/);
+  assert.match(parseLatencyQuery({ buckets: '101' }, 0).error, /^buckets/);
+});
+
+test('repeated or bracketed parameters are rejected instead of coerced', () => {
+  assert.strictEqual(parseLatencyQuery({ window: ['1h'] }, 0).error, 'window must be given once');
+  assert.strictEqual(parseLatencyQuery({ buckets: ['4'] }, 0).error, 'buckets must be given once');
+  assert.strictEqual(parseLatencyQuery({ category: { $ne: '' } }, 0).error, 'category must be given once');
+});
+
+function event(type, timestamp, latency, mode = 'centralized', category = 'Audio') {
+  return { type, timestamp, latency, mode, category };
+}
+
+test('the report gives nearest-rank percentiles by mode and category', () => {
+  const events = [
+    ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => event('promoted', n * 1000, n * 100)),
+    event('verified', 5000, 700, 'decentralized', 'Kitchen'),
+    event('submitted', 6000, null),
+    event('promoted', 2 * HOUR, 1)
+  ];
+  const report = latencyReport(events, { from: 0, to: HOUR, buckets: 2, category: null });
+  assert.deepStrictEqual(report.summary.promotion.overall, { count: 10, p50: 500, p90: 900, p99: 1000 });
+  assert.deepStrictEqual(Object.keys(report.summary.verification.byCategory), ['Kitchen']);
+  assert.strictEqual(report.summary.alert.overall.p50, null);
+  assert.deepStrictEqual(report.counts, { promoted: { centralized: 10 }, verified: { decentralized: 1 }, submitted: { centralized: 1 } });
+  assert.strictEqual(report.series[0].promotion.centralized.count, 10);
+  assert.deepStrictEqual(report.series[1].promotion, {});
+
+  const kitchen = latencyReport(events, { from: 0, to: HOUR, buckets: 1, category: 'Kitchen' });
+  assert.strictEqual(kitchen.summary.promotion.overall.count, 0);
+  assert.strictEqual(kitchen.summary.verification.overall.count, 1);
+});
+
+test('the last bucket takes events at exactly the end of the window', () => {
+  const report = latencyReport([event('alert', HOUR, 50)], { from: 0, to: HOUR, buckets: 3, category: null });
+  assert.deepStrictEqual(report.series.map(point => Object.keys(point.alert)), [[], [], ['centralized']]);
+});
+
+test('categories named like object properties are reported as plain keys', () => {
+  const events = ['__proto__', 'constructor', 'toString'].map((category, i) => event('promoted', 1000 + i, 100 * (i + 1), 'centralized', category));
+  const { byCategory } = latencyReport(events, { from: 0, to: HOUR, buckets: 1, category: null }).summary.promotion;
+  assert.deepStrictEqual(Object.keys(byCategory), ['__proto__', 'constructor', 'toString']);
+  assert.strictEqual(JSON.parse(JSON.stringify(byCategory)).constructor.p50, 200);
+});
+
+test('the latency endpoint survives deals in such categories', async t => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  server.state.config.mode = 'decentralized';
+  const { call, register, verify } = server;
+  const submitter = await register('submitter');
+  const deal = (await call('POST', '/deals', submitter.token, {
+    title: 'Prototype Widget', price: 10, url: 'https://shop.example/widget', productCategory: 'constructor'
+  })).data.deal;
+  for (const name of ['verifier-a', 'verifier-b', 'verifier-c']) {
+    assert.strictEqual((await verify(await register(name), deal, 'valid')).status, 200);
+  }
+
+  const response = await call('GET', '/stats/latency');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.data.summary.verification.byCategory.constructor.count, 1);
+});
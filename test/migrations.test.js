@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { migrateRecords } = require('../src/backend/migrations');
+const { createMemoryStore } = require('../src/backend/storage');
+
+function storeWith(records) {
+  const store = createMemoryStore();
+  const saved = [];
+  const put = store.put;
+  store.put = (name, record) => {
+    saved.push(`${name}:${record.id}`);
+    return put(name, record);
+  };
+  Object.entries(records).forEach(([name, list]) => list.forEach(record => put(name, record)));
+  return { store, saved };
+}
+
+test('old deals get every field, derived from what they have', () => {
+  const { store, saved } = storeWith({
+    deals: [{
+      id: 'd1', title: 'Kettle', price: 20, url: 'https://www.shop.example/kettle?utm_source=x', submittedBy: 'u1',
+      timestamp: 1000, votes: -2, status: 'verified', verifiedAt: 5000
+    }]
+  });
+  assert.strictEqual(migrateRecords(store), 1);
+  assert.deepStrictEqual(saved, ['deals:d1']);
+
+  const deal = store.collection('deals').get('d1');
+  assert.strictEqual(deal.normalizedUrl, 'shop.example/kettle');
+  assert.deepStrictEqual([deal.upvotes, deal.downvotes], [0, 2]);
+  assert.deepStrictEqual(deal.outcomes, {
+    promotion: { status: 'pending', decidedAt: null },
+    consensus: { status: 'verified', decidedAt: 5000 }
+  });
+  assert.deepStrictEqual(deal.priceHistory, [
+    { price: 20, previousPrice: null, source: 'submission', userId: 'u1', timestamp: 1000 }
+  ]);
+  assert.deepStrictEqual([deal.verifications, deal.settlement, deal.rounds, deal.round], [[], [], [], 1]);
+  assert.strictEqual(deal.status, 'verified');
+});
+
+test('promoted deals keep their promotion', () => {
+  const { store } = storeWith({ deals: [{ id: 'd1', url: 'x.example', timestamp: 10, status: 'promoted', promotedAt: 20 }] });
+  migrateRecords(store);
+  assert.deepStrictEqual(store.collection('deals').get('d1').outcomes.promotion, { status: 'promoted', decidedAt: 20 });
+});
+
+test('users and verifications get their defaults', () => {
+  const { store } = storeWith({ users: [{ id: 'u1', username: 'ann' }], verifications: [{ id: 'v1', verdict: 'valid' }] });
+  assert.strictEqual(migrateRecords(store), 2);
+  const user = store.collection('users').get('u1');
+  assert.deepStrictEqual([user.role, user.reputationScore, user.signingKeys, user.suspension], ['user', 100, [], null]);
+  assert.deepStrictEqual(store.collection('verifications').get('v1'), { id: 'v1', verdict: 'valid', evidence: null, signature: null });
+});
+
+test('fields already present are left alone, null included, and current records are not saved', () => {
+  const user = { id: 'u1', role: 'admin', suspension: null, reputationScore: 0, verificationHistory: [], collusionFlag: null,
+    reputationLedger: [], signingKeys: [], createdAt: 5 };
+  const { store, saved } = storeWith({ users: [user] });
+  assert.strictEqual(migrateRecords(store), 0);
+  assert.deepStrictEqual(saved, []);
+  assert.strictEqual(store.collection('users').get('u1').reputationScore, 0);
+});
+
+test('vote counts stored as text are derived as numbers', () => {
+  const { store } = storeWith({ deals: [{ id: 'd1', url: 'x.example', timestamp: 1, votes: '3' }] });
+  migrateRecords(store);
+  const deal = store.collection('deals').get('d1');
+  assert.deepStrictEqual([deal.upvotes, deal.downvotes], [3, 0]);
+});
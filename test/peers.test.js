@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const {
+  canonicalJson, createIdentity, identityFromKey, parsePeerKeys, signEnvelope, envelopeError, createPeerNetwork
+} = require('../src/backend/peers');
+
+const identity = createIdentity('node-1');
+const silent = { debug() {} };
+
+test('canonical JSON sorts keys and drops undefined ones', () => {
+  assert.strictEqual(canonicalJson({ b: 1, a: [{ d: undefined, c: 'x' }, null], e: undefined }), '{"a":[{"c":"x"},null],"b":1}');
+  assert.strictEqual(canonicalJson(undefined), 'null');
+  assert.strictEqual(canonicalJson([undefined]), '[null]');
+  assert.strictEqual(canonicalJson(JSON.parse('{"__proto__": 1}')), '{"__proto__":1}');
+});
+
+test('an identity can be rebuilt from its private key', () => {
+  assert.deepStrictEqual(identityFromKey('node-1', identity.privateKey), identity);
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64');
+  assert.throws(() => identityFromKey('node-1', ec), /must be an Ed25519 private key/);
+});
+
+test('peer keys split on the first "=" only', () => {
+  const keys = parsePeerKeys(' node-1=abc==, node-2=def= ,');
+  assert.deepStrictEqual(Array.from(keys), [['node-1', 'abc=='], ['node-2', 'def=']]);
+  assert.strictEqual(parsePeerKeys(undefined).size, 0);
+  assert.throws(() => parsePeerKeys('=abc'), /is not nodeId=publicKey/);
+  assert.throws(() => parsePeerKeys('node-1'), /is not nodeId=publicKey/);
+});
+
+test('signed envelopes verify and any change breaks them', () => {
+  const envelope = signEnvelope(identity, 'http://a', 'deal', { id: 'd1', title: 'Kettle' });
+  assert.strictEqual(envelope.id, 'deal:d1');
+  assert.strictEqual(envelopeError(envelope), null);
+
+  assert.strictEqual(envelopeError({ ...envelope, payload: { ...envelope.payload, title: 'Toaster' } }), 'Bad signature');
+  assert.strictEqual(envelopeError({ ...envelope, origin: { ...envelope.origin, nodeId: 'node-2' } }), 'Bad signature');
+  assert.strictEqual(envelopeError({ ...envelope, id: 'deal:d2' }), 'Envelope id does not match its payload');
+  assert.strictEqual(envelopeError({ ...envelope, signature: undefined }), 'Envelope is not signed');
+  assert.strictEqual(envelopeError({ ...envelope, origin: { ...envelope.origin, publicKey: 'AAAA' } }), 'Bad signing key');
+});
+
+test('envelopes signed with a key that is not Ed25519 are rejected', () => {
+  const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const envelope = signEnvelope(identity, 'http://a', 'deal', { id: 'd1' });
+  envelope.origin.publicKey = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+  assert.strictEqual(envelopeError(envelope), 'Bad signing key');
+});
+
+test('envelopes of the wrong shape are malformed, not exceptions', () => {
+  const envelope = signEnvelope(identity, 'http://a', 'deal', { id: 'd1' });
+  for (const bad of [
+    null, 'envelope', [], {},
+    { ...envelope, type: ['deal'] },
+    { ...envelope, payload: 'd1' },
+    { ...envelope, payload: ['d1'] },
+    { ...envelope, payload: { id: ['d1'] } },
+    { ...envelope, origin: 'node-1' }
+  ]) {
+    assert.strictEqual(envelopeError(bad), 'Malformed envelope', JSON.stringify(bad));
+  }
+});
+
+test('a network lists its peers without itself and blocks them on request', () => {
+  const network = createPeerNetwork({ identity, url: 'http://a', peers: ['http://b/', ' http://c ', 'http://a', ''], log: silent });
+  assert.strictEqual(network.enabled, true);
+  assert.deepStrictEqual(network.peers().map(peer => peer.url), ['http://b', 'http://c']);
+
+  network.setBlocked(['http://b/']);
+  assert.strictEqual(network.isBlocked('http://b'), true);
+  assert.strictEqual(network.isBlocked('http://c'), false);
+  assert.deepStrictEqual(network.peers().map(peer => peer.blocked), [true, false]);
+
+  assert.strictEqual(createPeerNetwork({ identity, url: 'http://a', log: silent }).enabled, false);
+});
+
+test('sync keeps well-formed pages and records malformed ones as errors', async t => {
+  const answers = [
+    { node: { nodeId: 'node-2' }, epoch: 'e', envelopes: [], next: 0, more: false },
+    { node: { nodeId: 'node-3' }, epoch: 'e', envelopes: 'none', next: 0, more: false }
+  ];
+  const servers = await Promise.all(answers.map(answer => new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => res.end(JSON.stringify(answer)));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  })));
+  t.after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+  const urls = servers.map(server => `http://127.0.0.1:${server.address().port}`);
+  const network = createPeerNetwork({ identity, url: 'http://a', peers: urls, log: silent });
+  const results = await network.sync(() => ({ epoch: null, after: 0 }));
+
+  assert.deepStrictEqual(results.map(result => result.peer.url), [urls[0]]);
+  const [good, bad] = network.peers();
+  assert.deepStrictEqual([good.nodeId, good.lastError], ['node-2', null]);
+  assert.strictEqual(bad.nodeId, null);
+  assert.match(bad.lastError, /malformed page/);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeSku, titleFingerprint, productKeys, createCatalog, scorePrice, priceHistoryReport
+} = require('../src/backend/products');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function catalog() {
+  const products = new Map();
+  return { products, catalog: createCatalog({ products, save: product => products.set(product.id, product) }) };
+}
+
+let nextId = 0;
+function deal(fields) {
+  nextId += 1;
+  return { id: `deal-${nextId}`, productCategory: 'Electronics', timestamp: nextId, sku: null, ...fields };
+}
+
+test('SKUs are uppercased and must be 3-64 plain characters', () => {
+  assert.strictEqual(normalizeSku(' ab-123.x_1 '), 'AB-123.X_1');
+  assert.strictEqual(normalizeSku('ab'), null);
+  assert.strictEqual(normalizeSku('ab 123'), null);
+  assert.strictEqual(normalizeSku('-abc'), null);
+  assert.strictEqual(normalizeSku('a'.repeat(65)), null);
+});
+
+test('only strings are SKUs', () => {
+  for (const sku of [null, undefined, true, 12345, ['ABC123'], { sku: 'ABC123' }]) {
+    assert.strictEqual(normalizeSku(sku), null, String(sku));
+  }
+});
+
+test('title fingerprints drop prices, offer words and word order', () => {
+  assert.strictEqual(titleFingerprint('Lodge Cast Iron Skillet - $19.99, 40% off today!'), 'cast iron lodge skillet');
+  assert.strictEqual(titleFingerprint('Skillet Iron Cast Lodge'), 'cast iron lodge skillet');
+  assert.strictEqual(titleFingerprint('Skillet sale'), null);
+});
+
+test('product keys come from the SKU, the store URL, the page URL and the title', () => {
+  assert.deepStrictEqual(productKeys({ sku: 'B0TEST1234', url: 'https://www.amazon.com/dp/b0abcdefgh?tag=x', title: 'Echo Dot Speaker' }), [
+    'sku:B0TEST1234', 'sku:amazon.com:B0ABCDEFGH', 'url:amazon.com/dp/b0abcdefgh', 'title:dot echo speaker'
+  ]);
+  // A storefront is not a product page
+  assert.deepStrictEqual(productKeys({ sku: null, url: 'https://shop.example/', title: 'Gift card' }), ['title:card gift']);
+});
+
+test('deals for the same product share a catalog entry', () => {
+  const { catalog: c } = catalog();
+  const first = c.catalogDeal(deal({ title: 'Sony WH-1000XM5 Headphones', url: 'https://a.example/sony' }), 0.8);
+  const byUrl = c.catalogDeal(deal({ title: 'Something', url: 'https://www.a.example/sony?utm_source=x' }), 0.8);
+  const byTitle = c.catalogDeal(deal({ title: 'Sony WH-1000XM5 Headphones - Sale', url: 'https://b.example/x' }), 0.8);
+  assert.strictEqual(byUrl.id, first.id);
+  assert.strictEqual(byTitle.id, first.id);
+  assert.strictEqual(first.dealIds.length, 3);
+});
+
+test('different SKUs, sizes or categories keep products apart', () => {
+  const { catalog: c } = catalog();
+  const one = c.catalogDeal(deal({ title: 'Samsung T7 Portable SSD', sku: 'MU-PC1T0T', url: 'https://a.example/1' }), 0.8);
+  const otherSku = c.catalogDeal(deal({ title: 'Samsung T7 Portable SSD', sku: 'MU-PC2T0T', url: 'https://a.example/2' }), 0.8);
+  const otherSize = c.catalogDeal(deal({ title: 'Samsung T7 Portable SSD 2TB', url: 'https://a.example/3' }), 0.8);
+  const otherCategory = c.catalogDeal(deal({ title: 'Samsung T7 Portable SSDs', url: 'https://a.example/4', productCategory: 'Office' }), 0.8);
+  assert.strictEqual(new Set([one.id, otherSku.id, otherSize.id, otherCategory.id]).size, 4);
+});
+
+test('stored categories that are not strings are compared as text', () => {
+  const { products, catalog: c } = catalog();
+  products.set('p1', {
+    id: 'p1', title: 'Kindle Paperwhite Reader', productCategory: ['Books'], keys: [], dealIds: [], history: [], createdAt: 0
+  });
+  products.set('p2', {
+    id: 'p2', title: 'Kindle Paperwhite Readers', productCategory: null, keys: [], dealIds: [], history: [], createdAt: 0
+  });
+  const product = c.catalogDeal(deal({ title: 'Kindle Paperwhite Reader!', url: 'https://k.example/1', productCategory: 'books' }), 0.8);
+  assert.strictEqual(product.id, 'p1');
+});
+
+test('removing a deal forgets its prices', () => {
+  const { catalog: c } = catalog();
+  const d = deal({ title: 'Nintendo Switch OLED', url: 'https://n.example/1' });
+  const product = c.catalogDeal(d, 0.8);
+  d.productId = product.id;
+  c.recordPrice(product, { price: 300, source: 'submission', dealId: d.id, timestamp: 1 });
+  c.setObservedPrices(product, d.id, [{ price: 290, source: 'verification', dealId: d.id, timestamp: 2 }]);
+  assert.strictEqual(product.history.length, 2);
+  c.removeDeal(d);
+  assert.deepStrictEqual([product.dealIds, product.history], [[], []]);
+});
+
+test('prices are scored against the median of the window', () => {
+  const history = [100, 102, 98, 101, 99].map((price, i) => ({ price, timestamp: i * DAY }));
+  const options = { window: 30 * DAY, minSamples: 3 };
+  const at = 10 * DAY;
+  assert.strictEqual(scorePrice(history, 90, at, options).rating, 'new-low');
+  assert.strictEqual(scorePrice(history, 94, at, options).rating, 'new-low');
+  assert.strictEqual(scorePrice(history, 99, at, options).rating, 'fair');
+  assert.strictEqual(scorePrice(history, 110, at, options).rating, 'high');
+
+  const score = scorePrice(history, 98.5, at, options);
+  assert.deepStrictEqual([score.median, score.low, score.high, score.samples], [100, 98, 102, 5]);
+  assert.strictEqual(score.lowestInDays, 8);
+  assert.strictEqual(scorePrice(history.slice(0, 2), 90, at, options).rating, null);
+  assert.strictEqual(scorePrice([], 90, at, options).median, null);
+});
+
+test('price history is summarized per day', () => {
+  const product = {
+    id: 'p', title: 'Kettle', productCategory: 'Kitchen', keys: [], dealIds: [],
+    history: [
+      { price: 30, timestamp: DAY + 1 }, { price: 20, timestamp: DAY + 2 }, { price: 25, timestamp: DAY + 3 },
+      { price: 15, timestamp: 3 * DAY }, { price: 10, timestamp: 0 }
+    ]
+  };
+  const report = priceHistoryReport(product, { from: DAY, to: 4 * DAY });
+  assert.deepStrictEqual(report.series.map(day => [day.count, day.low, day.median, day.high]), [[3, 20, 25, 30], [1, 15, 15, 15]]);
+  assert.deepStrictEqual([report.summary.count, report.summary.low, report.summary.high], [4, 15, 30]);
+  assert.strictEqual(report.summary.allTimeLow.price, 10);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRegistry } = require('../src/backend/prometheus');
+
+test('counters keep one series per label set', () => {
+  const registry = createRegistry();
+  const requests = registry.counter('requests_total', 'Requests', ['method', 'status']);
+  requests.inc({ method: 'GET', status: 200 });
+  requests.inc({ status: 200, method: 'GET' }, 2);
+  requests.inc({ method: 'POST', status: 400 });
+
+  assert.strictEqual(registry.render(), [
+    '# HELP requests_total Requests',
+    '# TYPE requests_total counter',
+    'requests_total{method="GET",status="200"} 3',
+    'requests_total{method="POST",status="400"} 1',
+    ''
+  ].join('\n'));
+});
+
+test('label values are escaped and names cannot be registered twice', () => {
+  const registry = createRegistry();
+  const routes = registry.counter('routes_total', 'Routes', ['route']);
+  routes.inc({ route: 'a"b\\c\nd' });
+  routes.inc({ route: '__proto__' });
+
+  assert.match(registry.render(), /routes_total\{route="a\\"b\\\\c\\nd"\} 1/);
+  assert.match(registry.render(), /routes_total\{route="__proto__"\} 1/);
+  assert.throws(() => registry.gauge('routes_total', 'Again'), /already registered/);
+});
+
+test('gauges run their collect function at scrape time', () => {
+  const registry = createRegistry();
+  let open = 2;
+  registry.gauge('open_deals', 'Open deals', [], gauge => gauge.set({}, open));
+
+  assert.match(registry.render(), /^open_deals 2$/m);
+  open = 5;
+  assert.match(registry.render(), /^open_deals 5$/m);
+});
+
+test('histograms give cumulative buckets, sum and count', () => {
+  const registry = createRegistry();
+  const duration = registry.histogram('duration_seconds', 'Duration', ['route'], [1, 0.1]);
+  duration.observe({ route: '/a' }, 0.05);
+  duration.observe({ route: '/a' }, 0.5);
+  duration.observe({ route: '/a' }, 3);
+
+  const lines = registry.render().split('\n');
+  assert.deepStrictEqual(lines.slice(2, 7), [
+    'duration_seconds_bucket{route="/a",le="0.1"} 1',
+    'duration_seconds_bucket{route="/a",le="1"} 2',
+    'duration_seconds_bucket{route="/a",le="+Inf"} 3',
+    'duration_seconds_sum{route="/a"} 3.55',
+    'duration_seconds_count{route="/a"} 3'
+  ]);
+});
+
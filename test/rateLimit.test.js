@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../src/backend/rateLimit');
+const { startTestServer } = require('./helpers');
+
+function limiter() {
+  const clock = { t: 0 };
+  return { clock, limiter: createRateLimiter(() => clock.t) };
+}
+
+const bucket = (key, capacity, refillPerMinute, scope = 'user') => ({ key, scope, capacity, refillPerMinute });
+
+test('a bucket allows its capacity, then refills over time', () => {
+  const { clock, limiter: l } = limiter();
+  const spec = bucket('u1', 3, 60);
+  for (let i = 0; i < 3; i++) assert.strictEqual(l.consume([spec]).allowed, true);
+
+  const blocked = l.consume([spec]);
+  assert.deepStrictEqual(blocked, { allowed: false, retryAfterMs: 1000, scope: 'user' });
+
+  clock.t = 1000;
+  assert.strictEqual(l.consume([spec]).allowed, true);
+  assert.strictEqual(l.consume([spec]).allowed, false);
+
+  // Refills never go past capacity
+  clock.t = 60 * 60 * 1000;
+  for (let i = 0; i < 3; i++) assert.strictEqual(l.consume([spec]).allowed, true);
+  assert.strictEqual(l.consume([spec]).allowed, false);
+});
+
+test('a request takes from every bucket or from none', () => {
+  const { limiter: l } = limiter();
+  const user = bucket('user:u1', 5, 60);
+  const ip = bucket('ip:1.2.3.4', 1, 6, 'ip');
+  assert.strictEqual(l.consume([user, ip]).allowed, true);
+
+  const blocked = l.consume([user, ip]);
+  assert.strictEqual(blocked.scope, 'ip');
+  assert.strictEqual(blocked.retryAfterMs, 10000);
+
+  // The user's bucket lost nothing to the blocked request: four tokens are left
+  for (let i = 0; i < 4; i++) assert.strictEqual(l.consume([user]).allowed, true);
+  assert.strictEqual(l.consume([user]).allowed, false);
+});
+
+test('the longest wait is reported when several buckets are empty', () => {
+  const { limiter: l } = limiter();
+  const fast = bucket('a', 1, 60, 'user');
+  const slow = bucket('b', 1, 1, 'ip');
+  l.consume([fast, slow]);
+  assert.deepStrictEqual(l.consume([fast, slow]), { allowed: false, retryAfterMs: 60000, scope: 'ip' });
+});
+
+test('a bucket that never refills reports an infinite wait', () => {
+  const { limiter: l } = limiter();
+  const spec = bucket('once', 1, 0);
+  l.consume([spec]);
+  assert.strictEqual(l.consume([spec]).retryAfterMs, Infinity);
+});
+
+test('no buckets means no limit', () => {
+  const { limiter: l } = limiter();
+  assert.deepStrictEqual(l.consume([]), { allowed: true });
+  assert.strictEqual(l.size, 0);
+});
+
+test('keys named like object properties are ordinary buckets', () => {
+  const { limiter: l } = limiter();
+  for (const key of ['__proto__', 'constructor', 'toString']) {
+    assert.strictEqual(l.consume([bucket(key, 1, 1)]).allowed, true);
+    assert.strictEqual(l.consume([bucket(key, 1, 1)]).allowed, false);
+  }
+  assert.strictEqual(l.size, 3);
+});
+
+test('the rate limit config only accepts the limits it has', async t => {
+  const server = await startTestServer();
+  t.after(() => server.close());
+  const admin = await server.register('admin');
+  server.state.users.get(admin.id).role = 'admin';
+  const before = Object.keys(server.state.config.rateLimits);
+
+  for (const name of ['constructor', 'toString', 'hasOwnProperty']) {
+    const response = await server.call('POST', '/config/rate-limits', admin.token, { [name]: { perUser: { capacity: 1, refillPerMinute: 1 } } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.data.error, `Unknown rate limit "${name}"`);
+  }
+  const proto = await server.call('POST', '/config/rate-limits', admin.token, JSON.parse('{"__proto__": {"perUser": null}}'));
+  assert.strictEqual(proto.status, 400);
+  assert.deepStrictEqual(Object.keys(server.state.config.rateLimits), before);
+
+  const bad = await server.call('POST', '/config/rate-limits', admin.token, { votes: { perUser: { capacity: '0', refillPerMinute: 1 } } });
+  assert.strictEqual(bad.status, 400);
+  const good = await server.call('POST', '/config/rate-limits', admin.token, { votes: { perUser: { capacity: '4', refillPerMinute: 2 } } });
+  assert.strictEqual(good.status, 200);
+  assert.deepStrictEqual(server.state.config.rateLimits.votes.perUser, { capacity: 4, refillPerMinute: 2 });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer();
+});
+
+test.after(() => server.close());
+
+test('usernames are limited to 3-32 letters, digits, underscores or dashes', async () => {
+  const rejected = ['<img src=x onerror=alert(1)>', 'ab', 'a'.repeat(33), 'has space', 'quote"s', 5, null, ['alice']];
+  for (const username of rejected) {
+    const response = await server.call('POST', '/users/register', null, { username, password: 'password123' });
+    assert.strictEqual(response.status, 400, JSON.stringify(username));
+  }
+
+  for (const username of ['alice', 'Bob_42', 'node-1-admin']) {
+    const response = await server.call('POST', '/users/register', null, { username, password: 'password123' });
+    assert.strictEqual(response.status, 200, username);
+  }
+});
+
+test('passwords must be strings of at least 8 characters', async () => {
+  for (const password of ['short', 12345678, { length: 9 }]) {
+    const response = await server.call('POST', '/users/register', null, { username: 'carol', password });
+    assert.strictEqual(response.status, 400, JSON.stringify(password));
+  }
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  keyId, parsePublicKey, verdictStatement, verifyStatement, createSigningKey, verificationSignatureError
+} = require('../src/backend/signatures');
+const { createIdentity } = require('../src/backend/peers');
+
+const signingKey = createSigningKey();
+
+function signedVerification(overrides = {}) {
+  const statement = verdictStatement({ dealId: 'deal-1', round: 1, verifierId: 'user-1', verdict: 'valid', signedAt: 1000 });
+  return {
+    dealId: 'deal-1',
+    verifierId: 'user-1',
+    verdict: 'valid',
+    signature: { keyId: signingKey.keyId, publicKey: signingKey.publicKey, statement, value: signingKey.sign(statement) },
+    ...overrides
+  };
+}
+
+test('key ids are the start of the key hash', () => {
+  assert.match(signingKey.keyId, /^[0-9a-f]{16}$/);
+  assert.strictEqual(keyId(signingKey.publicKey), signingKey.keyId);
+  assert.notStrictEqual(keyId(createSigningKey().publicKey), signingKey.keyId);
+});
+
+test('only P-256 public keys parse', () => {
+  assert.ok(parsePublicKey(signingKey.publicKey));
+  assert.strictEqual(parsePublicKey(createIdentity('node').publicKey), null);
+  for (const value of ['not base64 at all', '', null, undefined, 42, { key: signingKey.publicKey }]) {
+    assert.strictEqual(parsePublicKey(value), null, String(value));
+  }
+});
+
+test('statements bind the evidence, with no evidence signed as null', () => {
+  const base = { dealId: 'd', round: 2, verifierId: 'u', verdict: 'invalid', signedAt: 5 };
+  assert.strictEqual(verdictStatement(base).evidence, null);
+  assert.deepStrictEqual(verdictStatement({ ...base, evidence: { notes: 'x' } }).evidence, { notes: 'x' });
+  assert.strictEqual(verdictStatement(base).type, 'verification');
+});
+
+test('a signature verifies only the statement it signed', () => {
+  const statement = verdictStatement({ dealId: 'd', round: 1, verifierId: 'u', verdict: 'valid', signedAt: 1 });
+  const value = signingKey.sign(statement);
+  assert.strictEqual(verifyStatement(statement, signingKey.publicKey, value), true);
+  // Key order does not matter: both sides sign canonical JSON
+  assert.strictEqual(verifyStatement(JSON.parse(JSON.stringify(statement, Object.keys(statement).reverse())), signingKey.publicKey, value), true);
+  assert.strictEqual(verifyStatement({ ...statement, verdict: 'invalid' }, signingKey.publicKey, value), false);
+  assert.strictEqual(verifyStatement(statement, createSigningKey().publicKey, value), false);
+});
+
+test('malformed signatures fail verification instead of throwing', () => {
+  const statement = verdictStatement({ dealId: 'd', round: 1, verifierId: 'u', verdict: 'valid', signedAt: 1 });
+  for (const value of [null, 42, ['abc'], { value: 'abc' }, '', '!!!']) {
+    assert.strictEqual(verifyStatement(statement, signingKey.publicKey, value), false, String(value));
+  }
+});
+
+test('a stored verification must match the statement its verifier signed', () => {
+  assert.strictEqual(verificationSignatureError(signedVerification()), null);
+  assert.strictEqual(verificationSignatureError(signedVerification({ signature: null })), 'Verdict is not signed');
+  assert.strictEqual(verificationSignatureError(signedVerification({ verdict: 'invalid' })), 'Signed statement does not match the verdict');
+  assert.strictEqual(verificationSignatureError(signedVerification({ verifierId: 'user-2' })), 'Signed statement does not match the verdict');
+  assert.strictEqual(verificationSignatureError(signedVerification({ dealId: 'deal-2' })), 'Signed statement does not match the verdict');
+
+  // Merged deals carry verdicts cast on their duplicates
+  assert.strictEqual(verificationSignatureError(signedVerification({ dealId: 'deal-2' }), ['deal-2', 'deal-1']), null);
+
+  const swappedKey = signedVerification();
+  swappedKey.signature.keyId = 'ffffffffffffffff';
+  assert.strictEqual(verificationSignatureError(swappedKey), 'Key id does not match the public key');
+
+  const forged = signedVerification();
+  const other = createSigningKey();
+  forged.signature = { ...forged.signature, keyId: other.keyId, publicKey: other.publicKey };
+  assert.strictEqual(verificationSignatureError(forged), 'Bad signature');
+});
+
+test('signatures of the wrong shape are errors, not exceptions', () => {
+  for (const signature of ['signed', 42, [], { statement: 'valid' }, { statement: null }]) {
+    assert.strictEqual(typeof verificationSignatureError(signedVerification({ signature })), 'string', JSON.stringify(signature));
+  }
+});
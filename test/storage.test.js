@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { COLLECTIONS, createMemoryStore, createFileStore, createStore } = require('../src/backend/storage');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dealbuster-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'store.jsonl');
+}
+
+function collectingLog() {
+  const warnings = [];
+  return { warnings, log: { warn: (message, fields) => warnings.push({ message, ...fields }) } };
+}
+
+test('the memory store keeps each collection in a Map', () => {
+  const store = createMemoryStore();
+  assert.strictEqual(store.type, 'memory');
+  COLLECTIONS.forEach(name => assert.ok(store.collection(name) instanceof Map));
+  store.put('deals', { id: 'd1', title: 'Kettle' });
+  assert.strictEqual(store.collection('deals').get('d1').title, 'Kettle');
+  assert.strictEqual(store.remove('deals', 'd1'), true);
+  assert.strictEqual(store.remove('deals', 'd1'), false);
+});
+
+test('only known collections exist, including names inherited from Object', () => {
+  const store = createMemoryStore();
+  for (const name of ['widgets', 'constructor', 'toString', '__proto__']) {
+    assert.throws(() => store.collection(name), /Unknown collection/, name);
+    assert.throws(() => store.put(name, { id: 'x' }), /Unknown collection/, name);
+  }
+});
+
+test('the file store replays its log and compacts it on load', t => {
+  const file = tempFile(t);
+  const first = createFileStore(file);
+  first.put('deals', { id: 'd1', title: 'Kettle' });
+  first.put('deals', { id: 'd1', title: 'Kettle, renamed' });
+  first.put('users', { id: 'u1' });
+  first.remove('users', 'u1');
+  first.remove('users', 'missing');
+  first.close();
+  assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 4);
+
+  const second = createFileStore(file);
+  assert.strictEqual(second.type, 'file');
+  assert.deepStrictEqual(Array.from(second.collection('deals').values()), [{ id: 'd1', title: 'Kettle, renamed' }]);
+  assert.strictEqual(second.collection('users').size, 0);
+  second.close();
+  assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+});
+
+test('unreadable and unknown log lines are skipped with a warning', t => {
+  const file = tempFile(t);
+  createFileStore(file).close();
+  fs.appendFileSync(file, [
+    JSON.stringify({ op: 'put', collection: 'deals', record: { id: 'd1' } }),
+    JSON.stringify({ op: 'put', collection: 'widgets', record: { id: 'w1' } }),
+    JSON.stringify({ op: 'put', collection: 'constructor', record: { id: 'c1' } }),
+    JSON.stringify({ op: 'put', collection: 'deals', record: null }),
+    JSON.stringify({ op: 'rename', collection: 'deals', id: 'd1' }),
+    'null',
+    '42',
+    '{"op": "put", "collection": "deals", "rec'
+  ].join('\n'));
+
+  const { warnings, log } = collectingLog();
+  const store = createFileStore(file, log);
+  store.close();
+  assert.deepStrictEqual(Array.from(store.collection('deals').keys()), ['d1']);
+  assert.deepStrictEqual(warnings.map(warning => warning.line), [2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('createStore picks the backend from its options', t => {
+  assert.strictEqual(createStore().type, 'memory');
+  const store = createStore({ file: tempFile(t) });
+  assert.strictEqual(store.type, 'file');
+  store.close();
+});